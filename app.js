@@ -7,21 +7,41 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { testConnection as testDB, closePool } from './lib/db.js';
+import { testConnection as testDB, closePool, getPost } from './lib/db.js';
 import { initRedis, closeQueues, getQueueStats, addContentGenerationJob, addPublishJob } from './lib/queue.js';
 import { testConnection as testOpenAI } from './lib/openai-generator.js';
-import { testConnection as testFacebook, getPageInfo } from './lib/facebook-poster.js';
-import { initScheduler, getHawaiiTime, schedulePost } from './scheduler.js';
+import { getProvider } from './lib/providers/index.js';
+import { testConnection as testFacebook, getPageInfo, canScheduleNatively } from './lib/facebook-poster.js';
+import { initScheduler, getLocalTime, schedulePost, reloadScheduler, stopReloadSubscriber, setSchedulerPaused, getScheduledSlots, catchUpMissedSlots } from './scheduler.js';
 import pool from './lib/db.js';
 
 // Import optimization modules
 import { generateContentAndImageParallel, generateVariantsParallel } from './lib/parallel-generator.js';
 import { fetchPostEngagement, updateRecentPostsEngagement, getTopPosts } from './lib/engagement-tracker.js';
-import { calculateTopicWeights, selectWeightedTopic, getTopicRankings, initializeTopicWeights } from './lib/topic-analyzer.js';
+import { calculateTopicWeights, selectWeightedTopic, getTopicRankings, initializeTopicWeights, getTopicSelectionBreakdown, getRecentTopicSelections } from './lib/topic-analyzer.js';
 import { predictEngagement, getPredictionAccuracy } from './lib/engagement-predictor.js';
 import { determineApprovalAction, autoApprovePost, userApprovePost, rejectPost, getApprovalStats, getPendingReview, getApprovalSettings, updateApprovalSettings } from './lib/auto-approver.js';
 import { generateABTestVariants, selectVariant, compareVariantPerformance, getABTestStats } from './lib/ab-test-generator.js';
 import { getCostSummary, getCostTrends, calculateROI, getImageReuseStats, analyzeCostOptimizations } from './lib/cost-optimizer.js';
+import { startLeaderElection, getLeaderInfo, stopLeaderElection, isLeader } from './lib/leader-election.js';
+import { getOverrides, getOverride, toOverrideInput, validateOverride, createOverride, updateOverride, deleteOverride } from './lib/schedule-overrides.js';
+import { PLANNING_DAYS_AHEAD, planUpcomingSlots, generateDueDrafts, updatePlannedTopic, getCalendar } from './lib/content-planner.js';
+import { getPostingSlots, getPostingSlot, validateSlot, createPostingSlot, updatePostingSlot, deletePostingSlot, getRecentSlotRuns } from './lib/posting-slots.js';
+import { initializeTopics, getTopics, getTopic, getTopicByName, validateTopic, createTopic, updateTopic, deleteTopic } from './lib/topic-registry.js';
+import { initializePageSettings, getPageSettings, validatePageSettings, updatePageSettings } from './lib/page-settings.js';
+import { AUTO_ADJUST as TIMING_AUTO_ADJUST, getTimingHeatmap, getSlotRecommendations, autoAdjustSlots, getSlotAdjustments } from './lib/timing-optimizer.js';
+import { NATIVE_SCHEDULING, cancelScheduledPost, reschedulePost, syncScheduledPosts } from './lib/fb-scheduling.js';
+import { DISCOVERY_ENABLED as TOPIC_DISCOVERY_ENABLED, CANDIDATE_STATUSES, discoverTopicCandidates, getTopicCandidates, getTopicCandidate, toTopicInput, approveTopicCandidate, dismissTopicCandidate } from './lib/topic-discovery.js';
+import { TEMPLATE_VARIABLES, initializePromptTemplates, getPromptTemplates, getTemplateVersions, validateTemplate, createTemplateVersion, activateTemplateVersion, getEngagementByPromptVersion } from './lib/prompt-templates.js';
+import { getVoiceProfiles, getVoiceProfile, getVoiceProfileByName, validateVoiceProfile, createVoiceProfile, updateVoiceProfile, deleteVoiceProfile, resolveVoiceProfile } from './lib/voice-profiles.js';
+import { ComplianceError, initializeComplianceRules, getComplianceRules, getComplianceRule, validateComplianceRule, createComplianceRule, updateComplianceRule, deleteComplianceRule, checkPostCompliance } from './lib/compliance-checker.js';
+import { checkPostSimilarity } from './lib/duplicate-detector.js';
+import { resolveLanguages, getPostLanguageSets, toLanguageTag } from './lib/languages.js';
+import { CTA_TYPES, initializeCtaLibrary, getCtas, getCta, validateCta, createCta, updateCta, countCtaPosts, deleteCta, getCtaPerformance, pickCtas, validateLead, recordLead, getPostLeads } from './lib/cta-library.js';
+import { BRAND_TAGS, MIN_USES as HASHTAG_MIN_USES, updateHashtagPerformance, getHashtagStats } from './lib/hashtag-engine.js';
+import { getEvergreenCandidates, recyclePost } from './lib/evergreen.js';
+import { REVISABLE_STATUSES, MAX_FEEDBACK_LENGTH, getRevisions, validatePostEdit, editPost, regeneratePost } from './lib/post-revisions.js';
+import { getCampaigns, getCampaign, toCampaignInput, validateCampaign, createCampaign, updateCampaign, deleteCampaign, getActiveCampaigns, resolveCampaign, getCampaignReport } from './lib/campaigns.js';
 
 // Import workers (they start automatically)
 import './workers/content-worker.js';
@@ -39,6 +59,10 @@ const PORT = process.env.PORT || 3000;
 let scheduler;
 let schedulerActive = false;
 let engagementTrackerInterval;
+let planningInterval;
+let fbScheduleSyncInterval;
+let timingInterval;
+let topicDiscoveryInterval;
 
 // Middleware
 app.use(express.json());
@@ -61,6 +85,7 @@ app.get('/health', async (req, res) => {
       components: {
         database: dbHealth,
         openai: openaiHealth,
+        llmProvider: getProvider().name,
         facebook: facebookHealth,
         queues: queueStats,
       },
@@ -77,37 +102,783 @@ app.get('/health', async (req, res) => {
 // SYSTEM STATUS
 // ============================================================================
 
-app.get('/api/status', (req, res) => {
-  res.json({
-    schedulerActive,
-    hawaiiTime: getHawaiiTime(),
-    timestamp: new Date(),
-  });
+app.get('/api/status', async (req, res) => {
+  try {
+    // Slots missed while the process was down (posted late or skipped)
+    const missedSlots = await getRecentSlotRuns({ statuses: ['late', 'skipped', 'failed'], hours: 24 });
+
+    const leader = await getLeaderInfo();
+    const { timezone } = await getPageSettings();
+
+    res.json({
+      schedulerActive,
+      timezone,
+      localTime: await getLocalTime(),
+      leader,
+      missedSlots,
+      nativeScheduling: NATIVE_SCHEDULING,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pauses or resumes the cron jobs on every instance, not only this one
+app.post('/api/scheduler/toggle', async (req, res) => {
+  try {
+    const { active } = req.body;
+    schedulerActive = active;
+
+    if (scheduler) {
+      await setSchedulerPaused(!active);
+      console.log(`[API] Scheduler ${active ? 'activated' : 'paused'}`);
+    }
+
+    res.json({ success: true, active: schedulerActive });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// POSTING SCHEDULE
+// ============================================================================
+
+app.get('/api/schedule/slots', async (req, res) => {
+  try {
+    const slots = await getPostingSlots();
+    res.json({ slots, scheduled: getScheduledSlots() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/schedule/slots', async (req, res) => {
+  try {
+    const errors = validateSlot(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.voiceProfileId && !(await getVoiceProfile(req.body.voiceProfileId))) {
+      return res.status(400).json({ error: 'voiceProfileId does not match a voice profile' });
+    }
+
+    const slot = await createPostingSlot(req.body);
+    await reloadScheduler();
+
+    res.json({ success: true, slot });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/schedule/slots/:id', async (req, res) => {
+  try {
+    const errors = validateSlot(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.voiceProfileId && !(await getVoiceProfile(req.body.voiceProfileId))) {
+      return res.status(400).json({ error: 'voiceProfileId does not match a voice profile' });
+    }
+
+    const slot = await updatePostingSlot(parseInt(req.params.id), req.body);
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    await reloadScheduler();
+
+    res.json({ success: true, slot });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move slots that have an allowed window to their best-performing hour
+app.post('/api/schedule/slots/optimize', async (req, res) => {
+  try {
+    const adjustments = await autoAdjustSlots({ force: true });
+
+    if (adjustments.length > 0) {
+      await reloadScheduler();
+    }
+
+    res.json({ success: true, adjustments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedule/slots/:id', async (req, res) => {
+  try {
+    const deleted = await deletePostingSlot(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    await reloadScheduler();
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Blackout dates and topic overrides (holiday calendar)
+app.get('/api/schedule/overrides', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const overrides = await getOverrides({ from, to });
+    res.json({ overrides });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/schedule/overrides', async (req, res) => {
+  try {
+    const errors = validateOverride(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.slotId && !(await getPostingSlot(req.body.slotId))) {
+      return res.status(400).json({ error: 'slotId does not match a posting slot' });
+    }
+
+    const override = await createOverride(req.body);
+    res.json({ success: true, override });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/schedule/overrides/:id', async (req, res) => {
+  try {
+    const overrideId = parseInt(req.params.id);
+    const existing = await getOverride(overrideId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+
+    // Validate the merged record so cross-field rules (date order, topic) still hold
+    const errors = validateOverride({ ...toOverrideInput(existing), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.slotId && !(await getPostingSlot(req.body.slotId))) {
+      return res.status(400).json({ error: 'slotId does not match a posting slot' });
+    }
+
+    const override = await updateOverride(overrideId, req.body);
+    res.json({ success: true, override });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedule/overrides/:id', async (req, res) => {
+  try {
+    const deleted = await deleteOverride(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CONTENT CALENDAR (PLANNING MODE)
+// ============================================================================
+
+app.get('/api/calendar', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+    const calendar = await getCalendar({ from: req.query.from, days });
+    res.json(calendar);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/calendar/plan', async (req, res) => {
+  try {
+    const days = parseInt(req.body.days) || PLANNING_DAYS_AHEAD || 7;
+    console.log(`[API] Planning the next ${days} day(s)`);
+
+    const planned = await planUpcomingSlots(days);
+    const draftsQueued = await generateDueDrafts(req.body.leadHours ? parseInt(req.body.leadHours) : undefined);
+
+    res.json({ success: true, planned: planned.length, draftsQueued });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/calendar/:planId', async (req, res) => {
+  try {
+    const { topic } = req.body;
+
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic required' });
+    }
+
+    const entry = await updatePlannedTopic(parseInt(req.params.planId), topic);
+    if (!entry) {
+      return res.status(409).json({ error: 'Plan entry not found or its draft is already generated' });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// TOPICS
+// ============================================================================
+
+app.get('/api/topics', async (req, res) => {
+  try {
+    const topics = await getTopics({
+      enabledOnly: req.query.enabled === 'true',
+      tag: req.query.tag || null,
+    });
+    res.json({ topics });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/topics', async (req, res) => {
+  try {
+    const errors = validateTopic(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (await getTopicByName(req.body.name.trim())) {
+      return res.status(409).json({ error: 'A topic with this name already exists' });
+    }
+
+    const topic = await createTopic(req.body);
+    res.json({ success: true, topic });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/topics/:id', async (req, res) => {
+  try {
+    const topicId = parseInt(req.params.id);
+    const errors = validateTopic(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.name !== undefined) {
+      const existing = await getTopicByName(req.body.name.trim());
+      if (existing && existing.id !== topicId) {
+        return res.status(409).json({ error: 'A topic with this name already exists' });
+      }
+    }
+
+    const topic = await updateTopic(topicId, req.body);
+    if (!topic) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+
+    res.json({ success: true, topic });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Candidate topics proposed from recurring comment themes
+app.get('/api/topics/candidates', async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : req.query.status || 'pending';
+    if (status && !CANDIDATE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${CANDIDATE_STATUSES.join(', ')}` });
+    }
+
+    const candidates = await getTopicCandidates({ status });
+    res.json({ candidates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/topics/candidates/discover', async (req, res) => {
+  try {
+    const days = parseInt(req.body?.days) || undefined;
+    const candidates = await discoverTopicCandidates({ days });
+    res.json({ success: true, candidates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/topics/candidates/:id/approve', async (req, res) => {
+  try {
+    const candidate = await getTopicCandidate(parseInt(req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    if (candidate.status !== 'pending') {
+      return res.status(409).json({ error: `Candidate is already ${candidate.status}` });
+    }
+
+    // Reviewers may rename the topic or rewrite its prompts on the way in
+    const topicInput = toTopicInput(candidate, req.body || {});
+    const errors = validateTopic(topicInput);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (await getTopicByName(topicInput.name.trim())) {
+      return res.status(409).json({ error: 'A topic with this name already exists' });
+    }
+
+    const topic = await approveTopicCandidate(candidate.id, topicInput);
+    res.json({ success: true, topic });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/topics/candidates/:id/dismiss', async (req, res) => {
+  try {
+    const candidate = await getTopicCandidate(parseInt(req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    if (candidate.status !== 'pending') {
+      return res.status(409).json({ error: `Candidate is already ${candidate.status}` });
+    }
+
+    const dismissed = await dismissTopicCandidate(candidate.id);
+    res.json({ success: true, candidate: dismissed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/topics/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTopic(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CAMPAIGNS
+// ============================================================================
+
+app.get('/api/campaigns', async (req, res) => {
+  try {
+    const campaigns = await getCampaigns();
+    const active = await getActiveCampaigns();
+    res.json({ campaigns, activeIds: active.map((campaign) => campaign.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/campaigns', async (req, res) => {
+  try {
+    const errors = validateCampaign(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const campaign = await createCampaign(req.body);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/campaigns/:id', async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id);
+    const existing = await getCampaign(campaignId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    // Validate the merged record so the date order still holds
+    const errors = validateCampaign({ ...toCampaignInput(existing), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const campaign = await updateCampaign(campaignId, req.body);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/campaigns/:id', async (req, res) => {
+  try {
+    const deleted = await deleteCampaign(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-campaign engagement vs the pre-campaign baseline
+app.get('/api/campaigns/:id/report', async (req, res) => {
+  try {
+    const report = await getCampaignReport(parseInt(req.params.id));
+    if (!report) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// VOICE PROFILES
+// ============================================================================
+
+app.get('/api/voice-profiles', async (req, res) => {
+  try {
+    const profiles = await getVoiceProfiles();
+    res.json({ profiles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/voice-profiles', async (req, res) => {
+  try {
+    const errors = validateVoiceProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (await getVoiceProfileByName(req.body.name.trim())) {
+      return res.status(409).json({ error: 'A voice profile with this name already exists' });
+    }
+
+    const profile = await createVoiceProfile(req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/voice-profiles/:id', async (req, res) => {
+  try {
+    const profileId = parseInt(req.params.id);
+    const errors = validateVoiceProfile(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.name !== undefined) {
+      const existing = await getVoiceProfileByName(req.body.name.trim());
+      if (existing && existing.id !== profileId) {
+        return res.status(409).json({ error: 'A voice profile with this name already exists' });
+      }
+    }
+
+    const profile = await updateVoiceProfile(profileId, req.body);
+    if (!profile) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/voice-profiles/:id', async (req, res) => {
+  try {
+    const deleted = await deleteVoiceProfile(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// COMPLIANCE RULES
+// ============================================================================
+
+app.get('/api/compliance/rules', async (req, res) => {
+  try {
+    const rules = await getComplianceRules();
+    res.json({ rules });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/compliance/rules', async (req, res) => {
+  try {
+    const errors = validateComplianceRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const rule = await createComplianceRule(req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/compliance/rules/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const existing = await getComplianceRule(ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Compliance rule not found' });
+    }
+
+    // Patterns are validated against the kind they will end up with
+    const errors = validateComplianceRule(
+      { ...req.body, kind: req.body.kind ?? existing.kind, patterns: req.body.patterns ?? existing.patterns },
+      { partial: true }
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const rule = await updateComplianceRule(ruleId, req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/compliance/rules/:id', async (req, res) => {
+  try {
+    const deleted = await deleteComplianceRule(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Compliance rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CTA LIBRARY
+// ============================================================================
+
+app.get('/api/ctas', async (req, res) => {
+  try {
+    const ctas = await getCtas({ enabledOnly: req.query.enabled === 'true' });
+    res.json({ types: CTA_TYPES, ctas });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/ctas', async (req, res) => {
+  try {
+    const errors = validateCta(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const cta = await createCta(req.body);
+    res.json({ success: true, cta });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retire a CTA with {"enabled": false}
+app.patch('/api/ctas/:id', async (req, res) => {
+  try {
+    const errors = validateCta(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const cta = await updateCta(parseInt(req.params.id), req.body);
+    if (!cta) {
+      return res.status(404).json({ error: 'CTA not found' });
+    }
+
+    res.json({ success: true, cta });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Only CTAs no post has used can be deleted; retire the others to keep their history
+app.delete('/api/ctas/:id', async (req, res) => {
+  try {
+    const ctaId = parseInt(req.params.id);
+    if (!(await getCta(ctaId))) {
+      return res.status(404).json({ error: 'CTA not found' });
+    }
+
+    const posts = await countCtaPosts(ctaId);
+    if (posts > 0) {
+      return res.status(409).json({ error: `CTA is used by ${posts} post(s); retire it with {"enabled": false} instead` });
+    }
+
+    await deleteCta(ctaId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leads (DMs, comments, sign-ups) that came from a post, credited to its CTA
+app.get('/api/posts/:id/leads', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    if (!(await getPost(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const leads = await getPostLeads(postId);
+    res.json({ postId, leads });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/posts/:id/leads', async (req, res) => {
+  try {
+    const errors = validateLead(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const lead = await recordLead(parseInt(req.params.id), req.body);
+    if (!lead) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json({ success: true, lead });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// PROMPT TEMPLATES
+// ============================================================================
+
+app.get('/api/prompts', async (req, res) => {
+  try {
+    const templates = await getPromptTemplates();
+    res.json({ templates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/prompts/:name', async (req, res) => {
+  try {
+    if (!TEMPLATE_VARIABLES[req.params.name]) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const versions = await getTemplateVersions(req.params.name);
+    res.json({ name: req.params.name, allowedVariables: TEMPLATE_VARIABLES[req.params.name], versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/scheduler/toggle', (req, res) => {
-  const { active } = req.body;
-  schedulerActive = active;
+// Editing a template saves a new version (active unless activate: false)
+app.post('/api/prompts/:name', async (req, res) => {
+  try {
+    if (!TEMPLATE_VARIABLES[req.params.name]) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const errors = validateTemplate(req.params.name, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
 
-  if (active && scheduler) {
-    scheduler.morning.start();
-    scheduler.noon.start();
-    scheduler.evening.start();
-    console.log('[API] Scheduler activated');
-  } else if (!active && scheduler) {
-    if (scheduler.morning) scheduler.morning.stop();
-    if (scheduler.noon) scheduler.noon.stop();
-    if (scheduler.evening) scheduler.evening.stop();
-    console.log('[API] Scheduler paused');
+    const template = await createTemplateVersion(req.params.name, req.body);
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Switch to another version (e.g. roll back)
+app.post('/api/prompts/:name/activate', async (req, res) => {
+  try {
+    const version = parseInt(req.body?.version);
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const template = await activateTemplateVersion(req.params.name, version);
+    if (!template) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
 
-  res.json({ success: true, active: schedulerActive });
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ============================================================================
 // ENGAGEMENT & ANALYTICS
 // ============================================================================
 
+// Engagement per version of a prompt template (?template=content-system)
+app.get('/api/analytics/prompts', async (req, res) => {
+  try {
+    const name = req.query.template || 'content-system';
+    if (!TEMPLATE_VARIABLES[name]) {
+      return res.status(400).json({ error: `template must be one of: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}` });
+    }
+
+    const versions = await getEngagementByPromptVersion(name);
+    res.json({ template: name, versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/analytics/engagement', async (req, res) => {
   try {
     const topPosts = await getTopPosts(10);
@@ -146,10 +917,99 @@ app.get('/api/analytics/costs', async (req, res) => {
   }
 });
 
+app.get('/api/analytics/timing', async (req, res) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    const heatmap = await getTimingHeatmap({ days });
+    const recommendations = await getSlotRecommendations(heatmap);
+    const adjustments = await getSlotAdjustments(10);
+
+    res.json({
+      heatmap,
+      recommendations,
+      recentAdjustments: adjustments,
+      autoAdjust: TIMING_AUTO_ADJUST,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/analytics/topics', async (req, res) => {
   try {
     const rankings = await getTopicRankings();
-    res.json({ topicRankings: rankings });
+    const bandit = await getTopicSelectionBreakdown();
+    const recentSelections = await getRecentTopicSelections(20);
+    const { topicSelectionMode, explorationFloor, topicNoRepeatWithin, topicMaxPerWeek } = await getPageSettings();
+
+    res.json({
+      topicRankings: rankings,
+      selection: {
+        mode: topicSelectionMode,
+        explorationFloor,
+        rules: { noRepeatWithin: topicNoRepeatWithin, maxPerWeek: topicMaxPerWeek },
+        topics: bandit,
+        recent: recentSelections,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-hashtag engagement stats (?refresh=true re-attributes posted posts first)
+app.get('/api/analytics/hashtags', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      await updateHashtagPerformance();
+    }
+
+    const minUses = req.query.minUses ? parseInt(req.query.minUses) : undefined;
+    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+    const hashtags = await getHashtagStats({ minUses, limit });
+
+    res.json({
+      brandTags: BRAND_TAGS,
+      provenAfterUses: HASHTAG_MIN_USES,
+      hashtags,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-CTA engagement, lift and leads (?days=90); weak CTAs are candidates to retire
+app.get('/api/analytics/ctas', async (req, res) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    const ctas = await getCtaPerformance({ days });
+
+    res.json({
+      ctas,
+      weak: ctas.filter((cta) => cta.enabled && cta.weak).map((cta) => cta.ctaId),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Posted originals that can run again as evergreen reposts (?minAgeDays=90&limit=10)
+app.get('/api/evergreen/candidates', async (req, res) => {
+  try {
+    const minAgeDays = req.query.minAgeDays ? parseInt(req.query.minAgeDays) : undefined;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+    const candidates = await getEvergreenCandidates({ minAgeDays, limit });
+
+    res.json({
+      candidates: candidates.map((post) => ({
+        id: post.id,
+        topic: post.topic,
+        content: post.content,
+        language: post.language,
+        postedAt: post.posted_at,
+        engagementRate: post.engagement_rate !== null ? parseFloat(post.engagement_rate) : null,
+      })),
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -168,14 +1028,25 @@ app.post('/api/posts/generate', async (req, res) => {
     console.log('[API] Selected topic:', topic);
 
     // Generate content and image in parallel
-    const generated = await generateContentAndImageParallel(topic);
+    // Page languages; in separate-post mode only the primary language is generated here
+    const campaign = await resolveCampaign(topic);
+    const voiceProfile = await resolveVoiceProfile();
+    const [languages] = getPostLanguageSets(resolveLanguages(null, await getPageSettings()));
+    const [cta = null] = await pickCtas(1, { languages });
+    const generated = await generateContentAndImageParallel(topic, {
+      campaignContext: campaign?.prompt_context || null,
+      voiceProfile,
+      languages,
+      cta,
+    });
 
     // Predict engagement
     const prediction = await predictEngagement(
       topic,
       generated.content,
       generated.hashtags,
-      new Date()
+      new Date(),
+      { languages }
     );
 
     // Determine approval action
@@ -183,13 +1054,37 @@ app.post('/api/posts/generate', async (req, res) => {
 
     // Store post in database
     const insertResult = await pool.query(
-      `INSERT INTO kangen_posts (topic, content, hashtags, image_url, status, confidence_score, approval_method)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO kangen_posts (topic, content, hashtags, image_url, status, confidence_score, approval_method, campaign_id,
+                                prompt_versions, model, generation_params, voice_profile_id,
+                                hook, body, cta, hashtag_list, image_concept, language, cta_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
        RETURNING id`,
-      [topic, generated.content, generated.hashtags, generated.imageUrl, 'scheduled', prediction.confidenceScore, approvalAction.action]
+      [
+        topic,
+        generated.content,
+        generated.hashtags,
+        generated.imageUrl,
+        'scheduled',
+        prediction.confidenceScore,
+        approvalAction.action,
+        campaign?.id ?? null,
+        JSON.stringify(generated.provenance?.promptVersions || {}),
+        generated.provenance?.model || null,
+        generated.provenance?.params ? JSON.stringify(generated.provenance.params) : null,
+        voiceProfile?.id ?? null,
+        generated.structured?.hook ?? null,
+        generated.structured?.body ?? null,
+        generated.structured?.cta ?? null,
+        generated.structured?.hashtags ?? null,
+        generated.structured?.imageConcept ?? null,
+        toLanguageTag(languages),
+        cta?.id ?? null,
+      ]
     );
 
     const postId = insertResult.rows[0].id;
+    const compliance = await checkPostCompliance(postId);
+    const similarity = await checkPostSimilarity(postId);
 
     res.json({
       success: true,
@@ -198,9 +1093,13 @@ app.post('/api/posts/generate', async (req, res) => {
         topic,
         content: generated.content,
         hashtags: generated.hashtags,
+        structured: generated.structured,
+        language: toLanguageTag(languages),
         imageUrl: generated.imageUrl,
         generationTime: `${generated.generationTime}ms`,
       },
+      compliance: { status: compliance.status, flags: compliance.flags },
+      similarity,
       prediction,
       approvalAction,
     });
@@ -216,26 +1115,36 @@ app.post('/api/posts/generate', async (req, res) => {
 
 app.post('/api/posts/generate/variants', async (req, res) => {
   try {
-    const { topic } = req.body;
+    const { topic, voiceProfileId } = req.body;
 
     if (!topic) {
       return res.status(400).json({ error: 'Topic required' });
     }
 
+    // Explicit voice profile, else the page default
+    const voiceProfile = voiceProfileId ? await getVoiceProfile(voiceProfileId) : await resolveVoiceProfile();
+    if (voiceProfileId && !voiceProfile) {
+      return res.status(400).json({ error: 'voiceProfileId does not match a voice profile' });
+    }
+
     console.log('[API] Generating A/B test variants for topic:', topic);
 
-    const variants = await generateABTestVariants(topic);
+    // Variants are compared in one language set (the primary one in separate-post mode)
+    const [languages] = getPostLanguageSets(resolveLanguages(null, await getPageSettings()));
+    const variants = await generateABTestVariants(topic, { voiceProfile, languages });
 
     // Store the best variant post
     const bestVariant = variants.bestVariant;
     const insertResult = await pool.query(
-      `INSERT INTO kangen_posts (topic, content, hashtags, image_url, status, confidence_score, variant_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO kangen_posts (topic, content, hashtags, image_url, status, confidence_score, variant_id, voice_profile_id, language, cta_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING id`,
-      [topic, bestVariant.content, bestVariant.hashtags, null, 'scheduled', bestVariant.predictedScore, 'variants_created']
+      [topic, bestVariant.content, bestVariant.hashtags, null, 'scheduled', bestVariant.predictedScore, 'variants_created', voiceProfile?.id ?? null, toLanguageTag(languages), bestVariant.ctaId]
     );
 
     const postId = insertResult.rows[0].id;
+    const compliance = await checkPostCompliance(postId);
+    const similarity = await checkPostSimilarity(postId);
 
     // Store all variants
     const variantA = variants.variants.find((v) => v.variant === 'A');
@@ -245,8 +1154,9 @@ app.post('/api/posts/generate/variants', async (req, res) => {
     await pool.query(
       `INSERT INTO post_variants (post_id, variant_a_content, variant_a_hook, variant_a_cta, variant_a_predicted,
                                    variant_b_content, variant_b_hook, variant_b_cta, variant_b_predicted,
-                                   variant_c_content, variant_c_hook, variant_c_cta, variant_c_predicted)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+                                   variant_c_content, variant_c_hook, variant_c_cta, variant_c_predicted,
+                                   variant_a_cta_id, variant_b_cta_id, variant_c_cta_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
       [
         postId,
         variantA?.content,
@@ -261,6 +1171,9 @@ app.post('/api/posts/generate/variants', async (req, res) => {
         variantC?.hook,
         variantC?.cta,
         variantC?.predictedScore,
+        variantA?.ctaId ?? null,
+        variantB?.ctaId ?? null,
+        variantC?.ctaId ?? null,
       ]
     );
 
@@ -270,6 +1183,8 @@ app.post('/api/posts/generate/variants', async (req, res) => {
       variants: variants.variants,
       bestVariant: variants.bestVariant,
       recommendation: variants.recommendation,
+      compliance: { status: compliance.status, flags: compliance.flags },
+      similarity,
     });
   } catch (error) {
     console.error('[API] Error generating variants:', error);
@@ -312,11 +1227,115 @@ app.get('/api/posts/pending', async (req, res) => {
 app.post('/api/posts/:id/approve', async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
+    const { reviewer, overrideReason } = req.body || {};
+
+    // Overriding a compliance block needs both who and why
+    if (Boolean(reviewer?.trim?.()) !== Boolean(overrideReason?.trim?.())) {
+      return res.status(400).json({ error: 'reviewer and overrideReason are both required to override compliance flags' });
+    }
+
     console.log(`[API] User approved post ${postId}`);
 
-    await userApprovePost(postId);
+    const result = await userApprovePost(postId, {
+      reviewer: reviewer?.trim() || null,
+      overrideReason: overrideReason?.trim() || null,
+    });
+
+    res.json({ success: true, action: 'approved', publishAt: result.publishAt });
+  } catch (error) {
+    if (error instanceof ComplianceError) {
+      return res.status(422).json({ error: error.message, flags: error.flags });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/posts/:id/compliance', async (req, res) => {
+  try {
+    const post = await getPost(parseInt(req.params.id));
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json({
+      postId: post.id,
+      status: post.compliance_status,
+      flags: post.compliance_flags || [],
+      checkedAt: post.compliance_checked_at,
+      override: post.compliance_override_at
+        ? { reviewer: post.compliance_override_by, reason: post.compliance_override_reason, at: post.compliance_override_at }
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/posts/:id/compliance/check', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    if (!(await getPost(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const compliance = await checkPostCompliance(postId);
+    res.json({ success: true, ...compliance });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/posts/:id/cancel-schedule', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const post = await getPost(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!['approved', 'fb_scheduled'].includes(post.status)) {
+      return res.status(409).json({ error: `Post is ${post.status}, not scheduled for publishing` });
+    }
+
+    console.log(`[API] User cancelled scheduled post ${postId}`);
+
+    const updated = await cancelScheduledPost(postId, req.body?.reason || 'Schedule cancelled');
+
+    res.json({ success: true, action: 'unscheduled', post: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/posts/:id/reschedule', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const publishAt = new Date(req.body?.publishAt);
+
+    if (!req.body?.publishAt || isNaN(publishAt.getTime()) || publishAt <= new Date()) {
+      return res.status(400).json({ error: 'publishAt must be a future ISO timestamp' });
+    }
+
+    const post = await getPost(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
 
-    res.json({ success: true, action: 'approved' });
+    if (!['approved', 'fb_scheduled'].includes(post.status)) {
+      return res.status(409).json({ error: `Post is ${post.status}, not scheduled for publishing` });
+    }
+
+    if (post.status === 'fb_scheduled' && !canScheduleNatively(publishAt)) {
+      return res.status(400).json({ error: 'Facebook-scheduled posts must be moved to between 10 minutes and 30 days from now' });
+    }
+
+    console.log(`[API] User rescheduled post ${postId} to ${publishAt.toISOString()}`);
+
+    const updated = await reschedulePost(postId, publishAt);
+
+    res.json({ success: true, action: 'rescheduled', post: updated });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -337,6 +1356,110 @@ app.post('/api/posts/:id/reject', async (req, res) => {
   }
 });
 
+app.patch('/api/posts/:id', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const errors = validatePostEdit(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const post = await getPost(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!REVISABLE_STATUSES.includes(post.status)) {
+      return res.status(409).json({ error: `Post is ${post.status}; only ${REVISABLE_STATUSES.join(' or ')} posts can be edited` });
+    }
+
+    const { content, hashtags, imageUrl } = req.body;
+    const result = await editPost(post, { content, hashtags, imageUrl, author: req.body.author.trim() });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/posts/:id/regenerate', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const { feedback, regenerateImage = false } = req.body || {};
+
+    if (typeof feedback !== 'string' || feedback.trim().length === 0) {
+      return res.status(400).json({ error: 'feedback is required' });
+    }
+    if (feedback.length > MAX_FEEDBACK_LENGTH) {
+      return res.status(400).json({ error: `feedback must be at most ${MAX_FEEDBACK_LENGTH} characters` });
+    }
+    if (typeof regenerateImage !== 'boolean') {
+      return res.status(400).json({ error: 'regenerateImage must be a boolean' });
+    }
+
+    const post = await getPost(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!REVISABLE_STATUSES.includes(post.status)) {
+      return res.status(409).json({ error: `Post is ${post.status}; only ${REVISABLE_STATUSES.join(' or ')} posts can be regenerated` });
+    }
+
+    console.log(`[API] User requested regeneration of post ${postId}`);
+
+    const result = await regeneratePost(post, feedback.trim(), { regenerateImage });
+
+    res.json({ success: true, action: 'regenerated', ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recycle a posted post into a new draft now, instead of waiting for a slot
+app.post('/api/posts/:id/recycle', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const { paraphrase } = req.body || {};
+
+    if (paraphrase !== undefined && typeof paraphrase !== 'boolean') {
+      return res.status(400).json({ error: 'paraphrase must be a boolean' });
+    }
+
+    const post = await getPost(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.status !== 'posted') {
+      return res.status(409).json({ error: `Post is ${post.status}; only posted posts can be recycled` });
+    }
+
+    console.log(`[API] User requested evergreen repost of post ${postId}`);
+
+    const settings = await getPageSettings();
+    const recycled = await recyclePost(post, { paraphrase: paraphrase ?? settings.evergreenParaphrase });
+
+    res.json({ success: true, action: 'recycled', post: recycled });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/posts/:id/revisions', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    if (!(await getPost(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const revisions = await getRevisions(postId);
+    res.json({ postId, revisions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // AUTO-APPROVAL SETTINGS
 // ============================================================================
@@ -364,6 +1487,44 @@ app.post('/api/settings/approval', async (req, res) => {
   }
 });
 
+// ============================================================================
+// PAGE SETTINGS
+// ============================================================================
+
+app.get('/api/settings/page', async (req, res) => {
+  try {
+    const settings = await getPageSettings({ fresh: true });
+    res.json({ settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/settings/page', async (req, res) => {
+  try {
+    const errors = validatePageSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.body.voiceProfileId && !(await getVoiceProfile(req.body.voiceProfileId))) {
+      return res.status(400).json({ error: 'voiceProfileId does not match a voice profile' });
+    }
+
+    const previous = await getPageSettings({ fresh: true });
+    const settings = await updatePageSettings(req.body);
+
+    // Slot cron jobs run in the page timezone
+    if (settings.timezone !== previous.timezone) {
+      await reloadScheduler();
+    }
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // POSTS MANAGEMENT
 // ============================================================================
@@ -391,8 +1552,13 @@ app.get('/api/stats', async (req, res) => {
     const pendingResult = await pool.query(
       "SELECT COUNT(*) as count FROM kangen_posts WHERE status IN ('generating', 'scheduled')"
     );
+    // "Today" is the current date in the page timezone
+    const { timezone } = await getPageSettings();
     const todayResult = await pool.query(
-      "SELECT COUNT(*) as count FROM kangen_posts WHERE status = 'posted' AND DATE(posted_at) = CURRENT_DATE"
+      `SELECT COUNT(*) as count FROM kangen_posts
+       WHERE status = 'posted'
+       AND DATE(posted_at::timestamptz AT TIME ZONE $1) = DATE(NOW() AT TIME ZONE $1)`,
+      [timezone]
     );
 
     res.json({
@@ -432,11 +1598,24 @@ async function startApplication() {
     console.log('✓ Redis connected');
 
     await testOpenAI();
-    console.log('✓ OpenAI connected');
+    console.log(`✓ LLM provider connected (${getProvider().name})`);
 
     const pageInfo = await testFacebook();
     console.log('✓ Facebook connected');
 
+    // Seed the topic registry, then make sure every topic has a weight
+    await initializeTopics();
+    console.log('✓ Topic registry ready');
+
+    await initializePromptTemplates();
+    console.log('✓ Prompt templates ready');
+
+    await initializeComplianceRules();
+    console.log('✓ Compliance rules ready');
+
+    await initializeCtaLibrary();
+    console.log('✓ CTA library ready');
+
     // Initialize topic weights
     await initializeTopicWeights();
     console.log('✓ Topic weights initialized');
@@ -445,21 +1624,100 @@ async function startApplication() {
     await calculateTopicWeights();
     console.log('✓ Topic weights calculated');
 
+    await updateHashtagPerformance();
+    console.log('✓ Hashtag stats updated');
+
+    // Page settings (timezone) are needed before slots are scheduled
+    const pageSettings = await initializePageSettings();
+    console.log(`✓ Page settings loaded (timezone ${pageSettings.timezone})`);
+
     // Initialize scheduler
     scheduler = await initScheduler();
     console.log('✓ Scheduler initialized');
 
+    // Compete for the scheduler lease; whoever becomes leader rebuilds its cron
+    // jobs (in case a reload announcement was missed) and posts or skips slots
+    // missed while no leader was running
+    const elected = await startLeaderElection({
+      onElected: async () => {
+        await reloadScheduler({ broadcast: false });
+        const catchUp = await catchUpMissedSlots();
+        console.log(`[System] Missed slots checked (${catchUp.late.length} posted late, ${catchUp.skipped.length} skipped)`);
+      },
+    });
+    console.log(`✓ Leader election started (${elected ? 'leader' : 'standby'})`);
+
     // Start engagement tracking (every 6 hours)
     engagementTrackerInterval = setInterval(async () => {
       try {
         console.log('[System] Running engagement update...');
         await updateRecentPostsEngagement();
         await calculateTopicWeights(); // Recalculate weights based on new data
+        await updateHashtagPerformance();
       } catch (error) {
         console.error('[System] Engagement update error:', error);
       }
     }, 6 * 60 * 60 * 1000); // 6 hours
 
+    // Planning mode: keep the next N days planned and drafts generated ahead (leader only)
+    if (PLANNING_DAYS_AHEAD > 0) {
+      const runPlanning = async () => {
+        if (!isLeader()) return;
+        try {
+          await planUpcomingSlots(PLANNING_DAYS_AHEAD);
+          await generateDueDrafts();
+        } catch (error) {
+          console.error('[System] Planning error:', error);
+        }
+      };
+
+      await runPlanning();
+      planningInterval = setInterval(runPlanning, 60 * 60 * 1000); // hourly
+      console.log(`✓ Planning mode on (${PLANNING_DAYS_AHEAD} days ahead)`);
+    }
+
+    // Native scheduling: confirm Facebook published what we handed over (leader only)
+    if (NATIVE_SCHEDULING) {
+      fbScheduleSyncInterval = setInterval(async () => {
+        if (!isLeader()) return;
+        try {
+          await syncScheduledPosts();
+        } catch (error) {
+          console.error('[System] Scheduled post sync error:', error);
+        }
+      }, 10 * 60 * 1000); // 10 minutes
+      console.log('✓ Facebook native scheduling on');
+    }
+
+    // Timing optimizer: move slots within their allowed windows (leader only, daily)
+    if (TIMING_AUTO_ADJUST) {
+      timingInterval = setInterval(async () => {
+        if (!isLeader()) return;
+        try {
+          const adjustments = await autoAdjustSlots();
+          if (adjustments.length > 0) {
+            await reloadScheduler();
+          }
+        } catch (error) {
+          console.error('[System] Timing optimizer error:', error);
+        }
+      }, 24 * 60 * 60 * 1000); // daily
+      console.log('✓ Slot time auto-adjust on');
+    }
+
+    // Topic discovery: propose new topics from recurring comment themes (leader only, daily)
+    if (TOPIC_DISCOVERY_ENABLED) {
+      topicDiscoveryInterval = setInterval(async () => {
+        if (!isLeader()) return;
+        try {
+          await discoverTopicCandidates();
+        } catch (error) {
+          console.error('[System] Topic discovery error:', error);
+        }
+      }, 24 * 60 * 60 * 1000); // daily
+      console.log('✓ Topic discovery on');
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n✓ Server running on http://localhost:${PORT}`);
@@ -489,12 +1747,29 @@ process.on('SIGINT', async () => {
     clearInterval(engagementTrackerInterval);
   }
 
+  if (planningInterval) {
+    clearInterval(planningInterval);
+  }
+
+  if (fbScheduleSyncInterval) {
+    clearInterval(fbScheduleSyncInterval);
+  }
+
+  if (timingInterval) {
+    clearInterval(timingInterval);
+  }
+
+  if (topicDiscoveryInterval) {
+    clearInterval(topicDiscoveryInterval);
+  }
+
   if (scheduler) {
-    if (scheduler.morning) scheduler.morning.stop();
-    if (scheduler.noon) scheduler.noon.stop();
-    if (scheduler.evening) scheduler.evening.stop();
+    scheduler.stop();
   }
 
+  await stopLeaderElection();
+  await stopReloadSubscriber();
+
   await closeQueues();
   await closePool();
 
@@ -7,6 +7,11 @@
 import pool from './db.js';
 import { generateContent } from './openai-generator.js';
 import { predictEngagement } from './engagement-predictor.js';
+import { checkPostCompliance } from './compliance-checker.js';
+import { checkPostSimilarity } from './duplicate-detector.js';
+import { pickCtas } from './cta-library.js';
+import { ensureInitialRevision, saveRevision, diffText } from './post-revisions.js';
+import { splitPost } from './post-schema.js';
 
 const VARIANT_CONFIGS = {
   A: {
@@ -31,15 +36,28 @@ const VARIANT_CONFIGS = {
 
 /**
  * Generate A/B test variants for a topic
+ * Each variant takes a different CTA from the CTA library; without library
+ * CTAs they come from the voice profile's CTA list, then the defaults above.
+ * With a voice profile, variants are written in that voice; all variants
+ * share the same language(s)
  */
-export async function generateABTestVariants(topic) {
+export async function generateABTestVariants(topic, { voiceProfile = null, languages = ['en'] } = {}) {
   try {
     console.log('[ABTester] Generating 3 variants for topic:', topic);
 
     const variants = {};
+    const libraryCtas = await pickCtas(Object.keys(VARIANT_CONFIGS).length, { languages });
 
     // Generate each variant with different prompt modifications
-    for (const [variantKey, config] of Object.entries(VARIANT_CONFIGS)) {
+    for (const [index, [variantKey, baseConfig]] of Object.entries(VARIANT_CONFIGS).entries()) {
+      const libraryCta = libraryCtas.length > 0 ? libraryCtas[index % libraryCtas.length] : null;
+      let config = baseConfig;
+      if (libraryCta) {
+        config = { ...baseConfig, cta: libraryCta.text };
+      } else if (voiceProfile?.ctas?.length > 0) {
+        config = { ...baseConfig, cta: voiceProfile.ctas[index % voiceProfile.ctas.length] };
+      }
+
       try {
         console.log(`[ABTester] Generating variant ${variantKey}: ${config.name}`);
 
@@ -52,9 +70,9 @@ Keep it between 150-250 characters.
 `;
 
         // Modify the content generator to accept custom prompts
-        const result = await generateContent(topic, { customPrompt });
+        const result = await generateContent(topic, { customPrompt, voiceProfile, languages, cta: libraryCta });
 
-        const prediction = await predictEngagement(topic, result.content, result.hashtags, new Date());
+        const prediction = await predictEngagement(topic, result.content, result.hashtags, new Date(), { languages });
 
         variants[variantKey] = {
           variant: variantKey,
@@ -62,6 +80,7 @@ Keep it between 150-250 characters.
           description: config.description,
           hook: config.hook,
           cta: config.cta,
+          ctaId: libraryCta?.id ?? null,
           content: result.content,
           hashtags: result.hashtags,
           tokensUsed: result.tokensUsed,
@@ -143,8 +162,9 @@ export async function storeABTestVariants(postId, variants) {
     await pool.query(
       `INSERT INTO post_variants (post_id, variant_a_content, variant_a_hook, variant_a_cta, variant_a_predicted,
                                    variant_b_content, variant_b_hook, variant_b_cta, variant_b_predicted,
-                                   variant_c_content, variant_c_hook, variant_c_cta, variant_c_predicted)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+                                   variant_c_content, variant_c_hook, variant_c_cta, variant_c_predicted,
+                                   variant_a_cta_id, variant_b_cta_id, variant_c_cta_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
       [
         postId,
         variantA.content,
@@ -159,6 +179,9 @@ export async function storeABTestVariants(postId, variants) {
         variantC.hook,
         variantC.cta,
         variantC.predictedScore,
+        variantA.ctaId ?? null,
+        variantB.ctaId ?? null,
+        variantC.ctaId ?? null,
       ]
     );
 
@@ -177,11 +200,14 @@ export async function selectVariant(postId, variantKey) {
     console.log(`[ABTester] User selected variant ${variantKey} for post ${postId}`);
 
     const result = await pool.query(
-      `SELECT variant_${variantKey.toLowerCase()}_content,
-              variant_${variantKey.toLowerCase()}_hook,
-              variant_${variantKey.toLowerCase()}_cta
-       FROM post_variants
-       WHERE post_id = $1`,
+      `SELECT pv.variant_${variantKey.toLowerCase()}_content,
+              pv.variant_${variantKey.toLowerCase()}_hook,
+              pv.variant_${variantKey.toLowerCase()}_cta,
+              pv.variant_${variantKey.toLowerCase()}_cta_id,
+              kp.content as current_content
+       FROM post_variants pv
+       JOIN kangen_posts kp ON kp.id = pv.post_id
+       WHERE pv.post_id = $1`,
       [postId]
     );
 
@@ -191,25 +217,45 @@ export async function selectVariant(postId, variantKey) {
 
     const variant = result.rows[0];
     const content = variant[`variant_${variantKey.toLowerCase()}_content`];
+    const ctaId = variant[`variant_${variantKey.toLowerCase()}_cta_id`];
 
-    // Update posts table to use selected variant
+    // The text before the switch is kept as a revision
+    await ensureInitialRevision(postId);
+
+    // Update posts table to use selected variant (and the library CTA it was written with);
+    // structured fields follow the variant text where it has their shape
+    const structured = splitPost(content);
     await pool.query(
-      `UPDATE kangen_posts SET content = $1, variant_id = $2 WHERE id = $3`,
-      [content, variantKey, postId]
+      `UPDATE kangen_posts
+       SET content = $1, variant_id = $2, cta_id = $3, hook = $4, body = $5, cta = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7`,
+      [content, variantKey, ctaId, structured?.hook ?? null, structured?.body ?? null, structured?.cta ?? null, postId]
     );
 
+    await saveRevision(postId, {
+      source: 'variant',
+      feedback: `Variant ${variantKey} selected`,
+      diff: { content: diffText(variant.current_content, content) },
+    });
+
     // Mark which variant was selected
     await pool.query(
       `UPDATE post_variants SET selected_variant = $1 WHERE post_id = $2`,
       [variantKey, postId]
     );
 
+    // The post text changed, so its compliance flags and closest earlier post must be refreshed
+    const compliance = await checkPostCompliance(postId);
+    const similarity = await checkPostSimilarity(postId);
+
     console.log(`[ABTester] Variant ${variantKey} selected and applied to post`);
 
     return {
       postId,
       selectedVariant: variantKey,
       content,
+      compliance: { status: compliance.status, flags: compliance.flags },
+      similarity,
     };
   } catch (error) {
     console.error('[ABTester] Error selecting variant:', error);
@@ -6,6 +6,8 @@
 
 import pool from './db.js';
 import { learnFromApproval } from './engagement-predictor.js';
+import { assertCompliant, overrideCompliance } from './compliance-checker.js';
+import { SIMILARITY_THRESHOLD } from './duplicate-detector.js';
 
 // Default approval settings
 const DEFAULT_SETTINGS = {
@@ -116,25 +118,54 @@ export async function determineApprovalAction(postId, confidenceScore) {
   }
 }
 
+/**
+ * Mark an approved post and queue it for publishing
+ * Drafts planned for a future slot wait as 'approved' until their slot time
+ */
+async function queueForPublishing(postId, approvalMethod) {
+  const result = await pool.query('SELECT scheduled_for FROM kangen_posts WHERE id = $1', [postId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Post not found');
+  }
+
+  const scheduledFor = result.rows[0].scheduled_for;
+  const publishAt = scheduledFor && new Date(scheduledFor) > new Date() ? scheduledFor : null;
+
+  await pool.query(
+    `UPDATE kangen_posts
+     SET status = $1, approval_method = $2
+     WHERE id = $3`,
+    [publishAt ? 'approved' : 'posting', approvalMethod, postId]
+  );
+
+  // Queue for publishing - handed to Facebook as a scheduled post when native scheduling is on
+  const { queuePublish } = await import('./fb-scheduling.js');
+  await queuePublish(postId, publishAt);
+
+  return publishAt;
+}
+
 /**
  * Auto-approve a post and queue it for publishing
+ * Posts with blocking compliance violations or near-duplicates are left for a reviewer
  */
 export async function autoApprovePost(postId) {
   try {
     console.log('[AutoApprover] Auto-approving post:', postId);
 
-    await pool.query(
-      `UPDATE kangen_posts
-       SET status = 'posting', approval_method = 'auto'
-       WHERE id = $1`,
-      [postId]
-    );
+    await assertCompliant(postId);
 
-    // Queue for publishing (import from queue.js)
-    const { addPublishJob } = await import('./queue.js');
-    await addPublishJob(postId);
+    // Near-duplicates of earlier posts wait for a reviewer
+    const similarity = await pool.query('SELECT similarity_score FROM kangen_posts WHERE id = $1', [postId]);
+    if (similarity.rows[0]?.similarity_score >= SIMILARITY_THRESHOLD) {
+      console.log(`[AutoApprover] Post ${postId} is a near-duplicate - left for manual review`);
+      return { success: false, action: 'manual_review' };
+    }
+
+    const publishAt = await queueForPublishing(postId, 'auto');
 
-    console.log('[AutoApprover] Post queued for publishing');
+    console.log(`[AutoApprover] Post queued for publishing${publishAt ? ` at its slot time ${new Date(publishAt).toISOString()}` : ''}`);
     return { success: true, action: 'auto_approve' };
   } catch (error) {
     console.error('[AutoApprover] Error auto-approving post:', error);
@@ -162,9 +193,10 @@ export async function scheduleDelayedApproval(postId, delayMinutes) {
     // Set timeout to approve
     setTimeout(async () => {
       try {
-        const result = await pool.query('SELECT status FROM kangen_posts WHERE id = $1', [postId]);
+        const result = await pool.query('SELECT status, approval_method FROM kangen_posts WHERE id = $1', [postId]);
 
-        if (result.rows[0].status === 'scheduled') {
+        // Regenerated drafts drop their delayed approval and wait for review
+        if (result.rows[0].status === 'scheduled' && result.rows[0].approval_method === 'delayed') {
           // User hasn't manually rejected, so auto-approve
           await autoApprovePost(postId);
           console.log(`[AutoApprover] Delayed approval executed for post ${postId}`);
@@ -223,23 +255,21 @@ export async function rejectPost(postId, reason) {
 
 /**
  * User approves a post - learn this worked well
+ * Blocking compliance violations need an override: the reviewer's name and a reason
  */
-export async function userApprovePost(postId) {
+export async function userApprovePost(postId, { reviewer = null, overrideReason = null } = {}) {
   try {
     console.log('[AutoApprover] User approved post:', postId);
 
-    await pool.query(
-      `UPDATE kangen_posts
-       SET status = 'posting', approval_method = 'manual_approve'
-       WHERE id = $1`,
-      [postId]
-    );
+    if (reviewer && overrideReason) {
+      await overrideCompliance(postId, { reviewer, reason: overrideReason });
+    }
+
+    await assertCompliant(postId);
 
-    // Queue for publishing
-    const { addPublishJob } = await import('./queue.js');
-    await addPublishJob(postId);
+    const publishAt = await queueForPublishing(postId, 'manual_approve');
 
-    return { success: true, action: 'approved' };
+    return { success: true, action: 'approved', publishAt };
   } catch (error) {
     console.error('[AutoApprover] Error approving post:', error);
     throw error;
@@ -306,12 +336,18 @@ export async function getApprovalStats() {
 export async function getPendingReview(limit = 10) {
   try {
     const result = await pool.query(
-      `SELECT id, topic, content, confidence_score, created_at, image_url, hashtags, approval_method
-       FROM kangen_posts
-       WHERE status = 'scheduled'
-       ORDER BY confidence_score ASC, created_at DESC
+      `SELECT kp.id, kp.topic, kp.content, kp.confidence_score, kp.created_at, kp.image_url, kp.hashtags,
+              kp.approval_method, kp.slot_id, kp.scheduled_for, kp.language, kp.recycled_from_id, kp.compliance_status, kp.compliance_flags,
+              kp.compliance_override_by, kp.compliance_override_reason,
+              kp.similarity_score, kp.similar_post_id, kp.similarity_score >= $2 as is_near_duplicate,
+              sp.topic as similar_post_topic, sp.content as similar_post_content, sp.status as similar_post_status,
+              sp.posted_at as similar_post_posted_at, sp.facebook_post_id as similar_post_facebook_id
+       FROM kangen_posts kp
+       LEFT JOIN kangen_posts sp ON sp.id = kp.similar_post_id
+       WHERE kp.status = 'scheduled'
+       ORDER BY kp.scheduled_for ASC NULLS FIRST, kp.confidence_score ASC, kp.created_at DESC
        LIMIT $1`,
-      [limit]
+      [limit, SIMILARITY_THRESHOLD]
     );
 
     return result.rows;
@@ -0,0 +1,343 @@
+/**
+ * Campaigns
+ * Time-bounded pushes (summer hydration, New Year wellness, product launches)
+ * - topic boosts multiply topic weights in weighted and Thompson selection
+ * - prompt context is added to the generation prompt for posts in the campaign
+ * Campaign dates are page-local dates, inclusive
+ */
+
+import moment from 'moment-timezone';
+import pool from './db.js';
+import { getTimezone } from './page-settings.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BOOST = 10;
+
+// Dates come back as plain strings rather than server-local Date objects
+const CAMPAIGN_COLUMNS = `
+  id, name, topic_boosts, prompt_context, enabled, created_at, updated_at,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date`;
+
+/**
+ * Validate campaign fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateCampaign(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name is required');
+    } else if (data.name.trim().length > 255) {
+      errors.push('name must be at most 255 characters');
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (!partial || data[field] !== undefined) {
+      if (!DATE_PATTERN.test(data[field] || '')) {
+        errors.push(`${field} must be YYYY-MM-DD`);
+      }
+    }
+  }
+
+  if (data.startDate && data.endDate && data.endDate < data.startDate) {
+    errors.push('endDate must not be before startDate');
+  }
+
+  if (data.topicBoosts !== undefined) {
+    const boosts = data.topicBoosts;
+    if (!boosts || typeof boosts !== 'object' || Array.isArray(boosts)) {
+      errors.push('topicBoosts must be an object of topic name to multiplier');
+    } else {
+      for (const [topic, multiplier] of Object.entries(boosts)) {
+        if (typeof multiplier !== 'number' || multiplier <= 0 || multiplier > MAX_BOOST) {
+          errors.push(`topicBoosts["${topic}"] must be a number above 0 and at most ${MAX_BOOST}`);
+        }
+      }
+    }
+  }
+
+  if (data.promptContext !== undefined && data.promptContext !== null && typeof data.promptContext !== 'string') {
+    errors.push('promptContext must be a string');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * List campaigns, newest first
+ */
+export async function getCampaigns() {
+  try {
+    const result = await pool.query(
+      `SELECT ${CAMPAIGN_COLUMNS} FROM campaigns ORDER BY start_date DESC, id DESC`
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[Campaigns] Error fetching campaigns:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single campaign
+ */
+export async function getCampaign(campaignId) {
+  try {
+    const result = await pool.query(`SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE id = $1`, [campaignId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Campaigns] Error fetching campaign:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a campaign
+ */
+export async function createCampaign({
+  name,
+  startDate,
+  endDate,
+  topicBoosts = {},
+  promptContext = null,
+  enabled = true,
+}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO campaigns (name, start_date, end_date, topic_boosts, prompt_context, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [name.trim(), startDate, endDate, JSON.stringify(topicBoosts), promptContext, enabled]
+    );
+
+    const campaign = await getCampaign(result.rows[0].id);
+    console.log(`[Campaigns] Created campaign ${campaign.id} (${campaign.name}) for ${campaign.start_date} - ${campaign.end_date}`);
+    return campaign;
+  } catch (error) {
+    console.error('[Campaigns] Error creating campaign:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Convert a stored campaign back into API field names
+ */
+export function toCampaignInput(row) {
+  return {
+    name: row.name,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    topicBoosts: row.topic_boosts,
+    promptContext: row.prompt_context,
+    enabled: row.enabled,
+  };
+}
+
+/**
+ * Update a campaign (only the provided fields change)
+ */
+export async function updateCampaign(campaignId, updates) {
+  try {
+    const existing = await getCampaign(campaignId);
+    if (!existing) return null;
+
+    const campaign = { ...toCampaignInput(existing), ...updates };
+
+    await pool.query(
+      `UPDATE campaigns
+       SET name = $1, start_date = $2, end_date = $3, topic_boosts = $4, prompt_context = $5,
+           enabled = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7`,
+      [
+        campaign.name.trim(),
+        campaign.startDate,
+        campaign.endDate,
+        JSON.stringify(campaign.topicBoosts || {}),
+        campaign.promptContext,
+        campaign.enabled,
+        campaignId,
+      ]
+    );
+
+    console.log(`[Campaigns] Updated campaign ${campaignId}`);
+    return getCampaign(campaignId);
+  } catch (error) {
+    console.error('[Campaigns] Error updating campaign:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a campaign (its posts keep their content but lose the campaign link)
+ */
+export async function deleteCampaign(campaignId) {
+  try {
+    const result = await pool.query('DELETE FROM campaigns WHERE id = $1 RETURNING id', [campaignId]);
+
+    if (result.rows.length > 0) {
+      console.log(`[Campaigns] Deleted campaign ${campaignId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Campaigns] Error deleting campaign:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Enabled campaigns running on the page-local date of `at`
+ */
+export async function getActiveCampaigns(at = new Date()) {
+  try {
+    const timezone = await getTimezone();
+    const localDate = moment.tz(at, timezone).format('YYYY-MM-DD');
+
+    const result = await pool.query(
+      `SELECT ${CAMPAIGN_COLUMNS}
+       FROM campaigns
+       WHERE enabled = true
+       AND $1::date BETWEEN start_date AND end_date
+       ORDER BY start_date DESC, id DESC`,
+      [localDate]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Campaigns] Error fetching active campaigns:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Combined topic multipliers from the active campaigns
+ * Overlapping campaigns that boost the same topic multiply together
+ */
+export function getTopicBoosts(campaigns) {
+  const boosts = {};
+
+  for (const campaign of campaigns) {
+    for (const [topic, multiplier] of Object.entries(campaign.topic_boosts || {})) {
+      boosts[topic] = (boosts[topic] || 1) * multiplier;
+    }
+  }
+
+  return boosts;
+}
+
+/**
+ * The campaign a post on `topic` at `at` belongs to
+ * A running campaign that boosts the topic wins; otherwise the most recently
+ * started running campaign. Returns null outside any campaign.
+ */
+export async function resolveCampaign(topic, at = new Date()) {
+  const campaigns = await getActiveCampaigns(at);
+  if (campaigns.length === 0) return null;
+
+  return campaigns.find((campaign) => campaign.topic_boosts?.[topic] !== undefined) || campaigns[0];
+}
+
+/**
+ * Engagement report for one campaign
+ * Compared against posts outside any campaign in the 90 days before it started
+ */
+export async function getCampaignReport(campaignId) {
+  try {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) return null;
+
+    // Likes / comments / shares come from each post's latest engagement snapshot
+    const totals = await pool.query(
+      `SELECT
+         COUNT(*) as total_posts,
+         COUNT(*) FILTER (WHERE kp.status = 'posted') as posted,
+         AVG(kp.engagement_rate) FILTER (WHERE kp.status = 'posted') as avg_engagement,
+         COALESCE(SUM(pe.likes), 0) as likes,
+         COALESCE(SUM(pe.comments), 0) as comments,
+         COALESCE(SUM(pe.shares), 0) as shares
+       FROM kangen_posts kp
+       LEFT JOIN LATERAL (
+         SELECT likes, comments, shares
+         FROM post_engagement
+         WHERE post_id = kp.id
+         ORDER BY measured_at DESC
+         LIMIT 1
+       ) pe ON true
+       WHERE kp.campaign_id = $1`,
+      [campaignId]
+    );
+
+    const byTopic = await pool.query(
+      `SELECT topic,
+              COUNT(*) as posts,
+              AVG(engagement_rate) FILTER (WHERE status = 'posted') as avg_engagement
+       FROM kangen_posts
+       WHERE campaign_id = $1
+       GROUP BY topic
+       ORDER BY posts DESC`,
+      [campaignId]
+    );
+
+    const baseline = await pool.query(
+      `SELECT AVG(engagement_rate) as avg_engagement, COUNT(*) as posts
+       FROM kangen_posts
+       WHERE status = 'posted'
+       AND campaign_id IS NULL
+       AND posted_at < $1::date
+       AND posted_at >= $1::date - INTERVAL '90 days'`,
+      [campaign.start_date]
+    );
+
+    const row = totals.rows[0];
+    const avgEngagement = row.avg_engagement !== null ? parseFloat(row.avg_engagement) : null;
+    const baselineEngagement = baseline.rows[0].avg_engagement !== null
+      ? parseFloat(baseline.rows[0].avg_engagement)
+      : null;
+
+    return {
+      campaign,
+      totalPosts: parseInt(row.total_posts),
+      posted: parseInt(row.posted),
+      avgEngagement: avgEngagement !== null ? parseFloat(avgEngagement.toFixed(2)) : null,
+      likes: parseInt(row.likes),
+      comments: parseInt(row.comments),
+      shares: parseInt(row.shares),
+      baseline: {
+        avgEngagement: baselineEngagement !== null ? parseFloat(baselineEngagement.toFixed(2)) : null,
+        posts: parseInt(baseline.rows[0].posts),
+      },
+      lift: avgEngagement !== null && baselineEngagement
+        ? parseFloat(((avgEngagement - baselineEngagement) / baselineEngagement).toFixed(3))
+        : null,
+      topics: byTopic.rows.map((topicRow) => ({
+        topic: topicRow.topic,
+        posts: parseInt(topicRow.posts),
+        avgEngagement: topicRow.avg_engagement !== null ? parseFloat(parseFloat(topicRow.avg_engagement).toFixed(2)) : null,
+      })),
+    };
+  } catch (error) {
+    console.error('[Campaigns] Error building campaign report:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  validateCampaign,
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  toCampaignInput,
+  updateCampaign,
+  deleteCampaign,
+  getActiveCampaigns,
+  getTopicBoosts,
+  resolveCampaign,
+  getCampaignReport,
+};
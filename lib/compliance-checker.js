@@ -0,0 +1,539 @@
+/**
+ * Compliance Checker
+ * Scans post text for health, income and policy claims using a configurable
+ * rule list (phrase dictionaries and regexes, each with a severity)
+ * - block: the post cannot be approved unless a reviewer overrides with a reason
+ * - warn / info: flagged for the reviewer, approval allowed
+ * Runs after generation and whenever post text changes
+ */
+
+import pool from './db.js';
+
+export const RULE_KINDS = ['phrase', 'regex'];
+export const SEVERITIES = ['block', 'warn', 'info'];
+
+// Seeded on first run
+export const DEFAULT_RULES = [
+  {
+    name: 'Cure / treatment claims',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'block',
+    patterns: [
+      '\\bcur(e|es|ed|ing)\\b',
+      '\\b(treat|treats|treating|heal|heals|healing|reverse|reverses|reversing)\\s+(your\\s+)?(disease|illness|cancer|diabetes|arthritis|acid reflux|inflammation)',
+    ],
+    message: 'Claims to cure, treat or heal a condition (FTC / Facebook health policy)',
+  },
+  {
+    name: 'Disease prevention claims',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'block',
+    patterns: ['\\bprevent(s|ed|ing)?\\s+(cancer|diabetes|disease|illness|heart disease|arthritis)'],
+    message: 'Claims to prevent a disease',
+  },
+  {
+    name: 'Named diseases',
+    kind: 'phrase',
+    category: 'medical',
+    severity: 'warn',
+    patterns: ['cancer', 'diabetes', 'arthritis', 'high blood pressure', 'kidney stones', 'acid reflux', 'gout'],
+    message: 'Mentions a disease - make sure no benefit is implied',
+  },
+  {
+    name: 'Drug and doctor comparisons',
+    kind: 'phrase',
+    category: 'medical',
+    severity: 'block',
+    patterns: ['instead of medication', 'replace your medication', 'better than medicine', 'doctors recommend', 'clinically proven'],
+    message: 'Positions the product against medical treatment or cites unsupported clinical backing',
+  },
+  {
+    name: 'Income claims',
+    kind: 'phrase',
+    category: 'income',
+    severity: 'block',
+    patterns: ['passive income', 'financial freedom', 'quit your job', 'be your own boss', 'earn extra income', 'make money from home'],
+    message: 'Income or business opportunity claim (FTC)',
+  },
+  {
+    name: 'Income amounts',
+    kind: 'regex',
+    category: 'income',
+    severity: 'block',
+    patterns: ['\\b(earn|make|made|making)\\s+\\$\\s?\\d'],
+    message: 'States an earnings amount (FTC)',
+  },
+  {
+    name: 'Guarantees',
+    kind: 'phrase',
+    category: 'policy',
+    severity: 'warn',
+    patterns: ['guaranteed results', '100% guaranteed', 'miracle', 'risk-free'],
+    message: 'Absolute or miracle language',
+  },
+];
+
+// Japanese counterparts - regexes, since Japanese has no spaces for whole-word phrase matching
+export const JAPANESE_RULES = [
+  {
+    name: 'Cure / treatment claims (Japanese)',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'block',
+    patterns: [
+      '(?<!政)治(る|り|す|せ|った|して|します|ります)',
+      '治癒|完治',
+      '(病気|がん(?!ば)|ガン|癌|糖尿病|関節炎|炎症|高血圧|痛風|逆流性食道炎)(を|が|も)?(改善|解消|回復)',
+    ],
+    message: 'Claims to cure, treat or heal a condition (FTC / Facebook health policy)',
+  },
+  {
+    name: 'Disease prevention claims (Japanese)',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'block',
+    patterns: ['(がん(?!ば)|ガン|癌|糖尿病|病気|生活習慣病|心臓病|関節炎)(の|を)?(予防|防止|防[ぎぐげ])'],
+    message: 'Claims to prevent a disease',
+  },
+  {
+    name: 'Named diseases (Japanese)',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'warn',
+    patterns: ['がん(?!ば)|ガン|癌', '糖尿病', '関節炎', '高血圧', '腎臓結石|尿路結石', '逆流性食道炎', '痛風'],
+    message: 'Mentions a disease - make sure no benefit is implied',
+  },
+  {
+    name: 'Drug and doctor comparisons (Japanese)',
+    kind: 'regex',
+    category: 'medical',
+    severity: 'block',
+    patterns: ['薬(の|が)?(代わり|いらず|不要)', '薬より', '(医師|医者)(も|が)(推奨|おすすめ|お勧め|勧め)', '臨床(的に)?(実証|証明)'],
+    message: 'Positions the product against medical treatment or cites unsupported clinical backing',
+  },
+  {
+    name: 'Income claims (Japanese)',
+    kind: 'regex',
+    category: 'income',
+    severity: 'block',
+    patterns: ['不労所得', '権利収入', '経済的(な)?自由', '副収入', '会社を辞め', '在宅で(稼|収入|お金)'],
+    message: 'Income or business opportunity claim (FTC)',
+  },
+  {
+    name: 'Income amounts (Japanese)',
+    kind: 'regex',
+    category: 'income',
+    severity: 'block',
+    patterns: ['(月収|年収)\\s?\\d', '\\d[\\d,]*\\s?万?円(を|も|が)?(稼|儲)'],
+    message: 'States an earnings amount (FTC)',
+  },
+  {
+    name: 'Guarantees (Japanese)',
+    kind: 'regex',
+    category: 'policy',
+    severity: 'warn',
+    patterns: ['効果(を|は)?保証', '100[%％]保証', '奇跡', 'リスク(ゼロ|なし)'],
+    message: 'Absolute or miracle language',
+  },
+];
+
+// Rules are re-read at most this often so other instances pick up changes
+const CACHE_MS = 60 * 1000;
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * Thrown when a post with blocking violations is approved without an override
+ */
+export class ComplianceError extends Error {
+  constructor(postId, flags) {
+    super(`Post ${postId} has ${flags.length} blocking compliance violation(s): ${[...new Set(flags.map((flag) => flag.match))].join(', ')}`);
+    this.name = 'ComplianceError';
+    this.postId = postId;
+    this.flags = flags;
+  }
+}
+
+/**
+ * Seed default rules if the table is empty
+ * Rule lists seeded before Japanese posts existed get the Japanese rules added
+ * (matched by name - disable a default rule rather than deleting it)
+ */
+export async function initializeComplianceRules() {
+  try {
+    const result = await pool.query('SELECT name FROM compliance_rules');
+    const existing = new Set(result.rows.map((row) => row.name));
+
+    const missing = existing.size === 0
+      ? [...DEFAULT_RULES, ...JAPANESE_RULES]
+      : JAPANESE_RULES.filter((rule) => !existing.has(rule.name));
+
+    for (const rule of missing) {
+      await createComplianceRule(rule);
+    }
+    if (missing.length > 0) {
+      console.log('[Compliance] Seeded', missing.length, 'rules');
+    }
+  } catch (error) {
+    console.error('[Compliance] Error initializing rules:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List rules (enabled only for checking)
+ */
+export async function getComplianceRules({ enabledOnly = false } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM compliance_rules
+       WHERE ($1::boolean = false OR enabled = true)
+       ORDER BY id ASC`,
+      [enabledOnly]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[Compliance] Error fetching rules:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single rule
+ */
+export async function getComplianceRule(ruleId) {
+  try {
+    const result = await pool.query('SELECT * FROM compliance_rules WHERE id = $1', [ruleId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Compliance] Error fetching rule:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate rule fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateComplianceRule(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || data.kind !== undefined) {
+    if (!RULE_KINDS.includes(data.kind)) {
+      errors.push(`kind must be one of: ${RULE_KINDS.join(', ')}`);
+    }
+  }
+
+  if (!partial || data.severity !== undefined) {
+    if (!SEVERITIES.includes(data.severity)) {
+      errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  if (!partial || data.patterns !== undefined) {
+    if (
+      !Array.isArray(data.patterns) ||
+      data.patterns.length === 0 ||
+      !data.patterns.every((pattern) => typeof pattern === 'string' && pattern.trim().length > 0)
+    ) {
+      errors.push('patterns must be a non-empty array of strings');
+    } else if (data.kind === 'regex') {
+      for (const pattern of data.patterns) {
+        try {
+          new RegExp(pattern, 'giu');
+        } catch (error) {
+          errors.push(`invalid regex "${pattern}": ${error.message}`);
+        }
+      }
+    }
+  }
+
+  for (const field of ['category', 'message']) {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Create a rule
+ */
+export async function createComplianceRule({
+  name,
+  kind,
+  patterns,
+  severity,
+  category = null,
+  message = null,
+  enabled = true,
+}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO compliance_rules (name, kind, patterns, severity, category, message, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name.trim(), kind, patterns, severity, category, message, enabled]
+    );
+
+    cachedRules = null;
+    console.log(`[Compliance] Created rule ${result.rows[0].id}: ${result.rows[0].name}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[Compliance] Error creating rule:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a rule (only the provided fields change)
+ */
+export async function updateComplianceRule(ruleId, updates) {
+  try {
+    const existing = await getComplianceRule(ruleId);
+    if (!existing) return null;
+
+    const rule = {
+      name: updates.name !== undefined ? updates.name.trim() : existing.name,
+      kind: updates.kind !== undefined ? updates.kind : existing.kind,
+      patterns: updates.patterns !== undefined ? updates.patterns : existing.patterns,
+      severity: updates.severity !== undefined ? updates.severity : existing.severity,
+      category: updates.category !== undefined ? updates.category : existing.category,
+      message: updates.message !== undefined ? updates.message : existing.message,
+      enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+    };
+
+    const result = await pool.query(
+      `UPDATE compliance_rules
+       SET name = $1, kind = $2, patterns = $3, severity = $4, category = $5, message = $6,
+           enabled = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [rule.name, rule.kind, rule.patterns, rule.severity, rule.category, rule.message, rule.enabled, ruleId]
+    );
+
+    cachedRules = null;
+    console.log(`[Compliance] Updated rule ${ruleId}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[Compliance] Error updating rule:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a rule
+ */
+export async function deleteComplianceRule(ruleId) {
+  try {
+    const result = await pool.query('DELETE FROM compliance_rules WHERE id = $1 RETURNING id', [ruleId]);
+
+    if (result.rows.length > 0) {
+      cachedRules = null;
+      console.log(`[Compliance] Deleted rule ${ruleId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Compliance] Error deleting rule:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rule with its patterns compiled to regexes (invalid patterns are skipped)
+ */
+export function compileRule(rule) {
+  return {
+    ...rule,
+    regexes: rule.patterns
+      .map((pattern) => {
+        // Phrases match whole words, case-insensitive
+        const source = rule.kind === 'phrase'
+          ? `(?<![\\p{L}\\p{N}])${pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`
+          : pattern;
+        try {
+          return new RegExp(source, 'giu');
+        } catch (error) {
+          console.error(`[Compliance] Skipping invalid pattern in rule ${rule.id}: ${pattern}`);
+          return null;
+        }
+      })
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Enabled rules with their patterns compiled (cached for CACHE_MS)
+ */
+async function getCompiledRules() {
+  if (cachedRules && Date.now() - cachedAt < CACHE_MS) {
+    return cachedRules;
+  }
+
+  const rules = await getComplianceRules({ enabledOnly: true });
+
+  cachedRules = rules.map(compileRule);
+  cachedAt = Date.now();
+
+  return cachedRules;
+}
+
+/**
+ * Check text against the enabled rules
+ * Returns { status: 'pass' | 'warn' | 'block', flags: [{ ruleId, ruleName, category, severity, message, match, start, end }] }
+ * (start / end are character offsets into `text`)
+ */
+export async function checkCompliance(text) {
+  const rules = await getCompiledRules();
+  const flags = [];
+
+  for (const rule of rules) {
+    for (const regex of rule.regexes) {
+      for (const match of (text || '').matchAll(regex)) {
+        if (match[0].length === 0) continue;
+
+        flags.push({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          category: rule.category,
+          severity: rule.severity,
+          message: rule.message,
+          match: match[0],
+          start: match.index,
+          end: match.index + match[0].length,
+        });
+      }
+    }
+  }
+
+  flags.sort((a, b) => a.start - b.start);
+
+  let status = 'pass';
+  if (flags.some((flag) => flag.severity === 'block')) {
+    status = 'block';
+  } else if (flags.some((flag) => flag.severity === 'warn')) {
+    status = 'warn';
+  }
+
+  return { status, flags };
+}
+
+/**
+ * Check a post's current text and store the result on the post
+ * Offsets refer to the post text as published: content, blank line, hashtags
+ * Any earlier reviewer override is cleared when the flags change
+ */
+export async function checkPostCompliance(postId) {
+  try {
+    const result = await pool.query(
+      'SELECT content, hashtags, compliance_flags FROM kangen_posts WHERE id = $1',
+      [postId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Post not found');
+    }
+
+    const post = result.rows[0];
+    const text = post.hashtags ? `${post.content}\n\n${post.hashtags}` : post.content;
+    const { status, flags } = await checkCompliance(text);
+
+    const flagsChanged = JSON.stringify(flagSignature(flags)) !== JSON.stringify(flagSignature(post.compliance_flags || []));
+
+    await pool.query(
+      `UPDATE kangen_posts
+       SET compliance_status = $1, compliance_flags = $2, compliance_checked_at = CURRENT_TIMESTAMP,
+           compliance_override_by = CASE WHEN $3 THEN NULL ELSE compliance_override_by END,
+           compliance_override_reason = CASE WHEN $3 THEN NULL ELSE compliance_override_reason END,
+           compliance_override_at = CASE WHEN $3 THEN NULL ELSE compliance_override_at END
+       WHERE id = $4`,
+      [status, JSON.stringify(flags), flagsChanged, postId]
+    );
+
+    if (status !== 'pass') {
+      console.log(`[Compliance] Post ${postId}: ${status} (${flags.length} flag(s): ${[...new Set(flags.map((flag) => flag.match))].join(', ')})`);
+    }
+
+    return { postId, status, flags };
+  } catch (error) {
+    console.error('[Compliance] Error checking post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Throw ComplianceError if the post has blocking violations and no override
+ * Posts never checked (e.g. created before the checker) are checked first
+ */
+export async function assertCompliant(postId) {
+  const result = await pool.query(
+    'SELECT compliance_status, compliance_flags, compliance_override_at FROM kangen_posts WHERE id = $1',
+    [postId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Post not found');
+  }
+
+  let { compliance_status: status, compliance_flags: flags } = result.rows[0];
+  if (!status) {
+    ({ status, flags } = await checkPostCompliance(postId));
+  }
+
+  if (status === 'block' && !result.rows[0].compliance_override_at) {
+    throw new ComplianceError(postId, flags.filter((flag) => flag.severity === 'block'));
+  }
+}
+
+/**
+ * Record a reviewer's decision to approve despite blocking violations
+ */
+export async function overrideCompliance(postId, { reviewer, reason }) {
+  try {
+    await pool.query(
+      `UPDATE kangen_posts
+       SET compliance_override_by = $1, compliance_override_reason = $2, compliance_override_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [reviewer, reason, postId]
+    );
+
+    console.log(`[Compliance] Post ${postId} override by ${reviewer}: ${reason}`);
+  } catch (error) {
+    console.error('[Compliance] Error recording override:', error.message);
+    throw error;
+  }
+}
+
+function flagSignature(flags) {
+  return flags.map((flag) => [flag.ruleId, flag.match.toLowerCase(), flag.start]);
+}
+
+export default {
+  RULE_KINDS,
+  SEVERITIES,
+  ComplianceError,
+  initializeComplianceRules,
+  getComplianceRules,
+  getComplianceRule,
+  validateComplianceRule,
+  createComplianceRule,
+  updateComplianceRule,
+  deleteComplianceRule,
+  compileRule,
+  checkCompliance,
+  checkPostCompliance,
+  assertCompliant,
+  overrideCompliance,
+};
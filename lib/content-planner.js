@@ -0,0 +1,324 @@
+/**
+ * Content Planner
+ * Fills the next N days of posting slots with topics and pre-generates drafts
+ * well ahead of time so reviewers can approve a whole week at once
+ */
+
+import moment from 'moment-timezone';
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { addContentGenerationJob } from './queue.js';
+import { chooseTopic } from './topic-analyzer.js';
+import { resolveOverrides } from './schedule-overrides.js';
+import { getPostingSlots, getSlotOccurrences, formatSlotTime } from './posting-slots.js';
+import { getTimezone } from './page-settings.js';
+
+dotenv.config();
+
+// How many days of slots to plan ahead (0 disables automatic planning)
+export const PLANNING_DAYS_AHEAD = parseInt(process.env.PLANNING_DAYS_AHEAD || '0');
+// Drafts are generated this many hours before their slot
+const DRAFT_LEAD_HOURS = parseInt(process.env.DRAFT_LEAD_HOURS || '48');
+
+/**
+ * Plan topics for every enabled slot occurrence in the next `days` days
+ * Topics are chosen the same way as for live slots (the page's topic selection
+ * mode), in slot time order so rotation continues from one planned slot to the next
+ * Existing plan entries are left alone; blackout occurrences are recorded as such
+ * Entries whose slot was retimed or disabled since are removed first
+ */
+export async function planUpcomingSlots(days = PLANNING_DAYS_AHEAD || 7) {
+  try {
+    console.log(`[Planner] Planning slots for the next ${days} day(s)...`);
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const timezone = await getTimezone();
+    const slots = await getPostingSlots({ enabledOnly: true });
+    const planned = [];
+
+    await removeStalePlanEntries(slots, timezone);
+
+    const occurrences = slots
+      .flatMap((slot) => getSlotOccurrences(slot, now, until, timezone).map((scheduledFor) => ({ slot, scheduledFor })))
+      .sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+    // Topic of the previous occurrence (null = continue from the last posted topic)
+    let previousTopic = null;
+
+    for (const { slot, scheduledFor } of occurrences) {
+      const existing = await getPlanEntry(slot.id, scheduledFor);
+      if (existing) {
+        previousTopic = existing.topic || previousTopic;
+        continue;
+      }
+
+      const { blackout, topicOverride } = await resolveOverrides(slot.id, scheduledFor, timezone);
+
+      let topic;
+      let status = 'planned';
+      let note = null;
+
+      if (blackout) {
+        topic = null;
+        status = 'blackout';
+        note = blackout.reason;
+      } else if (topicOverride) {
+        topic = topicOverride.topic;
+        note = 'Calendar topic override';
+      } else {
+        topic = await chooseTopic({ scheduledFor, after: previousTopic });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO content_plan (slot_id, scheduled_for, topic, status, note)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (slot_id, scheduled_for) DO NOTHING
+         RETURNING *`,
+        [slot.id, scheduledFor, topic, status, note]
+      );
+
+      if (result.rows.length > 0) {
+        planned.push(result.rows[0]);
+      }
+      previousTopic = topic || previousTopic;
+    }
+
+    console.log(`[Planner] ✓ Planned ${planned.length} new slot(s)`);
+    return planned;
+  } catch (error) {
+    console.error('[Planner] Error planning slots:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete upcoming 'planned' / 'blackout' entries that no longer match an
+ * occurrence of an enabled slot (slot retimed, moved by the timing optimizer
+ * or disabled). Entries with a draft already are kept for the reviewer.
+ * Returns the number of entries removed
+ */
+async function removeStalePlanEntries(slots, timezone) {
+  const upcoming = await pool.query(
+    `SELECT id, slot_id, scheduled_for FROM content_plan
+     WHERE status IN ('planned', 'blackout')
+     AND scheduled_for > NOW()
+     ORDER BY scheduled_for ASC`
+  );
+  if (upcoming.rows.length === 0) return 0;
+
+  const now = new Date();
+  const horizon = new Date(new Date(upcoming.rows[upcoming.rows.length - 1].scheduled_for).getTime() + 60 * 1000);
+  const current = new Set(
+    slots.flatMap((slot) => getSlotOccurrences(slot, now, horizon, timezone).map((at) => `${slot.id}@${at.getTime()}`))
+  );
+
+  const stale = upcoming.rows
+    .filter((entry) => !current.has(`${entry.slot_id}@${new Date(entry.scheduled_for).getTime()}`))
+    .map((entry) => entry.id);
+
+  if (stale.length > 0) {
+    await pool.query('DELETE FROM content_plan WHERE id = ANY($1)', [stale]);
+    console.log(`[Planner] Removed ${stale.length} plan entr${stale.length === 1 ? 'y' : 'ies'} for retimed or disabled slots`);
+  }
+
+  return stale.length;
+}
+
+/**
+ * Queue draft generation for planned slots coming up within the lead time
+ * Uses the same deterministic job ID as the slot itself, so the slot firing
+ * later never generates a second draft
+ */
+export async function generateDueDrafts(leadHours = DRAFT_LEAD_HOURS) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM content_plan
+       WHERE status = 'planned'
+       AND scheduled_for > NOW()
+       AND scheduled_for <= NOW() + ($1 || ' hours')::INTERVAL
+       ORDER BY scheduled_for ASC`,
+      [leadHours]
+    );
+
+    for (const entry of result.rows) {
+      await addContentGenerationJob(entry.topic, {
+        slotId: entry.slot_id,
+        scheduledFor: entry.scheduled_for,
+        planId: entry.id,
+      });
+      await updatePlanStatus(entry.id, 'generating');
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`[Planner] ✓ Queued ${result.rows.length} draft(s) due within ${leadHours}h`);
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error('[Planner] Error generating due drafts:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the plan entry for a slot occurrence
+ */
+export async function getPlanEntry(slotId, scheduledFor) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM content_plan WHERE slot_id = $1 AND scheduled_for = $2',
+      [slotId, scheduledFor]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Planner] Error fetching plan entry:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a plan entry's status
+ */
+export async function updatePlanStatus(planId, status) {
+  await pool.query(
+    'UPDATE content_plan SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [status, planId]
+  );
+}
+
+/**
+ * Link a generated draft to its plan entry
+ */
+export async function attachDraft(planId, postId) {
+  try {
+    await pool.query(
+      `UPDATE content_plan
+       SET post_id = $1, status = 'drafted', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [postId, planId]
+    );
+    console.log(`[Planner] Draft ${postId} attached to plan entry ${planId}`);
+  } catch (error) {
+    console.error('[Planner] Error attaching draft:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Change the topic of a planned slot (only before its draft exists)
+ */
+export async function updatePlannedTopic(planId, topic) {
+  try {
+    const result = await pool.query(
+      `UPDATE content_plan
+       SET topic = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'planned'
+       RETURNING *`,
+      [topic, planId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Planner] Error updating planned topic:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Calendar view of planned, drafted, approved and posted items per slot
+ * Grouped by local date, starting today unless `from` is given
+ */
+export async function getCalendar({ from = null, days = 7 } = {}) {
+  try {
+    const timezone = await getTimezone();
+    from = from ? new Date(from) : moment.tz(timezone).startOf('day').toDate();
+    const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const result = await pool.query(
+      `SELECT cp.id as plan_id, cp.slot_id, cp.scheduled_for, cp.topic, cp.status as plan_status, cp.note,
+              ps.name as slot_name, ps.hour, ps.minute,
+              kp.id as post_id, kp.status as post_status, kp.confidence_score, kp.content, kp.image_url, kp.posted_at
+       FROM content_plan cp
+       LEFT JOIN posting_slots ps ON ps.id = cp.slot_id
+       LEFT JOIN kangen_posts kp ON kp.id = cp.post_id
+       WHERE cp.scheduled_for >= $1 AND cp.scheduled_for < $2
+       ORDER BY cp.scheduled_for ASC, cp.slot_id ASC`,
+      [from, until]
+    );
+
+    const byDate = new Map();
+
+    for (const row of result.rows) {
+      const date = new Date(row.scheduled_for).toLocaleDateString('en-CA', { timeZone: timezone });
+
+      if (!byDate.has(date)) {
+        byDate.set(date, []);
+      }
+
+      byDate.get(date).push({
+        planId: row.plan_id,
+        slotId: row.slot_id,
+        slotName: row.slot_name,
+        slotTime: row.slot_name ? formatSlotTime(row) : null,
+        scheduledFor: row.scheduled_for,
+        topic: row.topic,
+        state: getCalendarState(row),
+        note: row.note,
+        postId: row.post_id,
+        confidenceScore: row.confidence_score,
+        preview: row.content ? row.content.substring(0, 140) : null,
+        imageUrl: row.image_url,
+        postedAt: row.posted_at,
+      });
+    }
+
+    const calendar = [...byDate.entries()].map(([date, items]) => ({ date, items }));
+    const counts = result.rows.reduce((acc, row) => {
+      const state = getCalendarState(row);
+      acc[state] = (acc[state] || 0) + 1;
+      return acc;
+    }, {});
+
+    return { from, until, timezone, counts, days: calendar };
+  } catch (error) {
+    console.error('[Planner] Error building calendar:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Collapse plan status + post status into one calendar state
+ */
+function getCalendarState(row) {
+  if (!row.post_id) {
+    return row.plan_status; // planned, generating, blackout
+  }
+
+  switch (row.post_status) {
+    case 'posted':
+      return 'posted';
+    case 'approved':
+    case 'posting':
+    case 'fb_scheduled':
+      return 'approved';
+    case 'rejected':
+    case 'failed':
+    case 'skipped':
+      return row.post_status;
+    case 'scheduled':
+      return 'awaiting_approval';
+    default:
+      return 'generating';
+  }
+}
+
+export default {
+  PLANNING_DAYS_AHEAD,
+  planUpcomingSlots,
+  generateDueDrafts,
+  getPlanEntry,
+  updatePlanStatus,
+  attachDraft,
+  updatePlannedTopic,
+  getCalendar,
+};
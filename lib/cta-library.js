@@ -0,0 +1,424 @@
+/**
+ * CTA Library
+ * Managed calls-to-action (DM, link, comment prompt, event) that the generator
+ * draws from, with per-CTA engagement and lead reporting so weak CTAs can be
+ * retired
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { LANGUAGE_CODES, DEFAULT_LANGUAGE } from './languages.js';
+
+dotenv.config();
+
+export const CTA_TYPES = ['dm', 'link', 'comment-prompt', 'event'];
+export const LEAD_SOURCES = ['dm', 'comment', 'link', 'event', 'other'];
+// Posted uses before a CTA is judged on its results (until then it is picked as often as an average CTA)
+export const MIN_USES = parseInt(process.env.CTA_MIN_USES || '3');
+// CTAs below this engagement lift, and below the average lead rate, are reported as weak
+const WEAK_LIFT = parseFloat(process.env.CTA_WEAK_LIFT || '0.8');
+// Days of posted posts the report and the weighting cover
+const LOOKBACK_DAYS = parseInt(process.env.CTA_LOOKBACK_DAYS || '90');
+const MAX_TEXT_LENGTH = 200;
+// Where the seeded link CTA sends readers (it is seeded disabled without one)
+const LINK_URL = process.env.CTA_LINK_URL || null;
+
+// Seeded on first run - the CTAs the prompts used before the library existed
+const DEFAULT_CTAS = [
+  { text: 'DM for more info!', type: 'dm' },
+  { text: 'Order yours today!', type: 'link', url: LINK_URL, enabled: Boolean(LINK_URL) },
+  { text: 'Send us a message to book a free water tasting!', type: 'dm' },
+  { text: 'Which tip will you try first? Tell us in the comments!', type: 'comment-prompt' },
+];
+
+const TYPE_INSTRUCTIONS = {
+  dm: 'Invite readers to send the page a direct message.',
+  link: 'Send readers to the link.',
+  'comment-prompt': 'Ask readers to reply in the comments.',
+  event: 'Invite readers to the event.',
+};
+
+/**
+ * Seed the default CTAs if the library is empty
+ */
+export async function initializeCtaLibrary() {
+  try {
+    const result = await pool.query('SELECT COUNT(*) as count FROM cta_library');
+
+    if (parseInt(result.rows[0].count) === 0) {
+      for (const cta of DEFAULT_CTAS) {
+        await createCta(cta);
+      }
+      console.log('[CTAs] Seeded', DEFAULT_CTAS.length, 'CTAs');
+      if (!LINK_URL) {
+        console.warn('[CTAs] CTA_LINK_URL is not set - the link CTA was seeded disabled');
+      }
+    }
+  } catch (error) {
+    console.error('[CTAs] Error initializing CTA library:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List CTAs (enabled only for picking)
+ */
+export async function getCtas({ enabledOnly = false } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM cta_library
+       WHERE ($1::boolean = false OR enabled = true)
+       ORDER BY id ASC`,
+      [enabledOnly]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[CTAs] Error fetching CTAs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single CTA
+ */
+export async function getCta(ctaId) {
+  try {
+    const result = await pool.query('SELECT * FROM cta_library WHERE id = $1', [ctaId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[CTAs] Error fetching CTA:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate CTA fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateCta(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.text !== undefined) {
+    if (typeof data.text !== 'string' || data.text.trim().length === 0) {
+      errors.push('text is required');
+    } else if (data.text.trim().length > MAX_TEXT_LENGTH) {
+      errors.push(`text must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  }
+
+  if (!partial || data.type !== undefined) {
+    if (!CTA_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${CTA_TYPES.join(', ')}`);
+    }
+  }
+
+  if (data.url !== undefined && data.url !== null) {
+    if (typeof data.url !== 'string' || !/^https?:\/\/\S+$/.test(data.url) || data.url.length > 500) {
+      errors.push('url must be an http(s) URL of at most 500 characters, or null');
+    }
+  }
+
+  // null = any language (the model adapts the wording)
+  if (data.language !== undefined && data.language !== null && !LANGUAGE_CODES.includes(data.language)) {
+    errors.push(`language must be one of: ${LANGUAGE_CODES.join(', ')} or null`);
+  }
+
+  if (data.expiresAt !== undefined && data.expiresAt !== null && Number.isNaN(Date.parse(data.expiresAt))) {
+    errors.push('expiresAt must be a date or null');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Create a CTA
+ */
+export async function createCta({ text, type, url = null, language = null, expiresAt = null, enabled = true }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO cta_library (text, type, url, language, expires_at, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [text.trim(), type, url, language, expiresAt, enabled]
+    );
+
+    console.log(`[CTAs] Created CTA ${result.rows[0].id}: ${result.rows[0].text}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[CTAs] Error creating CTA:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a CTA (only the provided fields change)
+ * Disabling a CTA retires it: it is no longer picked, and its history stays
+ */
+export async function updateCta(ctaId, updates) {
+  try {
+    const existing = await getCta(ctaId);
+    if (!existing) return null;
+
+    const cta = {
+      text: updates.text !== undefined ? updates.text.trim() : existing.text,
+      type: updates.type !== undefined ? updates.type : existing.type,
+      url: updates.url !== undefined ? updates.url : existing.url,
+      language: updates.language !== undefined ? updates.language : existing.language,
+      expiresAt: updates.expiresAt !== undefined ? updates.expiresAt : existing.expires_at,
+      enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+    };
+
+    const result = await pool.query(
+      `UPDATE cta_library
+       SET text = $1, type = $2, url = $3, language = $4, expires_at = $5, enabled = $6,
+           retired_at = CASE WHEN $6 THEN NULL ELSE COALESCE(retired_at, CURRENT_TIMESTAMP) END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [cta.text, cta.type, cta.url, cta.language, cta.expiresAt, cta.enabled, ctaId]
+    );
+
+    console.log(`[CTAs] Updated CTA ${ctaId}${existing.enabled && !cta.enabled ? ' (retired)' : ''}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[CTAs] Error updating CTA:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Number of posts that used a CTA
+ */
+export async function countCtaPosts(ctaId) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM kangen_posts WHERE cta_id = $1', [ctaId]);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Delete a CTA (callers should retire CTAs that posts have used instead)
+ */
+export async function deleteCta(ctaId) {
+  try {
+    const result = await pool.query('DELETE FROM cta_library WHERE id = $1 RETURNING id', [ctaId]);
+
+    if (result.rows.length > 0) {
+      console.log(`[CTAs] Deleted CTA ${ctaId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[CTAs] Error deleting CTA:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Per-CTA results over the last `days` days of posted posts
+ * lift compares a CTA's average engagement rate with the average post;
+ * weak CTAs have enough uses, low lift and fewer leads per post than average
+ */
+export async function getCtaPerformance({ days = LOOKBACK_DAYS } = {}) {
+  try {
+    const result = await pool.query(
+      `WITH window_posts AS (
+         SELECT id, cta_id, COALESCE(engagement_rate, 0) as engagement_rate
+         FROM kangen_posts
+         WHERE status = 'posted' AND posted_at > NOW() - ($1 || ' days')::INTERVAL
+       ),
+       window_leads AS (
+         SELECT pl.cta_id, COUNT(*) as leads
+         FROM post_leads pl
+         JOIN window_posts wp ON wp.id = pl.post_id
+         GROUP BY pl.cta_id
+       )
+       SELECT c.id, c.text, c.type, c.url, c.language, c.enabled, c.retired_at, c.expires_at,
+              COUNT(wp.id) as posts,
+              AVG(wp.engagement_rate) as avg_engagement_rate,
+              COALESCE(MAX(wl.leads), 0) as leads,
+              (SELECT NULLIF(AVG(engagement_rate), 0) FROM window_posts) as baseline_rate,
+              (SELECT COUNT(*) FROM window_posts) as total_posts,
+              (SELECT COUNT(*) FROM post_leads pl JOIN window_posts wp2 ON wp2.id = pl.post_id) as total_leads
+       FROM cta_library c
+       LEFT JOIN window_posts wp ON wp.cta_id = c.id
+       LEFT JOIN window_leads wl ON wl.cta_id = c.id
+       GROUP BY c.id
+       ORDER BY c.id ASC`,
+      [days]
+    );
+
+    const averageLeadRate = result.rows.length > 0 && parseInt(result.rows[0].total_posts) > 0
+      ? parseInt(result.rows[0].total_leads) / parseInt(result.rows[0].total_posts)
+      : 0;
+
+    return result.rows.map((row) => {
+      const posts = parseInt(row.posts);
+      const leads = parseInt(row.leads);
+      const avgEngagementRate = row.avg_engagement_rate !== null ? parseFloat(row.avg_engagement_rate) : null;
+      const lift = avgEngagementRate !== null && row.baseline_rate !== null
+        ? avgEngagementRate / parseFloat(row.baseline_rate)
+        : null;
+      const leadsPerPost = posts > 0 ? leads / posts : null;
+
+      return {
+        ctaId: row.id,
+        text: row.text,
+        type: row.type,
+        url: row.url,
+        language: row.language,
+        enabled: row.enabled,
+        retiredAt: row.retired_at,
+        expiresAt: row.expires_at,
+        posts,
+        avgEngagementRate: avgEngagementRate !== null ? parseFloat(avgEngagementRate.toFixed(2)) : null,
+        lift: lift !== null ? parseFloat(lift.toFixed(2)) : null,
+        leads,
+        leadsPerPost: leadsPerPost !== null ? parseFloat(leadsPerPost.toFixed(2)) : null,
+        weak: posts >= MIN_USES && lift !== null && lift < WEAK_LIFT && leadsPerPost <= averageLeadRate,
+      };
+    });
+  } catch (error) {
+    console.error('[CTAs] Error fetching CTA performance:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Pick up to `count` different enabled, unexpired CTAs for a post in
+ * `languages` (CTAs for its primary language or for any language)
+ * Picks are weighted by engagement lift and lead rate; CTAs with fewer than
+ * MIN_USES posted uses get the weight of an average CTA so they get tried
+ * Returns an empty list when the library has nothing to offer
+ */
+export async function pickCtas(count = 1, { languages = [DEFAULT_LANGUAGE] } = {}) {
+  try {
+    const now = Date.now();
+    let remaining = (await getCtaPerformance()).filter(
+      (cta) =>
+        cta.enabled &&
+        (!cta.expiresAt || new Date(cta.expiresAt).getTime() > now) &&
+        (cta.language === null || cta.language === languages[0])
+    );
+
+    const weightOf = (cta) => (cta.posts < MIN_USES || cta.lift === null
+      ? 1
+      : Math.max(0.1, cta.lift) * (1 + (cta.leadsPerPost || 0)));
+
+    const picked = [];
+    while (picked.length < count && remaining.length > 0) {
+      const total = remaining.reduce((sum, cta) => sum + weightOf(cta), 0);
+      let threshold = Math.random() * total;
+      const choice = remaining.find((cta) => (threshold -= weightOf(cta)) <= 0) || remaining[remaining.length - 1];
+
+      picked.push(choice);
+      remaining = remaining.filter((cta) => cta !== choice);
+    }
+
+    return picked.map((cta) => ({ id: cta.ctaId, text: cta.text, type: cta.type, url: cta.url, language: cta.language }));
+  } catch (error) {
+    console.error('[CTAs] Error picking CTAs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * CALL TO ACTION section added to the generation prompt for a library CTA
+ */
+export function buildCtaInstructions(cta) {
+  const lines = [
+    'CALL TO ACTION (use this instead of any other call-to-action above):',
+    `- End with: "${cta.text}" - adapt the wording to the voice and language, keep its meaning`,
+    `- ${TYPE_INSTRUCTIONS[cta.type]}`,
+  ];
+
+  if (cta.url) {
+    lines.push(`- Include this link in the call-to-action: ${cta.url}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Validate a lead. Returns a list of error messages (empty when valid).
+ */
+export function validateLead(data) {
+  const errors = [];
+
+  if (!LEAD_SOURCES.includes(data.source)) {
+    errors.push(`source must be one of: ${LEAD_SOURCES.join(', ')}`);
+  }
+
+  for (const [field, max] of [['contact', 200], ['note', 1000]]) {
+    if (data[field] !== undefined && data[field] !== null) {
+      if (typeof data[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      } else if (data[field].length > max) {
+        errors.push(`${field} must be at most ${max} characters`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Record a lead that came from a post; it is credited to the post's CTA
+ */
+export async function recordLead(postId, { source, contact = null, note = null }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO post_leads (post_id, cta_id, source, contact, note)
+       SELECT id, cta_id, $2, $3, $4 FROM kangen_posts WHERE id = $1
+       RETURNING *`,
+      [postId, source, contact, note]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`[CTAs] Recorded ${source} lead for post ${postId} (CTA ${result.rows[0].cta_id ?? 'none'})`);
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[CTAs] Error recording lead:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Leads recorded for a post, newest first
+ */
+export async function getPostLeads(postId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM post_leads WHERE post_id = $1 ORDER BY created_at DESC',
+      [postId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[CTAs] Error fetching leads:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  CTA_TYPES,
+  LEAD_SOURCES,
+  MIN_USES,
+  initializeCtaLibrary,
+  getCtas,
+  getCta,
+  validateCta,
+  createCta,
+  updateCta,
+  countCtaPosts,
+  deleteCta,
+  getCtaPerformance,
+  pickCtas,
+  buildCtaInstructions,
+  validateLead,
+  recordLead,
+  getPostLeads,
+};
@@ -41,15 +41,53 @@ export async function testConnection() {
 /**
  * Create a new post record in the database
  */
-export async function createPost({ topic, content, hashtags, imageUrl = null }) {
+export async function createPost({
+  topic,
+  content,
+  hashtags,
+  imageUrl = null,
+  slotId = null,
+  scheduledFor = null,
+  campaignId = null,
+  provenance = null,
+  structured = null,
+  language = 'en',
+  languageGroupId = null,
+  ctaId = null,
+  recycledFromId = null,
+}) {
   const query = `
-    INSERT INTO kangen_posts (topic, content, hashtags, image_url, status)
-    VALUES ($1, $2, $3, $4, 'generating')
+    INSERT INTO kangen_posts (topic, content, hashtags, image_url, status, slot_id, scheduled_for, campaign_id,
+                              prompt_versions, model, generation_params, voice_profile_id,
+                              hook, body, cta, hashtag_list, image_concept, language, language_group_id,
+                              cta_id, recycled_from_id)
+    VALUES ($1, $2, $3, $4, 'generating', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
     RETURNING *
   `;
 
   try {
-    const result = await pool.query(query, [topic, content, hashtags, imageUrl]);
+    const result = await pool.query(query, [
+      topic,
+      content,
+      hashtags,
+      imageUrl,
+      slotId,
+      scheduledFor,
+      campaignId,
+      JSON.stringify(provenance?.promptVersions || {}),
+      provenance?.model || null,
+      provenance?.params ? JSON.stringify(provenance.params) : null,
+      provenance?.voiceProfileId ?? null,
+      structured?.hook ?? null,
+      structured?.body ?? null,
+      structured?.cta ?? null,
+      structured?.hashtags ?? null,
+      structured?.imageConcept ?? null,
+      language,
+      languageGroupId,
+      ctaId,
+      recycledFromId,
+    ]);
     console.log(`[DB] Created post record: ID ${result.rows[0].id}`);
     return result.rows[0];
   } catch (error) {
@@ -81,17 +119,21 @@ export async function updatePostStatus(postId, status, errorMessage = null) {
 
 /**
  * Update post with image URL
+ * The image template version joins the post's prompt provenance
  */
-export async function updatePostImage(postId, imageUrl) {
+export async function updatePostImage(postId, imageUrl, { promptVersion = null } = {}) {
   const query = `
     UPDATE kangen_posts
-    SET image_url = $1, updated_at = CURRENT_TIMESTAMP
+    SET image_url = $1,
+        prompt_versions = CASE WHEN $3::int IS NULL THEN prompt_versions
+                               ELSE COALESCE(prompt_versions, '{}'::jsonb) || jsonb_build_object('image', $3::int) END,
+        updated_at = CURRENT_TIMESTAMP
     WHERE id = $2
     RETURNING *
   `;
 
   try {
-    const result = await pool.query(query, [imageUrl, postId]);
+    const result = await pool.query(query, [imageUrl, postId, promptVersion]);
     console.log(`[DB] Updated post ${postId} with image URL`);
     return result.rows[0];
   } catch (error) {
@@ -160,6 +202,28 @@ export async function getPost(postId) {
   }
 }
 
+/**
+ * Live (not rejected or failed) post already created for a slot occurrence in a language
+ * Lets a retried generation job pick up where it stopped instead of duplicating drafts
+ */
+export async function findSlotPost(slotId, scheduledFor, language) {
+  const query = `
+    SELECT * FROM kangen_posts
+    WHERE slot_id = $1 AND scheduled_for = $2 AND language = $3
+    AND status NOT IN ('rejected', 'failed')
+    ORDER BY id ASC
+    LIMIT 1
+  `;
+
+  try {
+    const result = await pool.query(query, [slotId, scheduledFor, language]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[DB] Error finding slot post:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Get recent posts (for analytics)
  */
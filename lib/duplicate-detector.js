@@ -0,0 +1,115 @@
+/**
+ * Duplicate Detector
+ * Compares new drafts with recent posts (TF-IDF cosine, computed locally)
+ * so the same post is not published twice in different words
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { buildTfidfVectors, cosineSimilarity } from './text-similarity.js';
+
+dotenv.config();
+
+// Drafts at or above this similarity to an earlier post count as near-duplicates
+export const SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD || '0.6');
+// Months of earlier posts to compare against
+const LOOKBACK_MONTHS = parseInt(process.env.DUPLICATE_LOOKBACK_MONTHS || '6');
+// Times the content worker regenerates a near-duplicate before flagging it for review
+export const REGENERATE_ATTEMPTS = parseInt(process.env.DUPLICATE_REGENERATE_ATTEMPTS || '1');
+
+/**
+ * Most similar earlier post to `text`
+ * Rejected and failed posts are ignored; other drafts count so two pending
+ * drafts cannot say the same thing
+ * Returns { postId, score, topic, content } or null when there is nothing to compare
+ */
+export async function findMostSimilarPost(text, { excludePostId = null, months = LOOKBACK_MONTHS } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT id, topic, content
+       FROM kangen_posts
+       WHERE created_at > NOW() - ($1 || ' months')::INTERVAL
+       AND status NOT IN ('rejected', 'failed')
+       AND ($2::int IS NULL OR id != $2)
+       AND content IS NOT NULL AND content != ''`,
+      [months, excludePostId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    // The draft shares the vector space (and IDF) with the earlier posts
+    const vectors = buildTfidfVectors([text, ...result.rows.map((post) => post.content)]);
+    const draft = vectors[0];
+
+    let best = null;
+    result.rows.forEach((post, index) => {
+      const score = cosineSimilarity(draft, vectors[index + 1]);
+      if (!best || score > best.score) {
+        best = { postId: post.id, score, topic: post.topic, content: post.content };
+      }
+    });
+
+    best.score = parseFloat(best.score.toFixed(3));
+    return best;
+  } catch (error) {
+    console.error('[Duplicates] Error comparing with earlier posts:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Whether a similarity score counts as a near-duplicate
+ */
+export function isNearDuplicate(match) {
+  return Boolean(match) && match.score >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Store the closest earlier post on a post (match from findMostSimilarPost)
+ */
+export async function recordSimilarity(postId, match) {
+  try {
+    await pool.query(
+      `UPDATE kangen_posts
+       SET similarity_score = $1, similar_post_id = $2
+       WHERE id = $3`,
+      [match?.score ?? null, match?.postId ?? null, postId]
+    );
+
+    if (isNearDuplicate(match)) {
+      console.warn(`[Duplicates] Post ${postId} is ${Math.round(match.score * 100)}% similar to post ${match.postId} - flagged for review`);
+    }
+  } catch (error) {
+    console.error('[Duplicates] Error recording similarity:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Compare a stored post with earlier posts and record the closest one
+ */
+export async function checkPostSimilarity(postId) {
+  const result = await pool.query('SELECT content FROM kangen_posts WHERE id = $1', [postId]);
+  if (result.rows.length === 0) {
+    throw new Error('Post not found');
+  }
+
+  const match = await findMostSimilarPost(result.rows[0].content, { excludePostId: postId });
+  await recordSimilarity(postId, match);
+
+  return {
+    postId,
+    similarPostId: match?.postId ?? null,
+    score: match?.score ?? null,
+    isDuplicate: isNearDuplicate(match),
+  };
+}
+
+export default {
+  SIMILARITY_THRESHOLD,
+  REGENERATE_ATTEMPTS,
+  findMostSimilarPost,
+  isNearDuplicate,
+  recordSimilarity,
+  checkPostSimilarity,
+};
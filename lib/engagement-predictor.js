@@ -4,13 +4,18 @@
  * Assigns confidence scores to posts for smart auto-approval
  */
 
+import moment from 'moment-timezone';
 import pool from './db.js';
+import { getTimezone } from './page-settings.js';
+import { getQualityRules } from './languages.js';
+import { normalizeHashtag } from './hashtag-engine.js';
 
 /**
  * Predict engagement for a post
+ * `languages` selects the length and keyword rules for the content score
  * Returns confidence score (0-100) and factors
  */
-export async function predictEngagement(topic, content, hashtags, postingTime) {
+export async function predictEngagement(topic, content, hashtags, postingTime, { languages = ['en'] } = {}) {
   try {
     console.log('[Predictor] Predicting engagement for topic:', topic);
 
@@ -41,15 +46,17 @@ export async function predictEngagement(topic, content, hashtags, postingTime) {
     }
 
     // Factor 2: Posting time optimization (0-20 points)
-    const hour = new Date(postingTime).getHours();
+    // Hours are bucketed in the page timezone, not the server's
+    const timezone = await getTimezone();
+    const hour = moment.tz(postingTime, timezone).hour();
     const timeResult = await pool.query(
       `SELECT
          AVG(engagement_rate) as avg_engagement
        FROM kangen_posts
        WHERE status = 'posted'
-       AND EXTRACT(HOUR FROM posted_at) = $1
+       AND EXTRACT(HOUR FROM posted_at::timestamptz AT TIME ZONE $2) = $1
        AND posted_at > NOW() - INTERVAL '14 days'`,
-      [hour]
+      [hour, timezone]
     );
 
     if (timeResult.rows.length > 0 && timeResult.rows[0].avg_engagement) {
@@ -58,7 +65,7 @@ export async function predictEngagement(topic, content, hashtags, postingTime) {
       factors.timing = {
         score: timeScore.toFixed(1),
         reason: `Hour ${hour} avg engagement: ${timeResult.rows[0].avg_engagement}`,
-        peakHours: await getPeakPostingHours(),
+        peakHours: await getPeakPostingHours(timezone),
       };
     } else {
       factors.timing = { score: 5, reason: 'Off-peak hour' };
@@ -78,7 +85,7 @@ export async function predictEngagement(topic, content, hashtags, postingTime) {
     }
 
     // Factor 4: Content length and structure (0-10 points)
-    const contentScore = evaluateContentQuality(content);
+    const contentScore = evaluateContentQuality(content, languages);
     confidenceScore += contentScore;
     factors.content = {
       score: contentScore.toFixed(1),
@@ -133,30 +140,30 @@ function getApprovalRecommendation(score) {
 
 /**
  * Evaluate content quality
+ * Length and keywords follow the post's language(s)
  */
-function evaluateContentQuality(content) {
+function evaluateContentQuality(content, languages = ['en']) {
   let score = 5; // Base score
+  const { minLength, maxLength, ctaKeywords, valueWords } = getQualityRules(languages);
 
-  // Optimal length: 150-300 characters
-  if (content.length >= 150 && content.length <= 300) {
+  // Optimal length (150-300 characters for English)
+  if (content.length >= minLength && content.length <= maxLength) {
     score += 3;
-  } else if (content.length > 100) {
+  } else if (content.length > minLength * (2 / 3)) {
     score += 1;
   }
 
   // Check for CTA
-  const ctaKeywords = ['learn', 'try', 'discover', 'join', 'click', 'visit', 'get'];
   if (ctaKeywords.some((kw) => content.toLowerCase().includes(kw))) {
     score += 2;
   }
 
-  // Check for question (typically higher engagement)
-  if (content.includes('?')) {
+  // Check for question (typically higher engagement) - full-width ？ in Japanese
+  if (content.includes('?') || content.includes('？')) {
     score += 2;
   }
 
   // Check for urgency/value words
-  const valueWords = ['now', 'today', 'free', 'special', 'exclusive', 'amazing', 'incredible'];
   const valueCount = valueWords.filter((word) => content.toLowerCase().includes(word)).length;
   score += Math.min(3, valueCount);
 
@@ -165,18 +172,20 @@ function evaluateContentQuality(content) {
 
 /**
  * Predict hashtag performance
+ * Uses the rolling per-tag stats kept by the hashtag engine
  */
 async function predictHashtagPerformance(hashtags) {
   try {
     if (!hashtags) return 0.5;
 
-    const tags = hashtags.split(' ').filter((tag) => tag.startsWith('#'));
+    const tags = hashtags.split(' ').filter((tag) => tag.startsWith('#')).map(normalizeHashtag);
     if (tags.length === 0) return 0.5;
 
     const result = await pool.query(
       `SELECT AVG(COALESCE(avg_engagement_rate, 0)) as avg
        FROM hashtag_performance
-       WHERE hashtag = ANY($1)`,
+       WHERE hashtag = ANY($1)
+       AND uses > 0`,
       [tags]
     );
 
@@ -218,11 +227,11 @@ async function calculateRecentMomentum(topic) {
 /**
  * Get peak posting hours based on historical data
  */
-async function getPeakPostingHours() {
+async function getPeakPostingHours(timezone) {
   try {
     const result = await pool.query(
       `SELECT
-         EXTRACT(HOUR FROM posted_at) as hour,
+         EXTRACT(HOUR FROM posted_at::timestamptz AT TIME ZONE $1) as hour,
          AVG(engagement_rate) as avg_engagement,
          COUNT(*) as post_count
        FROM kangen_posts
@@ -230,7 +239,8 @@ async function getPeakPostingHours() {
        AND posted_at > NOW() - INTERVAL '30 days'
        GROUP BY hour
        ORDER BY avg_engagement DESC
-       LIMIT 3`
+       LIMIT 3`,
+      [timezone]
     );
 
     return result.rows.map((row) => ({
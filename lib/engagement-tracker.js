@@ -58,6 +58,97 @@ export async function fetchPostEngagement(facebookPostId) {
   }
 }
 
+/**
+ * Fetch comments on a post from Facebook (newest first, up to `limit`)
+ * Comments written by the page itself are left out
+ */
+export async function fetchPostComments(facebookPostId, { limit = 100 } = {}) {
+  try {
+    if (!facebookPostId) return [];
+
+    const comments = [];
+    let url = `${GRAPH_API_BASE}/${facebookPostId}/comments?${new URLSearchParams({
+      fields: 'id,message,created_time,like_count,from{id}',
+      order: 'reverse_chronological',
+      filter: 'stream',
+      limit: String(Math.min(limit, 100)),
+      access_token: PAGE_ACCESS_TOKEN,
+    })}`;
+
+    while (url && comments.length < limit) {
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (!response.ok) {
+        console.error('[EngagementTracker] Facebook API error fetching comments:', data);
+        break;
+      }
+
+      for (const comment of data.data || []) {
+        if (!comment.message || comment.from?.id === PAGE_ID) continue;
+        comments.push({
+          id: comment.id,
+          message: comment.message,
+          createdTime: comment.created_time,
+          likeCount: comment.like_count || 0,
+        });
+      }
+
+      url = data.paging?.next || null;
+    }
+
+    return comments.slice(0, limit);
+  } catch (error) {
+    console.error('[EngagementTracker] Error fetching comments:', error);
+    return [];
+  }
+}
+
+/**
+ * Pull comments for posts published in the last `days` days into post_comments
+ * Returns the number of comments stored or refreshed
+ */
+export async function syncRecentComments({ days = 30 } = {}) {
+  try {
+    console.log('[EngagementTracker] Syncing comments...');
+
+    const result = await pool.query(
+      `SELECT id, facebook_post_id FROM kangen_posts
+       WHERE status = 'posted'
+       AND facebook_post_id IS NOT NULL
+       AND posted_at > NOW() - ($1 || ' days')::INTERVAL
+       ORDER BY posted_at DESC
+       LIMIT 100`,
+      [days]
+    );
+
+    let stored = 0;
+    for (const post of result.rows) {
+      const comments = await fetchPostComments(post.facebook_post_id);
+
+      for (const comment of comments) {
+        await pool.query(
+          `INSERT INTO post_comments (post_id, facebook_comment_id, message, like_count, commented_at)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (facebook_comment_id)
+           DO UPDATE SET message = EXCLUDED.message, like_count = EXCLUDED.like_count`,
+          [post.id, comment.id, comment.message, comment.likeCount, comment.createdTime]
+        );
+        stored++;
+      }
+
+      // Rate limit - space out requests
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+
+    console.log(`[EngagementTracker] Synced ${stored} comments from ${result.rows.length} posts`);
+    return stored;
+  } catch (error) {
+    console.error('[EngagementTracker] Comment sync failed:', error);
+    throw error;
+  }
+}
+
 /**
  * Store engagement metrics in database and calculate engagement rate
  */
@@ -0,0 +1,202 @@
+/**
+ * Evergreen Recycling
+ * Reposts high-performing posts from months ago, optionally paraphrased, to
+ * fill a share of slots or slots whose generation failed
+ * Recycled posts link back to their original (recycled_from_id) and go
+ * through review like any other draft
+ */
+
+import pool, { createPost, updatePostStatus } from './db.js';
+import { generateContent } from './openai-generator.js';
+import { addImageGenerationJob } from './queue.js';
+import { attachDraft } from './content-planner.js';
+import { getPageSettings } from './page-settings.js';
+import { getVoiceProfile } from './voice-profiles.js';
+import { getCta } from './cta-library.js';
+import { fromLanguageTag } from './languages.js';
+import { checkPostCompliance } from './compliance-checker.js';
+import { findMostSimilarPost, recordSimilarity } from './duplicate-detector.js';
+
+const PARAPHRASE_FEEDBACK =
+  'This post performed well months ago and is running again. Paraphrase it: same message, facts and call-to-action, ' +
+  'but a fresh hook and new wording so it does not read as a copy.';
+
+/**
+ * Posted originals that can run again, best engagement first
+ * - posted more than `minAgeDays` ago, with engagement at or above the average post
+ * - not blocked by compliance, not themselves recycled copies
+ * - not recycled (in a draft that is still live) within the last `minAgeDays`
+ */
+export async function getEvergreenCandidates({ minAgeDays, limit = 10 } = {}) {
+  try {
+    const days = minAgeDays ?? (await getPageSettings()).evergreenMinAgeDays;
+
+    const result = await pool.query(
+      `SELECT kp.*
+       FROM kangen_posts kp
+       WHERE kp.status = 'posted'
+       AND kp.recycled_from_id IS NULL
+       AND kp.posted_at < NOW() - ($1 || ' days')::INTERVAL
+       AND kp.engagement_rate IS NOT NULL
+       AND kp.engagement_rate >= (
+         SELECT AVG(engagement_rate) FROM kangen_posts WHERE status = 'posted' AND engagement_rate IS NOT NULL
+       )
+       AND COALESCE(kp.compliance_status, 'pass') != 'block'
+       AND NOT EXISTS (
+         SELECT 1 FROM kangen_posts copy
+         WHERE copy.recycled_from_id = kp.id
+         AND copy.created_at > NOW() - ($1 || ' days')::INTERVAL
+         AND copy.status NOT IN ('rejected', 'failed')
+       )
+       ORDER BY kp.engagement_rate DESC
+       LIMIT $2`,
+      [days, limit]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Evergreen] Error fetching candidates:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a new draft from a posted original
+ * With paraphrase the generator rewrites it in the original's voice, language
+ * and CTA; otherwise the text is copied. The original image is reused.
+ * Options: slotId / scheduledFor / planId - the slot the draft fills
+ */
+export async function recyclePost(original, { paraphrase = true, slotId = null, scheduledFor = null, planId = null } = {}) {
+  try {
+    console.log(`[Evergreen] Recycling post ${original.id} (${original.topic})${paraphrase ? ' with paraphrase' : ''}`);
+
+    let draft;
+    if (paraphrase) {
+      const voiceProfile = original.voice_profile_id ? await getVoiceProfile(original.voice_profile_id) : null;
+      const cta = original.cta_id ? await getCta(original.cta_id) : null;
+
+      const generated = await generateContent(original.topic, {
+        voiceProfile,
+        languages: fromLanguageTag(original.language),
+        cta,
+        revision: {
+          content: original.hashtags ? `${original.content}\n\n${original.hashtags}` : original.content,
+          feedback: PARAPHRASE_FEEDBACK,
+        },
+      });
+
+      draft = {
+        content: generated.content,
+        hashtags: generated.hashtags,
+        structured: generated.structured,
+        provenance: {
+          ...generated.provenance,
+          params: { ...generated.provenance.params, recycledFrom: original.id, paraphrased: true },
+        },
+      };
+    } else {
+      draft = {
+        content: original.content,
+        hashtags: original.hashtags,
+        structured: {
+          hook: original.hook,
+          body: original.body,
+          cta: original.cta,
+          hashtags: original.hashtag_list,
+          imageConcept: original.image_concept,
+        },
+        provenance: {
+          promptVersions: original.prompt_versions,
+          model: original.model,
+          voiceProfileId: original.voice_profile_id,
+          params: { ...(original.generation_params || {}), recycledFrom: original.id, paraphrased: false },
+        },
+      };
+    }
+
+    // The original itself is expected to match; anything else it repeats is flagged as usual
+    const similar = await findMostSimilarPost(draft.content, { excludePostId: original.id });
+
+    const post = await createPost({
+      topic: original.topic,
+      content: draft.content,
+      hashtags: draft.hashtags,
+      imageUrl: original.image_url,
+      slotId,
+      scheduledFor,
+      campaignId: null,
+      provenance: draft.provenance,
+      structured: draft.structured,
+      language: original.language || 'en',
+      ctaId: original.cta_id,
+      recycledFromId: original.id,
+    });
+
+    await recordSimilarity(post.id, similar);
+    await checkPostCompliance(post.id);
+
+    if (planId) {
+      await attachDraft(planId, post.id);
+    }
+
+    // Ready for review straight away when the original had an image
+    if (original.image_url) {
+      await updatePostStatus(post.id, 'scheduled');
+    } else {
+      await addImageGenerationJob(post.id, original.topic, draft.content);
+    }
+
+    console.log(`[Evergreen] Post ${post.id} recycled from post ${original.id}`);
+    return post;
+  } catch (error) {
+    console.error('[Evergreen] Error recycling post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fill a slot with the best evergreen candidate, following the page settings
+ * Returns the new post, or null when the slot already has a live draft or
+ * there is nothing old and good enough
+ * Posts still 'generating' do not count, so a generation job that failed
+ * part-way (e.g. on its second language) still gets its slot filled
+ */
+export async function fillSlotWithEvergreen({ slotId = null, scheduledFor = null, planId = null, reason = 'evergreen share' } = {}) {
+  if (slotId && scheduledFor) {
+    const existing = await pool.query(
+      `SELECT id FROM kangen_posts
+       WHERE slot_id = $1 AND scheduled_for = $2 AND status NOT IN ('rejected', 'failed', 'generating')
+       LIMIT 1`,
+      [slotId, scheduledFor]
+    );
+    if (existing.rows.length > 0) {
+      console.log(`[Evergreen] Slot ${slotId} already has post ${existing.rows[0].id} - not recycling (${reason})`);
+      return null;
+    }
+  }
+
+  const settings = await getPageSettings();
+  const [original] = await getEvergreenCandidates({ minAgeDays: settings.evergreenMinAgeDays, limit: 1 });
+
+  if (!original) {
+    console.log(`[Evergreen] No evergreen candidates older than ${settings.evergreenMinAgeDays} days (${reason})`);
+    return null;
+  }
+
+  console.log(`[Evergreen] Filling slot ${slotId ?? '-'} with post ${original.id} (${reason})`);
+  return recyclePost(original, { paraphrase: settings.evergreenParaphrase, slotId, scheduledFor, planId });
+}
+
+/**
+ * Whether this slot occurrence should be an evergreen repost (evergreenShare of slots)
+ */
+export function shouldUseEvergreen(settings) {
+  return settings.evergreenShare > 0 && Math.random() < settings.evergreenShare;
+}
+
+export default {
+  getEvergreenCandidates,
+  recyclePost,
+  fillSlotWithEvergreen,
+  shouldUseEvergreen,
+};
@@ -14,12 +14,26 @@ const GRAPH_API_BASE = `https://graph.facebook.com/${FACEBOOK_API_VERSION}`;
 const pageId = process.env.FACEBOOK_PAGE_ID;
 const pageAccessToken = process.env.FACEBOOK_PAGE_ACCESS_TOKEN;
 
+// Facebook only accepts scheduled_publish_time between 10 minutes and 30 days ahead
+const MIN_SCHEDULE_LEAD_MS = 10 * 60 * 1000;
+const MAX_SCHEDULE_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether Facebook will accept a native scheduled post for this time
+ */
+export function canScheduleNatively(publishAt) {
+  const lead = new Date(publishAt).getTime() - Date.now();
+  return lead >= MIN_SCHEDULE_LEAD_MS && lead <= MAX_SCHEDULE_LEAD_MS;
+}
+
 /**
  * Post text and image to Facebook page
+ * With scheduledPublishTime the post is handed to Facebook unpublished and
+ * Facebook publishes it at that time (returns the page post ID)
  */
-export async function postToFacebook({ message, imageUrl, hashtags }) {
+export async function postToFacebook({ message, imageUrl, hashtags, scheduledPublishTime = null }) {
   try {
-    console.log('[Facebook] Preparing to post to Facebook');
+    console.log(`[Facebook] Preparing to ${scheduledPublishTime ? 'schedule' : 'post'} to Facebook`);
 
     // Combine message and hashtags
     const fullMessage = `${message}\n\n${hashtags}`;
@@ -28,13 +42,17 @@ export async function postToFacebook({ message, imageUrl, hashtags }) {
 
     if (imageUrl) {
       // Post with image (photo post)
-      postId = await postPhoto(fullMessage, imageUrl);
+      postId = await postPhoto(fullMessage, imageUrl, { scheduledPublishTime });
     } else {
       // Post text only
-      postId = await postText(fullMessage);
+      postId = await postText(fullMessage, { scheduledPublishTime });
     }
 
-    console.log(`[Facebook] Successfully posted to Facebook. Post ID: ${postId}`);
+    if (scheduledPublishTime) {
+      console.log(`[Facebook] Scheduled on Facebook for ${new Date(scheduledPublishTime).toISOString()}. Post ID: ${postId}`);
+    } else {
+      console.log(`[Facebook] Successfully posted to Facebook. Post ID: ${postId}`);
+    }
     return postId;
   } catch (error) {
     console.error('[Facebook] Error posting to Facebook:', error.message);
@@ -42,15 +60,32 @@ export async function postToFacebook({ message, imageUrl, hashtags }) {
   }
 }
 
+/**
+ * Add published / scheduled_publish_time fields to a request body
+ */
+function appendPublishFields(body, scheduledPublishTime) {
+  if (scheduledPublishTime) {
+    body.append('published', 'false');
+    body.append('scheduled_publish_time', String(Math.floor(new Date(scheduledPublishTime).getTime() / 1000)));
+  } else {
+    body.append('published', 'true');
+  }
+}
+
 /**
  * Post photo to Facebook page
  * Downloads image and uploads to Facebook
  */
-async function postPhoto(message, imageUrl) {
+async function postPhoto(message, imageUrl, { scheduledPublishTime = null } = {}) {
   try {
     // Download the image from DALL-E URL
     console.log('[Facebook] Downloading image from DALL-E...');
     const imageResponse = await fetch(imageUrl);
+
+    if (!imageResponse.ok) {
+      throw new Error(`Image download failed (HTTP ${imageResponse.status})`);
+    }
+
     const imageBuffer = await imageResponse.arrayBuffer();
     const imageBlob = new Blob([imageBuffer], { type: 'image/png' });
 
@@ -61,7 +96,7 @@ async function postPhoto(message, imageUrl) {
     formData.append('source', imageBlob, 'image.png');
     formData.append('caption', message);
     formData.append('access_token', pageAccessToken);
-    formData.append('published', 'true');
+    appendPublishFields(formData, scheduledPublishTime);
 
     const response = await fetch(url, {
       method: 'POST',
@@ -74,8 +109,9 @@ async function postPhoto(message, imageUrl) {
       throw new Error(`Facebook API error: ${data.error?.message || 'Unknown error'}`);
     }
 
-    console.log('[Facebook] Photo posted successfully');
-    return data.id;
+    console.log(`[Facebook] Photo ${scheduledPublishTime ? 'scheduled' : 'posted'} successfully`);
+    // Scheduled photos return the photo ID plus the page post ID we need to reschedule/cancel
+    return scheduledPublishTime ? data.post_id || data.id : data.id;
   } catch (error) {
     console.error('[Facebook] Error posting photo:', error.message);
     throw error;
@@ -85,7 +121,7 @@ async function postPhoto(message, imageUrl) {
 /**
  * Post text-only to Facebook page
  */
-async function postText(message) {
+async function postText(message, { scheduledPublishTime = null } = {}) {
   try {
     const url = `${GRAPH_API_BASE}/${pageId}/feed`;
 
@@ -94,6 +130,10 @@ async function postText(message) {
       access_token: pageAccessToken,
     });
 
+    if (scheduledPublishTime) {
+      appendPublishFields(params, scheduledPublishTime);
+    }
+
     const response = await fetch(url, {
       method: 'POST',
       body: params,
@@ -105,7 +145,7 @@ async function postText(message) {
       throw new Error(`Facebook API error: ${data.error?.message || 'Unknown error'}`);
     }
 
-    console.log('[Facebook] Text post created successfully');
+    console.log(`[Facebook] Text post ${scheduledPublishTime ? 'scheduled' : 'created'} successfully`);
     return data.id;
   } catch (error) {
     console.error('[Facebook] Error posting text:', error.message);
@@ -113,6 +153,72 @@ async function postText(message) {
   }
 }
 
+/**
+ * Move a natively scheduled post to a new publish time
+ */
+export async function reschedulePost(postId, scheduledPublishTime) {
+  try {
+    const url = `${GRAPH_API_BASE}/${postId}`;
+
+    const params = new URLSearchParams({
+      scheduled_publish_time: String(Math.floor(new Date(scheduledPublishTime).getTime() / 1000)),
+      access_token: pageAccessToken,
+    });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      body: params,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Facebook API error: ${data.error?.message || 'Unknown error'}`);
+    }
+
+    console.log(`[Facebook] Post ${postId} rescheduled for ${new Date(scheduledPublishTime).toISOString()}`);
+    return true;
+  } catch (error) {
+    console.error('[Facebook] Error rescheduling post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a natively scheduled post has gone live
+ * Returns null if the post no longer exists on Facebook (404 or Graph error
+ * code 100, unknown object); throws on any other error (rate limits, outages,
+ * token problems) so callers can try again later
+ */
+export async function getPublishStatus(postId) {
+  try {
+    const url = `${GRAPH_API_BASE}/${postId}`;
+    const params = new URLSearchParams({
+      fields: 'is_published,scheduled_publish_time,created_time',
+      access_token: pageAccessToken,
+    });
+
+    const response = await fetch(`${url}?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 404 || data.error?.code === 100) {
+        console.warn(`[Facebook] Post ${postId} not found: ${data.error?.message}`);
+        return null;
+      }
+      throw new Error(`Facebook API error: ${data.error?.message || `HTTP ${response.status}`}`);
+    }
+
+    return {
+      isPublished: data.is_published === true,
+      scheduledPublishTime: data.scheduled_publish_time ? new Date(data.scheduled_publish_time * 1000) : null,
+    };
+  } catch (error) {
+    console.error('[Facebook] Error fetching publish status:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Get engagement metrics for a post
  */
@@ -260,6 +366,9 @@ export async function getPageInfo() {
 
 export default {
   postToFacebook,
+  canScheduleNatively,
+  reschedulePost,
+  getPublishStatus,
   getPostEngagement,
   testConnection,
   validateToken,
@@ -0,0 +1,206 @@
+/**
+ * Facebook Native Scheduling
+ * Hands approved posts to Facebook as unpublished scheduled posts so they go
+ * out on time even if our server is down at the slot, and keeps our records
+ * in sync with what Facebook has queued
+ */
+
+import dotenv from 'dotenv';
+import pool, { getPost, markPostAsPosted, updatePostStatus } from './db.js';
+import { addPublishJob, removePendingPublishJobs } from './queue.js';
+import { canScheduleNatively, reschedulePost as rescheduleOnFacebook, deletePost, getPublishStatus } from './facebook-poster.js';
+import { resolveOverrides } from './schedule-overrides.js';
+import { getTimezone } from './page-settings.js';
+
+dotenv.config();
+
+// When enabled, future-dated approvals are submitted to Facebook right away
+export const NATIVE_SCHEDULING = process.env.FACEBOOK_NATIVE_SCHEDULING === 'true';
+
+/**
+ * Whether a post publishing at this time should be scheduled on Facebook
+ * Falls back to our own delayed job outside Facebook's 10 minute - 30 day window
+ */
+export function shouldScheduleNatively(publishAt) {
+  return NATIVE_SCHEDULING && Boolean(publishAt) && canScheduleNatively(publishAt);
+}
+
+/**
+ * Queue a publish job for a post, natively scheduled when possible
+ */
+export async function queuePublish(postId, publishAt = null) {
+  const native = shouldScheduleNatively(publishAt);
+  await addPublishJob(postId, { publishAt, native });
+  return native;
+}
+
+/**
+ * Record that Facebook now holds the post as a scheduled post
+ */
+export async function markPostAsFbScheduled(postId, facebookPostId, scheduledFor) {
+  try {
+    const result = await pool.query(
+      `UPDATE kangen_posts
+       SET status = 'fb_scheduled',
+           facebook_post_id = $1,
+           fb_scheduled_for = $2,
+           error_message = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [facebookPostId, scheduledFor, postId]
+    );
+
+    console.log(`[FB Schedule] Post ${postId} scheduled on Facebook for ${new Date(scheduledFor).toISOString()}. FB ID: ${facebookPostId}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[FB Schedule] Error marking post as scheduled:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a scheduled post and send it back to review
+ * Deletes it from Facebook if it was handed over, otherwise drops our delayed job
+ */
+export async function cancelScheduledPost(postId, reason = 'Schedule cancelled') {
+  try {
+    const post = await getPost(postId);
+
+    if (post.status === 'fb_scheduled') {
+      const deleted = await deletePost(post.facebook_post_id);
+      if (!deleted) {
+        throw new Error('Facebook did not accept the cancellation - the post is still scheduled there');
+      }
+    } else {
+      await removePendingPublishJobs(postId);
+    }
+
+    const result = await pool.query(
+      `UPDATE kangen_posts
+       SET status = 'scheduled',
+           facebook_post_id = NULL,
+           fb_scheduled_for = NULL,
+           error_message = $1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [reason, postId]
+    );
+
+    console.log(`[FB Schedule] Post ${postId} unscheduled and returned to review`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[FB Schedule] Error cancelling scheduled post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Move an approved or Facebook-scheduled post to a new publish time
+ */
+export async function reschedulePost(postId, publishAt) {
+  try {
+    const post = await getPost(postId);
+    const newTime = new Date(publishAt);
+
+    if (post.status === 'fb_scheduled') {
+      await rescheduleOnFacebook(post.facebook_post_id, newTime);
+
+      await pool.query(
+        `UPDATE kangen_posts
+         SET scheduled_for = $1, fb_scheduled_for = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [newTime, postId]
+      );
+    } else {
+      await removePendingPublishJobs(postId);
+
+      await pool.query(
+        `UPDATE kangen_posts
+         SET scheduled_for = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [newTime, postId]
+      );
+
+      await queuePublish(postId, newTime);
+    }
+
+    console.log(`[FB Schedule] Post ${postId} rescheduled for ${newTime.toISOString()}`);
+    return getPost(postId);
+  } catch (error) {
+    console.error('[FB Schedule] Error rescheduling post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Reconcile Facebook-scheduled posts with Facebook
+ * - posts whose time has passed are marked posted once Facebook shows them live
+ * - upcoming posts that now fall in a blackout are pulled back from Facebook
+ */
+export async function syncScheduledPosts() {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM kangen_posts
+       WHERE status = 'fb_scheduled'
+       ORDER BY fb_scheduled_for ASC`
+    );
+
+    let published = 0;
+    let cancelled = 0;
+
+    for (const post of result.rows) {
+      if (new Date(post.fb_scheduled_for) > new Date()) {
+        if (post.slot_id) {
+          const { blackout } = await resolveOverrides(post.slot_id, post.fb_scheduled_for, await getTimezone());
+          if (blackout) {
+            await cancelScheduledPost(post.id, `Blackout${blackout.reason ? `: ${blackout.reason}` : ''}`);
+            await updatePostStatus(post.id, 'skipped', `Blackout${blackout.reason ? `: ${blackout.reason}` : ''}`);
+            cancelled++;
+          }
+        }
+        continue;
+      }
+
+      let status;
+      try {
+        status = await getPublishStatus(post.facebook_post_id);
+      } catch (error) {
+        // Rate limits or outages say nothing about the post - check it again next run
+        console.warn(`[FB Schedule] Could not check post ${post.id}, retrying next sync: ${error.message}`);
+        continue;
+      }
+
+      if (!status) {
+        await updatePostStatus(post.id, 'failed', 'Scheduled post no longer exists on Facebook');
+        continue;
+      }
+
+      if (status.isPublished) {
+        await markPostAsPosted(post.id, post.facebook_post_id);
+        await pool.query('UPDATE kangen_posts SET posted_at = $1 WHERE id = $2', [post.fb_scheduled_for, post.id]);
+        published++;
+      }
+    }
+
+    if (published > 0 || cancelled > 0) {
+      console.log(`[FB Schedule] ✓ Synced scheduled posts (${published} published, ${cancelled} pulled for blackouts)`);
+    }
+
+    return { checked: result.rows.length, published, cancelled };
+  } catch (error) {
+    console.error('[FB Schedule] Error syncing scheduled posts:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  NATIVE_SCHEDULING,
+  shouldScheduleNatively,
+  queuePublish,
+  markPostAsFbScheduled,
+  cancelScheduledPost,
+  reschedulePost,
+  syncScheduledPosts,
+};
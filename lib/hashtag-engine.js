@@ -0,0 +1,239 @@
+/**
+ * Hashtag Engine
+ * Attributes post engagement to the hashtags each post used, keeps rolling
+ * per-tag stats in hashtag_performance, and picks each post's final hashtag
+ * set: brand tags, proven tags and one exploratory tag from the model's suggestions
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, toLanguageTag } from './languages.js';
+
+dotenv.config();
+
+// Always included, in this order
+export const BRAND_TAGS = (process.env.HASHTAG_BRAND_TAGS || '#KangenWater').split(/[\s,]+/).filter(Boolean);
+// Posted uses (within the lookback) before a tag counts as proven
+export const MIN_USES = parseInt(process.env.HASHTAG_MIN_USES || '3');
+// Days of posted posts the rolling stats cover
+const LOOKBACK_DAYS = parseInt(process.env.HASHTAG_LOOKBACK_DAYS || '90');
+
+export const HASHTAG_SOURCES = ['brand', 'proven', 'exploratory', 'suggested', 'manual'];
+const TARGET_HASHTAGS = 4;
+const MAX_HASHTAGS = 6;
+const PROVEN_COUNT = 2;
+
+/**
+ * Stats key for a tag - Facebook hashtags are case-insensitive
+ */
+export function normalizeHashtag(tag) {
+  return tag.trim().toLowerCase();
+}
+
+/**
+ * Pick the final hashtags for a post from the model's suggestions
+ * - brand: BRAND_TAGS
+ * - proven: best-performing tags with at least MIN_USES posted uses that the
+ *   model suggested, that belong to the language's set, or that earlier posts
+ *   on the topic used
+ * - exploratory: the least-tried suggestion, so new tags build up data
+ * - suggested: further suggestions, up to the target count
+ * Returns { hashtags, sources } where sources maps each tag to how it was chosen
+ */
+export async function selectHashtags(topic, candidates, { languages = [DEFAULT_LANGUAGE] } = {}) {
+  try {
+    const target = Math.min(MAX_HASHTAGS, TARGET_HASHTAGS + (languages.length - 1) * 2);
+    const languageTags = languages.flatMap((code) => LANGUAGES[code]?.hashtags || []);
+
+    const hashtags = [];
+    const sources = {};
+    const add = (tag, source) => {
+      if (hashtags.length >= target || hashtags.some((chosen) => normalizeHashtag(chosen) === normalizeHashtag(tag))) {
+        return false;
+      }
+      hashtags.push(tag);
+      sources[tag] = source;
+      return true;
+    };
+
+    for (const tag of BRAND_TAGS) add(tag, 'brand');
+
+    const proven = await pool.query(
+      `SELECT hp.hashtag, hp.display_tag
+       FROM hashtag_performance hp
+       WHERE hp.uses >= $1
+       AND hp.lift >= 1
+       AND (
+         hp.hashtag = ANY($2)
+         OR EXISTS (
+           SELECT 1 FROM post_hashtags ph
+           JOIN kangen_posts kp ON kp.id = ph.post_id
+           WHERE ph.hashtag = hp.hashtag AND kp.topic = $3 AND kp.language = $4
+         )
+       )
+       ORDER BY hp.avg_engagement_rate DESC
+       LIMIT $5`,
+      [MIN_USES, [...candidates, ...languageTags].map(normalizeHashtag), topic, toLanguageTag(languages), PROVEN_COUNT + BRAND_TAGS.length]
+    );
+
+    let provenAdded = 0;
+    for (const row of proven.rows) {
+      if (provenAdded < PROVEN_COUNT && add(row.display_tag, 'proven')) provenAdded++;
+    }
+
+    // Remaining suggestions, least-used first for the exploratory slot
+    const remaining = candidates.filter((tag) => !hashtags.some((chosen) => normalizeHashtag(chosen) === normalizeHashtag(tag)));
+    if (remaining.length > 0) {
+      const usage = await pool.query(
+        'SELECT hashtag, uses FROM hashtag_performance WHERE hashtag = ANY($1)',
+        [remaining.map(normalizeHashtag)]
+      );
+      const uses = new Map(usage.rows.map((row) => [row.hashtag, row.uses]));
+      const unproven = remaining.filter((tag) => (uses.get(normalizeHashtag(tag)) || 0) < MIN_USES);
+
+      if (unproven.length > 0) {
+        const leastUsed = unproven.reduce((best, tag) =>
+          (uses.get(normalizeHashtag(tag)) || 0) < (uses.get(normalizeHashtag(best)) || 0) ? tag : best
+        );
+        add(leastUsed, 'exploratory');
+      }
+
+      for (const tag of remaining) add(tag, 'suggested');
+    }
+
+    console.log(`[Hashtags] Selected for "${topic}": ${hashtags.map((tag) => `${tag} (${sources[tag]})`).join(', ')}`);
+
+    return { hashtags, sources };
+  } catch (error) {
+    console.error('[Hashtags] Error selecting hashtags:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Attribute posted posts to their hashtags and rebuild the rolling stats
+ * Each tag on a post is credited with the post's full engagement rate; lift
+ * compares a tag's average with the average of all posts in the window
+ * Returns the number of tags with stats
+ */
+export async function updateHashtagPerformance({ days = LOOKBACK_DAYS } = {}) {
+  try {
+    console.log('[Hashtags] Updating hashtag performance...');
+
+    // Record the hashtags each post was published with (after any edits)
+    const posts = await pool.query(
+      `SELECT kp.id, kp.hashtags, kp.generation_params
+       FROM kangen_posts kp
+       WHERE kp.status = 'posted'
+       AND kp.posted_at > NOW() - ($1 || ' days')::INTERVAL
+       AND kp.hashtags IS NOT NULL AND kp.hashtags != ''
+       AND NOT EXISTS (SELECT 1 FROM post_hashtags ph WHERE ph.post_id = kp.id)`,
+      [days]
+    );
+
+    for (const post of posts.rows) {
+      const sources = post.generation_params?.hashtagSources || {};
+      const tags = post.hashtags.split(/[\s,]+/).filter((tag) => tag.startsWith('#'));
+
+      for (const tag of tags) {
+        await pool.query(
+          `INSERT INTO post_hashtags (post_id, hashtag, display_tag, source)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (post_id, hashtag) DO NOTHING`,
+          [post.id, normalizeHashtag(tag), tag, sources[tag] || 'manual']
+        );
+      }
+    }
+
+    // Rolling stats over the window; tags that fell out of it drop to zero uses
+    const result = await pool.query(
+      `WITH window_posts AS (
+         SELECT id, posted_at, COALESCE(engagement_rate, 0) as engagement_rate
+         FROM kangen_posts
+         WHERE status = 'posted' AND posted_at > NOW() - ($1 || ' days')::INTERVAL
+       ),
+       baseline AS (
+         SELECT NULLIF(AVG(engagement_rate), 0) as avg_rate FROM window_posts
+       ),
+       stats AS (
+         SELECT ph.hashtag,
+                (ARRAY_AGG(ph.display_tag ORDER BY wp.posted_at DESC))[1] as display_tag,
+                COUNT(*) as uses,
+                AVG(wp.engagement_rate) as avg_engagement_rate,
+                MAX(wp.posted_at) as last_used_at
+         FROM post_hashtags ph
+         JOIN window_posts wp ON wp.id = ph.post_id
+         GROUP BY ph.hashtag
+       )
+       INSERT INTO hashtag_performance (hashtag, display_tag, uses, avg_engagement_rate, lift, last_used_at, updated_at)
+       SELECT s.hashtag, s.display_tag, s.uses, s.avg_engagement_rate,
+              COALESCE(s.avg_engagement_rate / b.avg_rate, 1), s.last_used_at, NOW()
+       FROM stats s CROSS JOIN baseline b
+       ON CONFLICT (hashtag) DO UPDATE SET
+         display_tag = EXCLUDED.display_tag,
+         uses = EXCLUDED.uses,
+         avg_engagement_rate = EXCLUDED.avg_engagement_rate,
+         lift = EXCLUDED.lift,
+         last_used_at = EXCLUDED.last_used_at,
+         updated_at = NOW()
+       RETURNING hashtag`,
+      [days]
+    );
+
+    const updated = new Set(result.rows.map((row) => row.hashtag));
+    await pool.query(
+      `UPDATE hashtag_performance
+       SET uses = 0, avg_engagement_rate = NULL, lift = NULL, updated_at = NOW()
+       WHERE uses > 0 AND NOT (hashtag = ANY($1))`,
+      [[...updated]]
+    );
+
+    console.log(`[Hashtags] Attributed ${posts.rows.length} new posts, ${updated.size} tags with stats`);
+    return updated.size;
+  } catch (error) {
+    console.error('[Hashtags] Error updating hashtag performance:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Per-tag stats, best average engagement first
+ * Options: minUses - only tags used at least this often in the window
+ */
+export async function getHashtagStats({ minUses = 1, limit = 50 } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT hp.hashtag, hp.display_tag, hp.uses, hp.avg_engagement_rate, hp.lift, hp.last_used_at,
+              hp.uses >= $3 as proven,
+              (SELECT COUNT(*) FROM post_hashtags ph WHERE ph.hashtag = hp.hashtag AND ph.source = 'exploratory') as explored
+       FROM hashtag_performance hp
+       WHERE hp.uses >= $1
+       ORDER BY hp.avg_engagement_rate DESC NULLS LAST, hp.uses DESC
+       LIMIT $2`,
+      [minUses, limit, MIN_USES]
+    );
+
+    return result.rows.map((row) => ({
+      hashtag: row.display_tag,
+      uses: row.uses,
+      avgEngagementRate: row.avg_engagement_rate !== null ? parseFloat(parseFloat(row.avg_engagement_rate).toFixed(2)) : null,
+      lift: row.lift !== null ? parseFloat(parseFloat(row.lift).toFixed(2)) : null,
+      proven: row.proven,
+      timesExplored: parseInt(row.explored),
+      lastUsedAt: row.last_used_at,
+    }));
+  } catch (error) {
+    console.error('[Hashtags] Error fetching hashtag stats:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  BRAND_TAGS,
+  MIN_USES,
+  HASHTAG_SOURCES,
+  normalizeHashtag,
+  selectHashtags,
+  updateHashtagPerformance,
+  getHashtagStats,
+};
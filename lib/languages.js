@@ -0,0 +1,177 @@
+/**
+ * Languages
+ * Post languages with their prompt instructions, hashtag sets and the length /
+ * CTA rules the engagement predictor scores content against
+ * A page or slot posts in one language, or in two as a bilingual post or as
+ * separate posts per language
+ */
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    instructions: null, // The base prompt is written for English
+    hashtags: ['#KangenWater', '#AlkalineWater', '#Wellness', '#HealthyLiving', '#Hydration'],
+    quality: {
+      // Optimal post length in characters
+      minLength: 150,
+      maxLength: 300,
+      ctaKeywords: ['learn', 'try', 'discover', 'join', 'click', 'visit', 'get'],
+      valueWords: ['now', 'today', 'free', 'special', 'exclusive', 'amazing', 'incredible'],
+    },
+  },
+  ja: {
+    name: 'Japanese',
+    instructions: [
+      'Write the post in natural, friendly Japanese (です・ます調), as a native speaker would. Do not translate word for word from English.',
+      'Length: about 200-350 Japanese characters instead of a word count.',
+      'Write the call-to-action in Japanese, e.g. "詳しくはDMでお気軽にどうぞ！" or "ぜひお試しください！"',
+    ],
+    hashtags: ['#KangenWater', '#カンゲンウォーター', '#還元水', '#アルカリイオン水', '#健康生活', '#ウェルネス'],
+    quality: {
+      // Japanese packs more meaning per character
+      minLength: 80,
+      maxLength: 200,
+      ctaKeywords: ['ぜひ', '詳しく', 'お問い合わせ', 'dm', 'チェック', '試して', 'ご連絡'],
+      valueWords: ['今日', '今すぐ', '無料', '特別', '限定', '毎日'],
+    },
+  },
+  'haw-en': {
+    name: 'Hawaiian-English blend',
+    instructions: [
+      'Write in English, blending in Hawaiian words and phrases the way people in Hawaii naturally do (e.g. aloha, mahalo, ʻohana, wai for water, ola for life and health, pono, kōkua).',
+      'Use correct Hawaiian spelling with the ʻokina and kahakō, and only words whose meaning is clear from context. Do not overdo it - a few words per post.',
+    ],
+    hashtags: ['#KangenWater', '#AlkalineWater', '#Aloha', '#WaiOla', '#HawaiiLife', '#Ohana'],
+    quality: {
+      minLength: 150,
+      maxLength: 300,
+      ctaKeywords: ['learn', 'try', 'discover', 'join', 'click', 'visit', 'get', 'kōkua'],
+      valueWords: ['now', 'today', 'free', 'special', 'exclusive', 'aloha', 'mahalo'],
+    },
+  },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const DEFAULT_LANGUAGE = 'en';
+
+// With two languages: one post with both, or one post per language
+export const LANGUAGE_MODES = ['bilingual', 'separate'];
+const MAX_LANGUAGES = 2;
+
+/**
+ * Validate a languages list. Returns a list of error messages (empty when valid).
+ */
+export function validateLanguages(languages, field = 'languages') {
+  if (
+    !Array.isArray(languages) ||
+    languages.length === 0 ||
+    languages.length > MAX_LANGUAGES ||
+    new Set(languages).size !== languages.length ||
+    !languages.every((code) => LANGUAGE_CODES.includes(code))
+  ) {
+    return [`${field} must be 1-${MAX_LANGUAGES} different language codes from: ${LANGUAGE_CODES.join(', ')}`];
+  }
+  return [];
+}
+
+/**
+ * Languages and mode for a post: the slot's settings, else the page's
+ * `slot` is a posting_slots row (or null), `settings` the page settings
+ * Returns { languages, mode }
+ */
+export function resolveLanguages(slot, settings) {
+  return {
+    languages: slot?.languages?.length > 0 ? slot.languages : settings.languages || [DEFAULT_LANGUAGE],
+    mode: slot?.language_mode || settings.languageMode || 'bilingual',
+  };
+}
+
+/**
+ * Language sets to generate: one bilingual post, or one post per language
+ */
+export function getPostLanguageSets({ languages, mode }) {
+  return mode === 'separate' ? languages.map((code) => [code]) : [languages];
+}
+
+/**
+ * Value stored in kangen_posts.language, e.g. "ja" or "en+ja" for a bilingual post
+ */
+export function toLanguageTag(languages) {
+  return languages.join('+');
+}
+
+/**
+ * Inverse of toLanguageTag (unknown or missing tags read as English)
+ */
+export function fromLanguageTag(tag) {
+  const languages = (tag || DEFAULT_LANGUAGE).split('+').filter((code) => LANGUAGES[code]);
+  return languages.length > 0 ? languages : [DEFAULT_LANGUAGE];
+}
+
+/**
+ * LANGUAGE section appended to the system prompt (null for plain English)
+ */
+export function buildLanguageInstructions(languages) {
+  if (languages.length === 1) {
+    const language = LANGUAGES[languages[0]];
+    if (!language.instructions) return null;
+
+    return [
+      `LANGUAGE (${language.name}):`,
+      ...language.instructions.map((line) => `- ${line}`),
+      `- Hashtags: choose 3-4 from or in the style of: ${language.hashtags.join(' ')}`,
+      '- Where these language rules differ from the length, hashtag or call-to-action guidelines above, follow these. The rules about medical claims always apply.',
+    ].join('\n');
+  }
+
+  const [primary, secondary] = languages.map((code) => LANGUAGES[code]);
+  const lines = [
+    `LANGUAGE (bilingual ${primary.name} / ${secondary.name}):`,
+    `- Write every field in ${primary.name} first, then the same text in ${secondary.name}: hook and cta as two lines, body as two paragraphs.`,
+    `- The ${secondary.name} text should read naturally, not as a word-for-word translation.`,
+    '- Keep each language to about two thirds of the usual length so the whole post stays readable.',
+  ];
+
+  for (const language of [primary, secondary]) {
+    for (const line of language.instructions || []) {
+      // Length guidance is replaced by the bilingual rule above
+      if (!line.startsWith('Length:')) lines.push(`- ${language.name}: ${line}`);
+    }
+  }
+
+  const hashtags = new Set([...primary.hashtags.slice(0, 3), ...secondary.hashtags.slice(0, 3)]);
+  lines.push(
+    `- Hashtags: 4-6 in total, mixing tags from both languages, e.g. ${[...hashtags].join(' ')}`,
+    '- Where these language rules differ from the length, hashtag or call-to-action guidelines above, follow these. The rules about medical claims always apply.'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Length and keyword rules for scoring content (bilingual posts combine both)
+ */
+export function getQualityRules(languages = [DEFAULT_LANGUAGE]) {
+  const rules = languages.map((code) => (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).quality);
+
+  return {
+    minLength: rules.reduce((sum, rule) => sum + rule.minLength, 0),
+    maxLength: rules.reduce((sum, rule) => sum + rule.maxLength, 0),
+    ctaKeywords: [...new Set(rules.flatMap((rule) => rule.ctaKeywords))],
+    valueWords: [...new Set(rules.flatMap((rule) => rule.valueWords))],
+  };
+}
+
+export default {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_MODES,
+  validateLanguages,
+  resolveLanguages,
+  getPostLanguageSets,
+  toLanguageTag,
+  fromLanguageTag,
+  buildLanguageInstructions,
+  getQualityRules,
+};
@@ -0,0 +1,169 @@
+/**
+ * Leader Election
+ * Redis lease so only one app instance fires scheduled slots
+ * Every instance runs the cron jobs; only the lease holder acts on them
+ */
+
+import os from 'os';
+import dotenv from 'dotenv';
+import { getRedisClient } from './queue.js';
+
+dotenv.config();
+
+const LEADER_KEY = 'kangen:scheduler:leader';
+const LEASE_MS = parseInt(process.env.LEADER_LEASE_MS || '30000');
+
+const instanceId = `${os.hostname()}-${process.pid}`;
+
+// Only extend/release the lease if we still hold it
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+let leader = false;
+let renewInterval;
+let onElectedCallback = null;
+
+/**
+ * Renew the lease if we hold it, otherwise try to take it
+ */
+async function refreshLease() {
+  const client = getRedisClient();
+
+  if (leader) {
+    const renewed = await client.eval(RENEW_SCRIPT, {
+      keys: [LEADER_KEY],
+      arguments: [instanceId, String(LEASE_MS)],
+    });
+
+    if (renewed === 1) {
+      return true;
+    }
+
+    leader = false;
+    console.warn(`[Leader] Lost scheduler lease (instance ${instanceId})`);
+  }
+
+  const acquired = await client.set(LEADER_KEY, instanceId, { NX: true, PX: LEASE_MS });
+
+  if (acquired === 'OK') {
+    leader = true;
+    console.log(`[Leader] 👑 Instance ${instanceId} is now the scheduler leader`);
+
+    if (onElectedCallback) {
+      try {
+        await onElectedCallback();
+      } catch (error) {
+        console.error('[Leader] Error in election callback:', error.message);
+      }
+    }
+  }
+
+  return leader;
+}
+
+/**
+ * Start competing for the lease and keep renewing it
+ * onElected runs every time this instance becomes leader
+ */
+export async function startLeaderElection({ onElected = null } = {}) {
+  onElectedCallback = onElected;
+
+  await refreshLease();
+
+  renewInterval = setInterval(async () => {
+    try {
+      await refreshLease();
+    } catch (error) {
+      leader = false;
+      console.error('[Leader] Error refreshing lease:', error.message);
+    }
+  }, Math.floor(LEASE_MS / 3));
+
+  return leader;
+}
+
+/**
+ * Confirm we still hold the lease right before doing leader-only work
+ */
+export async function ensureLeadership() {
+  try {
+    return await refreshLease();
+  } catch (error) {
+    console.error('[Leader] Error confirming leadership:', error.message);
+    return false;
+  }
+}
+
+/**
+ * This instance's ID (hostname-pid), as stored in the lease
+ */
+export function getInstanceId() {
+  return instanceId;
+}
+
+/**
+ * Whether this instance held the lease at the last refresh
+ */
+export function isLeader() {
+  return leader;
+}
+
+/**
+ * Current lease holder, for /api/status
+ */
+export async function getLeaderInfo() {
+  try {
+    const client = getRedisClient();
+    const [leaderId, ttl] = await Promise.all([client.get(LEADER_KEY), client.pTTL(LEADER_KEY)]);
+
+    return {
+      leaderId,
+      instanceId,
+      isLeader: leaderId === instanceId,
+      leaseExpiresInMs: ttl > 0 ? ttl : null,
+    };
+  } catch (error) {
+    console.error('[Leader] Error fetching leader info:', error.message);
+    return { leaderId: null, instanceId, isLeader: leader, leaseExpiresInMs: null };
+  }
+}
+
+/**
+ * Stop renewing and hand the lease back (graceful shutdown)
+ */
+export async function stopLeaderElection() {
+  if (renewInterval) {
+    clearInterval(renewInterval);
+  }
+
+  if (!leader) return;
+
+  try {
+    await getRedisClient().eval(RELEASE_SCRIPT, {
+      keys: [LEADER_KEY],
+      arguments: [instanceId],
+    });
+    leader = false;
+    console.log('[Leader] Scheduler lease released');
+  } catch (error) {
+    console.error('[Leader] Error releasing lease:', error.message);
+  }
+}
+
+export default {
+  startLeaderElection,
+  ensureLeadership,
+  isLeader,
+  getInstanceId,
+  getLeaderInfo,
+  stopLeaderElection,
+};
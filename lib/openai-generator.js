@@ -1,143 +1,219 @@
 /**
- * OpenAI Content and Image Generator
- * Uses GPT for text content and DALL-E 3 for image generation
+ * Content and Image Generator
+ * Builds prompts and validates output; the text and image models are called
+ * through the configured provider (OpenAI by default, see lib/providers)
  */
 
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { getProvider } from './providers/index.js';
+import { getTopicPrompts } from './topic-registry.js';
+import { renderActiveTemplate } from './prompt-templates.js';
+import { buildVoiceInstructions, findBannedPhrases } from './voice-profiles.js';
+import { DEFAULT_LANGUAGE, buildLanguageInstructions, toLanguageTag } from './languages.js';
+import { selectHashtags } from './hashtag-engine.js';
+import { buildCtaInstructions } from './cta-library.js';
+import { POST_SCHEMA, OUTPUT_INSTRUCTIONS, validatePostOutput, repairPostOutput, assemblePost } from './post-schema.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Topic-specific prompts for Kangen Water
-const topicPrompts = {
-  'Benefits of Alkaline Water': 'Create an engaging social media post about the benefits of alkaline water from Kangen systems. Focus on wellness, pH balance, and daily health improvements.',
-  'Hydration and Wellness': 'Write about the importance of proper hydration and how Kangen water supports overall wellness. Include practical tips.',
-  'pH Balance and Health': 'Explain how pH balance affects health and how alkaline water from Kangen can support a balanced pH level in the body.',
-  'Kangen Water vs Tap Water': 'Compare Kangen water with regular tap water, highlighting the differences in quality, pH, and health benefits.',
-  'Detoxification Through Water': 'Discuss how proper hydration with alkaline water can support the body\'s natural detoxification processes.',
-  'Energy and Hydration': 'Write about the connection between proper hydration with Kangen water and sustained energy levels throughout the day.',
-  'Skin Health and Alkaline Water': 'Explain how alkaline water can support healthy, glowing skin and overall appearance.',
-  'Athletic Performance and Hydration': 'Discuss how athletes and active individuals can benefit from Kangen water for performance and recovery.',
-  'Immune System and pH Balance': 'Write about how maintaining proper pH balance through alkaline water can support immune system health.',
-  'Daily Wellness Routine': 'Share tips for incorporating Kangen water into a daily wellness routine for optimal health benefits.',
-};
-
-// System prompt for content generation (with prompt caching)
-const systemPrompt = `You are a health and wellness content creator specializing in Kangen water education.
-
-IMPORTANT GUIDELINES:
-- Write 150-200 words
-- Use a conversational, friendly, educational tone
-- Be informative but not overly promotional
-- Include specific health benefits but NO medical claims
-- Frame benefits as "supports wellness" not "cures disease"
-- Include relatable examples or statistics when relevant
-- End with a call-to-action: "Order yours today!" or "DM for more info"
-- Include 3-4 relevant hashtags at the end (e.g., #KangenWater #AlkalineWater #Wellness #HealthyLiving)
-- Write in a natural, flowing style that engages readers
-
-DO NOT make medical claims or promise to cure diseases.
-DO focus on wellness, lifestyle, and general health support.
-
-Write the post content first, then add the hashtags on the last line.`;
+// Parameters (recorded on every post with the provider's model)
+const CONTENT_PARAMS = { max_completion_tokens: 500 };
+// Model calls per post before giving up on invalid structured output
+const STRUCTURED_ATTEMPTS = 2;
+const IMAGE_PARAMS = { size: '1024x1024', quality: 'standard' };
 
 /**
  * Generate content for a specific topic using GPT
+ * Options:
+ * - customPrompt: replaces the registry prompt (A/B variants)
+ * - customHook: angle to open the post with
+ * - campaignContext: prompt context from the running campaign
+ * - voiceProfile: brand voice added to the system prompt
+ * - avoidContent: an earlier post the new one came out too similar to
+ * - revision: { content, feedback } - rewrite an earlier draft following reviewer feedback
+ * - languages: one language code, or two for a bilingual post (see lib/languages.js)
+ * - cta: CTA library entry the post should end with
  */
-export async function generateContent(topic) {
+export async function generateContent(
+  topic,
+  { customPrompt = null, customHook = null, campaignContext = null, voiceProfile = null, avoidContent = null, revision = null,
+    languages = [DEFAULT_LANGUAGE], cta = null } = {}
+) {
   try {
-    console.log(`[OpenAI] Generating content for topic: ${topic}`);
+    console.log(`[Generator] Generating content for topic: ${topic}`);
+
+    // System and user prompts come from the active template versions;
+    // the topic prompt comes from the registry (generic prompt for unknown topics)
+    const system = await renderActiveTemplate('content-system', { topic });
+    const promptVersions = { 'content-system': system.version };
+
+    const languageInstructions = buildLanguageInstructions(languages);
+    const systemPrompt = [
+      system.text,
+      voiceProfile ? buildVoiceInstructions(voiceProfile) : null,
+      languageInstructions,
+    ].filter(Boolean).join('\n\n');
+
+    let topicPrompt;
+    if (customPrompt) {
+      topicPrompt = customPrompt;
+    } else {
+      const user = await renderActiveTemplate('content-user', {
+        topic,
+        topic_prompt: (await getTopicPrompts(topic)).prompt,
+      });
+      topicPrompt = user.text;
+      promptVersions['content-user'] = user.version;
+    }
 
-    const topicPrompt = topicPrompts[topic] || `Write an engaging social media post about ${topic} related to Kangen water.`;
+    if (customHook) {
+      topicPrompt += `\n\nOpen the post with this angle: ${customHook}`;
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Using GPT-5-mini as specified
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: topicPrompt,
-        },
-      ],
-      max_completion_tokens: 500,
-    });
-
-    const responseText = completion.choices[0].message.content;
-    console.log('[OpenAI] Raw response:', responseText);
-
-    // Try to parse JSON, if it fails, extract content and hashtags manually
-    let parsedContent, parsedHashtags;
-    try {
-      const parsedResponse = JSON.parse(responseText);
-      parsedContent = parsedResponse.content;
-      parsedHashtags = parsedResponse.hashtags;
-    } catch (jsonError) {
-      // If not JSON, treat entire response as content and extract hashtags
-      const lines = responseText.trim().split('\n');
-      const lastLine = lines[lines.length - 1];
-
-      if (lastLine.startsWith('#')) {
-        parsedHashtags = lastLine;
-        parsedContent = lines.slice(0, -1).join('\n').trim();
+    if (campaignContext) {
+      topicPrompt += `\n\nCAMPAIGN CONTEXT (weave this in naturally):\n${campaignContext}`;
+    }
+
+    if (avoidContent) {
+      topicPrompt += `\n\nWe already published this post. Take a clearly different angle, hook and examples:\n---\n${avoidContent}\n---`;
+    }
+
+    if (cta) {
+      topicPrompt += `\n\n${buildCtaInstructions(cta)}`;
+    }
+
+    if (revision) {
+      topicPrompt += `\n\nREVISION: Rewrite this draft following the reviewer's feedback. Keep what the feedback does not ask to change.\n---\n${revision.content}\n---\nReviewer feedback: ${revision.feedback}`;
+    }
+
+    const messages = [
+      { role: 'system', content: `${systemPrompt}\n\n${OUTPUT_INSTRUCTIONS}` },
+      { role: 'user', content: topicPrompt },
+    ];
+
+    // Ask for schema-constrained JSON; repair near-misses locally and send the
+    // validation errors back to the model when the output is still invalid
+    const provider = getProvider();
+    let structured = null;
+    let tokensUsed = 0;
+    let attempts = 0;
+
+    while (!structured && attempts < STRUCTURED_ATTEMPTS) {
+      attempts++;
+
+      const completion = await provider.completeChat({
+        messages,
+        schema: { name: 'facebook_post', schema: POST_SCHEMA },
+        params: CONTENT_PARAMS,
+        context: { topic, cta: cta?.text },
+      });
+
+      tokensUsed += completion.tokensUsed;
+      const responseText = completion.text;
+      console.log('[Generator] Raw response:', responseText);
+
+      const repaired = repairPostOutput(responseText);
+      const errors = repaired ? validatePostOutput(repaired) : ['response is not a JSON object'];
+
+      if (errors.length === 0) {
+        structured = repaired;
       } else {
-        parsedContent = responseText;
-        parsedHashtags = '#KangenWater #AlkalineWater #Wellness #HealthyLiving';
+        console.warn(`[Generator] Invalid structured output (attempt ${attempts}/${STRUCTURED_ATTEMPTS}): ${errors.join('; ')}`);
+        messages.push(
+          { role: 'assistant', content: responseText },
+          { role: 'user', content: `That response was invalid: ${errors.join('; ')}. Reply again with only the corrected JSON object.` }
+        );
       }
     }
 
-    console.log('[OpenAI] Content generated successfully');
-    console.log(`[OpenAI] Tokens used: ${completion.usage.total_tokens}`);
+    if (!structured) {
+      throw new Error(`Model did not return a valid post after ${STRUCTURED_ATTEMPTS} attempts`);
+    }
+
+    // The final hashtag set mixes brand, proven and exploratory tags rather
+    // than taking the model's suggestions as they are
+    const suggestedHashtags = structured.hashtags;
+    const hashtagSelection = await selectHashtags(topic, suggestedHashtags, { languages });
+    structured.hashtags = hashtagSelection.hashtags;
+
+    const { content: parsedContent, hashtags: parsedHashtags } = assemblePost(structured);
+
+    const bannedPhrases = findBannedPhrases(voiceProfile, parsedContent);
+    if (bannedPhrases.length > 0) {
+      console.warn(`[Generator] Content uses banned phrases for voice "${voiceProfile.name}": ${bannedPhrases.join(', ')}`);
+    }
+
+    console.log('[Generator] Content generated successfully');
+    console.log(`[Generator] Tokens used: ${tokensUsed}`);
 
     return {
       content: parsedContent,
       hashtags: parsedHashtags,
-      tokensUsed: completion.usage.total_tokens,
+      structured: {
+        hook: structured.hook,
+        body: structured.body,
+        cta: structured.cta,
+        hashtags: structured.hashtags,
+        imageConcept: structured.image_concept,
+      },
+      tokensUsed,
+      bannedPhrases,
+      language: toLanguageTag(languages),
+      ctaId: cta?.id ?? null,
+      provenance: {
+        promptVersions,
+        voiceProfileId: voiceProfile?.id ?? null,
+        model: provider.CONTENT_MODEL,
+        params: {
+          ...CONTENT_PARAMS,
+          customPrompt: Boolean(customPrompt),
+          customHook,
+          campaignContext: Boolean(campaignContext),
+          avoidedDuplicate: Boolean(avoidContent),
+          revision: Boolean(revision),
+          languages,
+          suggestedHashtags,
+          hashtagSources: hashtagSelection.sources,
+          ctaId: cta?.id ?? null,
+          attempts,
+        },
+      },
     };
   } catch (error) {
-    console.error('[OpenAI] Error generating content:', error.message);
+    console.error('[Generator] Error generating content:', error.message);
     throw error;
   }
 }
 
 /**
- * Generate image using DALL-E 3
+ * Generate image (DALL-E 3 with the OpenAI provider)
+ * The post's own image concept (structured output) is used when available,
+ * otherwise the topic's scene from the registry
  */
-export async function generateImage(topic, content) {
+export async function generateImage(topic, content, { imageConcept = null } = {}) {
   try {
-    console.log(`[OpenAI] Generating image for topic: ${topic}`);
+    console.log(`[Generator] Generating image for topic: ${topic}`);
 
     // Create a focused image prompt based on the topic
-    const imagePrompt = createImagePrompt(topic);
+    const { text: imagePrompt, version } = await createImagePrompt(topic, imageConcept);
 
-    const response = await openai.images.generate({
-      model: 'dall-e-3',
-      prompt: imagePrompt,
-      size: '1024x1024',
-      quality: 'standard',
-      n: 1,
-    });
+    const image = await getProvider().generateImage({ prompt: imagePrompt, params: IMAGE_PARAMS });
 
-    const imageUrl = response.data[0].url;
-    console.log('[OpenAI] Image generated successfully');
-    console.log(`[OpenAI] Image URL: ${imageUrl}`);
+    const imageUrl = image.url;
+    console.log('[Generator] Image generated successfully');
+    console.log(`[Generator] Image URL: ${imageUrl}`);
 
     return {
       imageUrl,
-      revisedPrompt: response.data[0].revised_prompt,
+      revisedPrompt: image.revisedPrompt,
+      promptVersion: version,
     };
   } catch (error) {
-    console.error('[OpenAI] Error generating image:', error.message);
+    console.error('[Generator] Error generating image:', error.message);
 
     // Return null instead of throwing - allows posting without image
     if (error.response?.status === 400 || error.response?.status === 429) {
-      console.log('[OpenAI] Image generation failed, will post text-only');
+      console.log('[Generator] Image generation failed, will post text-only');
       return null;
     }
 
@@ -146,42 +222,28 @@ export async function generateImage(topic, content) {
 }
 
 /**
- * Create DALL-E prompt based on topic
+ * Create image prompt based on topic
+ * Scene is the post's image concept or the topic registry's scene, the shared
+ * style comes from the image template
+ * Returns { text, version }
  */
-function createImagePrompt(topic) {
-  const baseStyle = 'Professional, clean, modern photography. Beautiful composition with soft natural lighting. Blue and aqua color palette. Wellness and health theme. High quality, Instagram-worthy aesthetic.';
-
-  const topicImagePrompts = {
-    'Benefits of Alkaline Water': `A crystal clear glass of pure water with fresh cucumbers and mint leaves on a clean white surface. Water droplets visible. ${baseStyle}`,
-    'Hydration and Wellness': `A happy, healthy person drinking water from a glass bottle outdoors in nature, sunlight streaming through trees. Vibrant and fresh. ${baseStyle}`,
-    'pH Balance and Health': `Abstract visualization of water molecules and pH balance, with blue and turquoise tones. Clean, scientific yet beautiful. ${baseStyle}`,
-    'Kangen Water vs Tap Water': `Two glasses of water side by side on a marble countertop, one sparkling clean and pristine, the other ordinary. ${baseStyle}`,
-    'Detoxification Through Water': `Fresh water being poured into a glass surrounded by fresh fruits and vegetables. Clean eating and wellness concept. ${baseStyle}`,
-    'Energy and Hydration': `Athletic person in activewear drinking water after exercise, energetic and vibrant setting. Morning sunlight. ${baseStyle}`,
-    'Skin Health and Alkaline Water': `Close-up of water droplets on glowing, healthy skin. Fresh and radiant. Spa-like atmosphere. ${baseStyle}`,
-    'Athletic Performance and Hydration': `Fit athlete drinking water, gym or outdoor fitness setting. Dynamic and energetic. ${baseStyle}`,
-    'Immune System and pH Balance': `Conceptual image of wellness - water glass surrounded by immune-boosting foods like citrus, berries, greens. ${baseStyle}`,
-    'Daily Wellness Routine': `Morning wellness routine scene: water glass, journal, plants, natural light streaming through window. Peaceful and inspiring. ${baseStyle}`,
-  };
-
-  return topicImagePrompts[topic] || `Beautiful, professional image related to ${topic} and water wellness. ${baseStyle}`;
+async function createImagePrompt(topic, imageConcept = null) {
+  const scene = imageConcept || (await getTopicPrompts(topic)).imagePrompt;
+  return renderActiveTemplate('image', { topic, scene });
 }
 
 /**
- * Test OpenAI connection
+ * Test the provider connection
  */
 export async function testConnection() {
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: 'Say "Hello"' }],
-      max_completion_tokens: 10,
-    });
+    const provider = getProvider();
+    await provider.testConnection();
 
-    console.log('[OpenAI] Connection test successful');
+    console.log(`[Generator] Connection test successful (${provider.name})`);
     return true;
   } catch (error) {
-    console.error('[OpenAI] Connection test failed:', error.message);
+    console.error('[Generator] Connection test failed:', error.message);
     return false;
   }
 }
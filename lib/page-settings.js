@@ -0,0 +1,243 @@
+/**
+ * Page Settings
+ * Page-level configuration (timezone, topic selection, ...) stored per Facebook page
+ * Slot times, blackout dates, the predictor's hour buckets, "today" counts
+ * and the dashboard clock all use the page timezone
+ */
+
+import moment from 'moment-timezone';
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { LANGUAGE_MODES, validateLanguages } from './languages.js';
+
+dotenv.config();
+
+const PAGE_ID = process.env.FACEBOOK_PAGE_ID || 'default';
+
+// Seeded into page_settings on first run
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Pacific/Honolulu';
+
+// Settings are re-read at most this often so other instances pick up changes
+const CACHE_MS = 60 * 1000;
+
+// How topics are picked: scheduler rotation, performance weights, or Thompson sampling
+export const TOPIC_SELECTION_MODES = ['rotation', 'weighted', 'thompson'];
+
+// Used when the page has no settings row yet (mirrors the column defaults)
+const DEFAULT_SETTINGS = {
+  timezone: DEFAULT_TIMEZONE,
+  topicSelectionMode: 'rotation',
+  explorationFloor: 0.05,
+  topicNoRepeatWithin: 3,
+  topicMaxPerWeek: 0,
+  voiceProfileId: null,
+  languages: ['en'],
+  languageMode: 'bilingual',
+  evergreenShare: 0,
+  evergreenMinAgeDays: 90,
+  evergreenParaphrase: true,
+  evergreenFallback: false,
+};
+
+// API field -> column
+const SETTING_COLUMNS = {
+  timezone: 'timezone',
+  topicSelectionMode: 'topic_selection_mode',
+  explorationFloor: 'exploration_floor',
+  topicNoRepeatWithin: 'topic_no_repeat_within',
+  topicMaxPerWeek: 'topic_max_per_week',
+  voiceProfileId: 'voice_profile_id',
+  languages: 'languages',
+  languageMode: 'language_mode',
+  evergreenShare: 'evergreen_share',
+  evergreenMinAgeDays: 'evergreen_min_age_days',
+  evergreenParaphrase: 'evergreen_paraphrase',
+  evergreenFallback: 'evergreen_fallback',
+};
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Create the settings row for this page if it does not exist yet
+ */
+export async function initializePageSettings() {
+  try {
+    await pool.query(
+      `INSERT INTO page_settings (page_id, timezone)
+       VALUES ($1, $2)
+       ON CONFLICT (page_id) DO NOTHING`,
+      [PAGE_ID, DEFAULT_TIMEZONE]
+    );
+
+    const settings = await getPageSettings({ fresh: true });
+    console.log(`[PageSettings] Page ${PAGE_ID} timezone: ${settings.timezone}`);
+    return settings;
+  } catch (error) {
+    console.error('[PageSettings] Error initializing page settings:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get settings for this page (cached for CACHE_MS)
+ */
+export async function getPageSettings({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_MS) {
+    return cached;
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM page_settings WHERE page_id = $1', [PAGE_ID]);
+
+    cached = result.rows.length > 0
+      ? toSettings(result.rows[0])
+      : { pageId: PAGE_ID, ...DEFAULT_SETTINGS, updatedAt: null };
+    cachedAt = Date.now();
+
+    return cached;
+  } catch (error) {
+    console.error('[PageSettings] Error fetching page settings:', error.message);
+
+    // Keep working on the last known settings if the database blips
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Page timezone (IANA name, e.g. "America/Los_Angeles")
+ */
+export async function getTimezone() {
+  const settings = await getPageSettings();
+  return settings.timezone;
+}
+
+/**
+ * Validate settings fields. Returns a list of error messages (empty when valid).
+ */
+export function validatePageSettings(data) {
+  const errors = [];
+
+  if (data.timezone !== undefined && !moment.tz.zone(data.timezone || '')) {
+    errors.push('timezone must be an IANA timezone name, e.g. America/Los_Angeles or Asia/Tokyo');
+  }
+
+  if (data.topicSelectionMode !== undefined && !TOPIC_SELECTION_MODES.includes(data.topicSelectionMode)) {
+    errors.push(`topicSelectionMode must be one of: ${TOPIC_SELECTION_MODES.join(', ')}`);
+  }
+
+  if (data.explorationFloor !== undefined) {
+    if (typeof data.explorationFloor !== 'number' || data.explorationFloor < 0 || data.explorationFloor > 0.5) {
+      errors.push('explorationFloor must be a number between 0 and 0.5');
+    }
+  }
+
+  // Topic cooldown rules (0 turns a rule off)
+  for (const field of ['topicNoRepeatWithin', 'topicMaxPerWeek']) {
+    if (data[field] !== undefined && (!Number.isInteger(data[field]) || data[field] < 0 || data[field] > 50)) {
+      errors.push(`${field} must be an integer between 0 and 50`);
+    }
+  }
+
+  // Default voice profile for generated posts (null = base prompt voice)
+  if (data.voiceProfileId !== undefined && data.voiceProfileId !== null) {
+    if (!Number.isInteger(data.voiceProfileId) || data.voiceProfileId < 1) {
+      errors.push('voiceProfileId must be a voice profile ID or null');
+    }
+  }
+
+  // Post languages: one, or two as a bilingual post or separate posts
+  if (data.languages !== undefined) {
+    errors.push(...validateLanguages(data.languages));
+  }
+
+  if (data.languageMode !== undefined && !LANGUAGE_MODES.includes(data.languageMode)) {
+    errors.push(`languageMode must be one of: ${LANGUAGE_MODES.join(', ')}`);
+  }
+
+  // Evergreen recycling: share of slots reposting past winners (0 = only as a fallback, if enabled)
+  if (data.evergreenShare !== undefined) {
+    if (typeof data.evergreenShare !== 'number' || data.evergreenShare < 0 || data.evergreenShare > 1) {
+      errors.push('evergreenShare must be a number between 0 and 1');
+    }
+  }
+
+  if (data.evergreenMinAgeDays !== undefined) {
+    if (!Number.isInteger(data.evergreenMinAgeDays) || data.evergreenMinAgeDays < 7 || data.evergreenMinAgeDays > 730) {
+      errors.push('evergreenMinAgeDays must be an integer between 7 and 730');
+    }
+  }
+
+  for (const field of ['evergreenParaphrase', 'evergreenFallback']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Update settings for this page (only the provided fields change)
+ */
+export async function updatePageSettings(updates) {
+  try {
+    const fields = Object.keys(SETTING_COLUMNS).filter((field) => updates[field] !== undefined);
+
+    if (fields.length > 0) {
+      const assignments = fields.map((field, i) => `${SETTING_COLUMNS[field]} = $${i + 2}`);
+
+      await pool.query(
+        `UPDATE page_settings
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE page_id = $1`,
+        [PAGE_ID, ...fields.map((field) => updates[field])]
+      );
+
+      console.log(`[PageSettings] Updated ${fields.join(', ')} for page ${PAGE_ID}`);
+    }
+
+    return getPageSettings({ fresh: true });
+  } catch (error) {
+    console.error('[PageSettings] Error updating page settings:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Format a time in the page timezone for logs, e.g. "Mon Jun 2, 6:00 AM HST"
+ */
+export function formatLocalTime(date, timezone) {
+  return moment.tz(date, timezone).format('ddd MMM D, h:mm A z');
+}
+
+function toSettings(row) {
+  return {
+    pageId: row.page_id,
+    timezone: row.timezone,
+    topicSelectionMode: row.topic_selection_mode,
+    explorationFloor: parseFloat(row.exploration_floor),
+    topicNoRepeatWithin: row.topic_no_repeat_within,
+    topicMaxPerWeek: row.topic_max_per_week,
+    voiceProfileId: row.voice_profile_id,
+    languages: row.languages,
+    languageMode: row.language_mode,
+    evergreenShare: parseFloat(row.evergreen_share),
+    evergreenMinAgeDays: row.evergreen_min_age_days,
+    evergreenParaphrase: row.evergreen_paraphrase,
+    evergreenFallback: row.evergreen_fallback,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  TOPIC_SELECTION_MODES,
+  initializePageSettings,
+  getPageSettings,
+  getTimezone,
+  validatePageSettings,
+  updatePageSettings,
+  formatLocalTime,
+};
@@ -7,7 +7,7 @@
 import { generateContent, generateImage } from './openai-generator.js';
 import pool from './db.js';
 
-export async function generateContentAndImageParallel(topic) {
+export async function generateContentAndImageParallel(topic, contentOptions = {}) {
   const startTime = Date.now();
 
   try {
@@ -15,7 +15,7 @@ export async function generateContentAndImageParallel(topic) {
 
     // Fire both jobs simultaneously instead of sequential
     const [contentResult, imageResult] = await Promise.allSettled([
-      generateContent(topic),
+      generateContent(topic, contentOptions),
       generateImage(topic),
     ]);
 
@@ -23,9 +23,11 @@ export async function generateContentAndImageParallel(topic) {
     const imageGeneratedAt = new Date();
 
     // Handle content result
-    let content, hashtags, contentTokens;
+    let content, hashtags, structured, contentTokens, provenance;
     if (contentResult.status === 'fulfilled') {
       content = contentResult.value.content;
+      structured = contentResult.value.structured;
+      provenance = contentResult.value.provenance;
       hashtags = contentResult.value.hashtags;
       contentTokens = contentResult.value.tokensUsed;
       console.log('[ParallelGen] Content generated successfully');
@@ -41,6 +43,12 @@ export async function generateContentAndImageParallel(topic) {
       imageUrl = imageResult.value.imageUrl || imageResult.value;
       imageTokens = imageResult.value.tokens || 0;
       imageFailed = false;
+      if (imageResult.value.promptVersion !== undefined) {
+        provenance = {
+          ...provenance,
+          promptVersions: { ...provenance?.promptVersions, image: imageResult.value.promptVersion },
+        };
+      }
       console.log('[ParallelGen] Image generated successfully');
     } else {
       console.warn('[ParallelGen] Image generation failed, continuing with text-only:', imageResult.reason);
@@ -60,6 +68,8 @@ export async function generateContentAndImageParallel(topic) {
       generatedAt,
       imageGeneratedAt,
       generationTime,
+      structured,
+      provenance,
       tokens: {
         content: contentTokens,
         image: imageTokens,
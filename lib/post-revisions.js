@@ -0,0 +1,362 @@
+/**
+ * Post Revisions
+ * Reviewer edits and feedback-driven regeneration of drafts, keeping every
+ * version of the post text, so a draft can be fixed instead of losing its slot
+ */
+
+import pool from './db.js';
+import { generateContent } from './openai-generator.js';
+import { getCampaign } from './campaigns.js';
+import { getVoiceProfile } from './voice-profiles.js';
+import { getCta } from './cta-library.js';
+import { checkPostCompliance } from './compliance-checker.js';
+import { checkPostSimilarity } from './duplicate-detector.js';
+import { predictEngagement, storePrediction } from './engagement-predictor.js';
+import { addImageGenerationJob } from './queue.js';
+import { HASHTAG_PATTERN, splitPost } from './post-schema.js';
+import { fromLanguageTag } from './languages.js';
+
+// Drafts awaiting review and rejected drafts can be edited or regenerated
+export const REVISABLE_STATUSES = ['scheduled', 'rejected'];
+export const MAX_FEEDBACK_LENGTH = 1000;
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_HASHTAGS_LENGTH = 500;
+const MAX_IMAGE_URL_LENGTH = 500;
+
+/**
+ * Snapshot the post's current text as its next revision
+ * `source` says how this version was produced: generated, regenerated, edited or variant
+ * Edits also record their author and the diff from the previous version
+ */
+export async function saveRevision(postId, { source, feedback = null, author = null, diff = null }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO post_revisions (post_id, revision, source, feedback, author, diff, content, hashtags, image_url,
+                                   hook, body, cta, hashtag_list, image_concept, prompt_versions)
+       SELECT kp.id,
+              COALESCE((SELECT MAX(revision) FROM post_revisions WHERE post_id = kp.id), 0) + 1,
+              $2, $3, $4, $5, kp.content, kp.hashtags, kp.image_url, kp.hook, kp.body, kp.cta, kp.hashtag_list,
+              kp.image_concept, kp.prompt_versions
+       FROM kangen_posts kp
+       WHERE kp.id = $1
+       RETURNING *`,
+      [postId, source, feedback, author, diff ? JSON.stringify(diff) : null]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Revisions] Error saving revision:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Revision history of a post, oldest first
+ */
+export async function getRevisions(postId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM post_revisions WHERE post_id = $1 ORDER BY revision ASC',
+      [postId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[Revisions] Error fetching revisions:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record the text a post was first generated with, if it has no history yet
+ */
+export async function ensureInitialRevision(postId) {
+  const existing = await pool.query('SELECT 1 FROM post_revisions WHERE post_id = $1 LIMIT 1', [postId]);
+  if (existing.rows.length === 0) {
+    await saveRevision(postId, { source: 'generated' });
+  }
+}
+
+/**
+ * Validate a reviewer edit. Returns a list of error messages (empty when valid).
+ */
+export function validatePostEdit(data) {
+  const errors = [];
+
+  if (data.content === undefined && data.hashtags === undefined && data.imageUrl === undefined) {
+    errors.push('nothing to change (content, hashtags or imageUrl)');
+  }
+
+  if (typeof data.author !== 'string' || data.author.trim().length === 0) {
+    errors.push('author is required');
+  } else if (data.author.trim().length > 100) {
+    errors.push('author must be at most 100 characters');
+  }
+
+  if (data.content !== undefined) {
+    if (typeof data.content !== 'string' || data.content.trim().length === 0) {
+      errors.push('content must be a non-empty string');
+    } else if (data.content.length > MAX_CONTENT_LENGTH) {
+      errors.push(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+    }
+  }
+
+  if (data.hashtags !== undefined) {
+    if (typeof data.hashtags !== 'string') {
+      errors.push('hashtags must be a string of space-separated hashtags');
+    } else if (data.hashtags.length > MAX_HASHTAGS_LENGTH) {
+      errors.push(`hashtags must be at most ${MAX_HASHTAGS_LENGTH} characters`);
+    } else {
+      const invalid = parseHashtags(data.hashtags).filter((tag) => !HASHTAG_PATTERN.test(tag));
+      if (invalid.length > 0) {
+        errors.push(`invalid hashtags: ${invalid.join(', ')}`);
+      }
+    }
+  }
+
+  if (data.imageUrl !== undefined && data.imageUrl !== null) {
+    if (typeof data.imageUrl !== 'string' || !/^https?:\/\/\S+$/.test(data.imageUrl)) {
+      errors.push('imageUrl must be an http(s) URL or null');
+    } else if (data.imageUrl.length > MAX_IMAGE_URL_LENGTH) {
+      errors.push(`imageUrl must be at most ${MAX_IMAGE_URL_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+function parseHashtags(hashtags) {
+  return hashtags.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Word-level diff of two texts as runs of { op: 'equal' | 'insert' | 'delete', text }
+ */
+export function diffText(before, after) {
+  const a = (before || '').split(/(\s+)/).filter(Boolean);
+  const b = (after || '').split(/(\s+)/).filter(Boolean);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (op, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      runs.push({ op, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return runs;
+}
+
+/**
+ * Apply a reviewer's edit to a draft's content, hashtags and/or image
+ * The edit is stored as a revision with its author and diff, the draft goes
+ * back to the pending queue, and compliance and prediction are re-run
+ * Returns { changed: false } when the edit matches the current post
+ */
+export async function editPost(post, { content, hashtags, imageUrl, author }) {
+  try {
+    const next = {
+      content: content !== undefined ? content.trim() : post.content,
+      hashtags: hashtags !== undefined ? parseHashtags(hashtags).join(' ') : post.hashtags,
+      imageUrl: imageUrl !== undefined ? imageUrl : post.image_url,
+    };
+
+    const diff = {};
+    if (next.content !== post.content) {
+      diff.content = diffText(post.content, next.content);
+    }
+    if ((next.hashtags || '') !== (post.hashtags || '')) {
+      diff.hashtags = { from: post.hashtags, to: next.hashtags };
+    }
+    if (next.imageUrl !== post.image_url) {
+      diff.imageUrl = { from: post.image_url, to: next.imageUrl };
+    }
+
+    if (Object.keys(diff).length === 0) {
+      return { postId: post.id, changed: false };
+    }
+
+    console.log(`[Revisions] ${author} edited post ${post.id} (${Object.keys(diff).join(', ')})`);
+
+    await ensureInitialRevision(post.id);
+
+    // Structured fields follow the edited text where it still has their shape
+    const structured = diff.content ? splitPost(next.content) : { hook: post.hook, body: post.body, cta: post.cta };
+
+    await pool.query(
+      `UPDATE kangen_posts
+       SET content = $1, hashtags = $2, image_url = $3, hook = $4, body = $5, cta = $6, hashtag_list = $7,
+           status = 'scheduled', approval_method = NULL, scheduled_approval_at = NULL, error_message = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8`,
+      [
+        next.content,
+        next.hashtags,
+        next.imageUrl,
+        structured?.hook ?? null,
+        structured?.body ?? null,
+        structured?.cta ?? null,
+        next.hashtags ? parseHashtags(next.hashtags) : null,
+        post.id,
+      ]
+    );
+
+    const revision = await saveRevision(post.id, { source: 'edited', author, diff });
+
+    const compliance = await checkPostCompliance(post.id);
+    const similarity = diff.content ? await checkPostSimilarity(post.id) : null;
+    const prediction = await predictEngagement(
+      post.topic,
+      next.content,
+      next.hashtags,
+      post.scheduled_for ? new Date(post.scheduled_for) : new Date(),
+      { languages: fromLanguageTag(post.language) }
+    );
+    await storePrediction(post.id, prediction);
+
+    return {
+      postId: post.id,
+      changed: true,
+      revision: revision.revision,
+      diff,
+      compliance: { status: compliance.status, flags: compliance.flags },
+      similarity,
+      prediction,
+    };
+  } catch (error) {
+    console.error('[Revisions] Error editing post:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rewrite a draft following reviewer feedback
+ * The new text replaces the post's content and the post goes back to the
+ * pending queue for the same slot; both versions stay in post_revisions
+ * Options:
+ * - regenerateImage: also queue a new image from the new image concept
+ */
+export async function regeneratePost(post, feedback, { regenerateImage = false } = {}) {
+  try {
+    console.log(`[Revisions] Regenerating post ${post.id} with feedback: ${feedback}`);
+
+    await ensureInitialRevision(post.id);
+
+    // Same voice, campaign, language(s) and CTA as the original draft
+    const languages = fromLanguageTag(post.language);
+    const voiceProfile = post.voice_profile_id ? await getVoiceProfile(post.voice_profile_id) : null;
+    const campaign = post.campaign_id ? await getCampaign(post.campaign_id) : null;
+    const cta = post.cta_id ? await getCta(post.cta_id) : null;
+
+    const generated = await generateContent(post.topic, {
+      campaignContext: campaign?.prompt_context || null,
+      voiceProfile,
+      languages,
+      cta,
+      revision: {
+        content: post.hashtags ? `${post.content}\n\n${post.hashtags}` : post.content,
+        feedback,
+      },
+    });
+
+    // A kept image keeps its image template version
+    const promptVersions = { ...generated.provenance.promptVersions };
+    if (!regenerateImage && post.prompt_versions?.image !== undefined) {
+      promptVersions.image = post.prompt_versions.image;
+    }
+
+    await pool.query(
+      `UPDATE kangen_posts
+       SET content = $1, hashtags = $2, hook = $3, body = $4, cta = $5, hashtag_list = $6, image_concept = $7,
+           prompt_versions = $8, model = $9, generation_params = $10,
+           status = 'scheduled', approval_method = NULL, scheduled_approval_at = NULL, error_message = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $11`,
+      [
+        generated.content,
+        generated.hashtags,
+        generated.structured.hook,
+        generated.structured.body,
+        generated.structured.cta,
+        generated.structured.hashtags,
+        generated.structured.imageConcept,
+        JSON.stringify(promptVersions),
+        generated.provenance.model,
+        JSON.stringify(generated.provenance.params),
+        post.id,
+      ]
+    );
+
+    const revision = await saveRevision(post.id, { source: 'regenerated', feedback });
+
+    const compliance = await checkPostCompliance(post.id);
+    const similarity = await checkPostSimilarity(post.id);
+    const prediction = await predictEngagement(
+      post.topic,
+      generated.content,
+      generated.hashtags,
+      post.scheduled_for ? new Date(post.scheduled_for) : new Date(),
+      { languages }
+    );
+    await storePrediction(post.id, prediction);
+
+    if (regenerateImage) {
+      await addImageGenerationJob(post.id, post.topic, generated.content);
+    }
+
+    console.log(`[Revisions] Post ${post.id} regenerated as revision ${revision.revision} (${generated.tokensUsed} tokens)`);
+
+    return {
+      postId: post.id,
+      revision: revision.revision,
+      content: generated.content,
+      hashtags: generated.hashtags,
+      structured: generated.structured,
+      tokensUsed: generated.tokensUsed,
+      compliance: { status: compliance.status, flags: compliance.flags },
+      similarity,
+      prediction,
+      imageQueued: regenerateImage,
+    };
+  } catch (error) {
+    console.error('[Revisions] Error regenerating post:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  REVISABLE_STATUSES,
+  MAX_FEEDBACK_LENGTH,
+  saveRevision,
+  getRevisions,
+  ensureInitialRevision,
+  validatePostEdit,
+  diffText,
+  editPost,
+  regeneratePost,
+};
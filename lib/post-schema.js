@@ -0,0 +1,172 @@
+/**
+ * Post Schema
+ * Structured output requested from the model for every post:
+ * hook, body, CTA, hashtags and a suggested image concept
+ * Validation and repair of model output happen here so the generator only
+ * ever stores posts that match the schema
+ */
+
+// JSON Schema sent to the model (strict mode: every property required, no extras)
+export const POST_SCHEMA = {
+  type: 'object',
+  properties: {
+    hook: { type: 'string', description: 'Opening line that grabs attention (one sentence)' },
+    body: { type: 'string', description: 'Main post text, without the hook, CTA or hashtags' },
+    cta: { type: 'string', description: 'Call-to-action line' },
+    hashtags: {
+      type: 'array',
+      items: { type: 'string' },
+      description: '3-4 hashtags, each starting with #',
+    },
+    image_concept: { type: 'string', description: 'One or two sentences describing a photo that fits the post' },
+  },
+  required: ['hook', 'body', 'cta', 'hashtags', 'image_concept'],
+  additionalProperties: false,
+};
+
+// Instruction appended to the system prompt so the template's formatting
+// guidance is not taken literally
+export const OUTPUT_INSTRUCTIONS = `OUTPUT FORMAT:
+Respond with a JSON object with these fields:
+- hook: the opening line
+- body: the main text (do not repeat the hook or CTA, no hashtags)
+- cta: the call-to-action line
+- hashtags: an array of 3-4 hashtags, each starting with #
+- image_concept: one or two sentences describing a photo that fits this post (no text in the image)`;
+
+const MIN_HASHTAGS = 1;
+const MAX_HASHTAGS = 6;
+export const HASHTAG_PATTERN = /^#[\p{L}\p{N}_]+$/u;
+
+/**
+ * Check parsed output against the schema
+ * Returns a list of error messages (empty when valid)
+ */
+export function validatePostOutput(output) {
+  const errors = [];
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return ['output must be a JSON object'];
+  }
+
+  for (const field of ['hook', 'body', 'cta', 'image_concept']) {
+    if (typeof output[field] !== 'string' || output[field].trim().length === 0) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  if (!Array.isArray(output.hashtags)) {
+    errors.push('hashtags must be an array');
+  } else {
+    if (output.hashtags.length < MIN_HASHTAGS || output.hashtags.length > MAX_HASHTAGS) {
+      errors.push(`hashtags must have ${MIN_HASHTAGS}-${MAX_HASHTAGS} entries`);
+    }
+
+    const invalid = output.hashtags.filter((tag) => typeof tag !== 'string' || !HASHTAG_PATTERN.test(tag));
+    if (invalid.length > 0) {
+      errors.push(`invalid hashtags: ${invalid.map((tag) => JSON.stringify(tag)).join(', ')}`);
+    }
+  }
+
+  const extra = Object.keys(output).filter((key) => !POST_SCHEMA.properties[key]);
+  if (extra.length > 0) {
+    errors.push(`unexpected fields: ${extra.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse model output, fixing the common near-misses:
+ * code fences or prose around the JSON, hashtags as one string, missing '#',
+ * spaces inside tags, duplicate tags and unknown fields
+ * Returns the repaired object, or null when no JSON object can be found
+ */
+export function repairPostOutput(raw) {
+  const parsed = parseJsonObject(raw);
+  if (!parsed) return null;
+
+  const repaired = {};
+  for (const field of ['hook', 'body', 'cta', 'image_concept']) {
+    if (typeof parsed[field] === 'string') repaired[field] = parsed[field].trim();
+  }
+
+  // Some models still answer with camelCase or "content"
+  repaired.image_concept ??= typeof parsed.imageConcept === 'string' ? parsed.imageConcept.trim() : undefined;
+  repaired.body ??= typeof parsed.content === 'string' ? parsed.content.trim() : undefined;
+
+  let hashtags = parsed.hashtags;
+  if (typeof hashtags === 'string') {
+    hashtags = hashtags.split(/[\s,]+/);
+  }
+  if (Array.isArray(hashtags)) {
+    repaired.hashtags = [...new Set(
+      hashtags
+        .filter((tag) => typeof tag === 'string' && tag.trim().length > 0)
+        .map((tag) => `#${tag.trim().replace(/^#+/, '').replace(/\s+/g, '')}`)
+    )];
+  }
+
+  for (const key of Object.keys(repaired)) {
+    if (repaired[key] === undefined) delete repaired[key];
+  }
+
+  return repaired;
+}
+
+/**
+ * Post text and hashtag string (the kangen_posts content / hashtags columns)
+ */
+export function assemblePost(output) {
+  return {
+    content: [output.hook, output.body, output.cta].map((part) => part.trim()).join('\n\n'),
+    hashtags: output.hashtags.join(' '),
+  };
+}
+
+/**
+ * Inverse of assemblePost for edited text: first paragraph as hook, last as CTA
+ * Returns null when the text has fewer than three paragraphs
+ */
+export function splitPost(content) {
+  const paragraphs = content.trim().split(/\n\s*\n/).map((part) => part.trim()).filter(Boolean);
+  if (paragraphs.length < 3) return null;
+
+  return {
+    hook: paragraphs[0],
+    body: paragraphs.slice(1, -1).join('\n\n'),
+    cta: paragraphs[paragraphs.length - 1],
+  };
+}
+
+function parseJsonObject(raw) {
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    // Fall through to extracting the outermost {...}
+  }
+
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(raw.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  POST_SCHEMA,
+  OUTPUT_INSTRUCTIONS,
+  HASHTAG_PATTERN,
+  validatePostOutput,
+  repairPostOutput,
+  assemblePost,
+  splitPost,
+};
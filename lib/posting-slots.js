@@ -0,0 +1,383 @@
+/**
+ * Posting Slots
+ * Stores the posting schedule in the database so slots can be added, retimed
+ * or disabled per weekday from the API without restarting the process
+ */
+
+import moment from 'moment-timezone';
+import pool from './db.js';
+import { LANGUAGE_MODES, validateLanguages } from './languages.js';
+
+// Seeded on first run - matches the original hardcoded 6 AM / 12 PM / 6 PM schedule
+const DEFAULT_SLOTS = [
+  { name: 'Morning', hour: 6, minute: 0 },
+  { name: 'Noon', hour: 12, minute: 0 },
+  { name: 'Evening', hour: 18, minute: 0 },
+];
+
+// Weekdays follow cron numbering: 0 = Sunday ... 6 = Saturday
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Seed default slots if the table is empty
+ */
+export async function initializePostingSlots() {
+  try {
+    const result = await pool.query('SELECT COUNT(*) as count FROM posting_slots');
+    const count = parseInt(result.rows[0].count);
+
+    if (count === 0) {
+      console.log('[Slots] Seeding default posting slots...');
+
+      for (const slot of DEFAULT_SLOTS) {
+        await pool.query(
+          `INSERT INTO posting_slots (name, hour, minute, weekdays, enabled)
+           VALUES ($1, $2, $3, $4, true)`,
+          [slot.name, slot.hour, slot.minute, ALL_WEEKDAYS]
+        );
+      }
+
+      console.log('[Slots] Seeded', DEFAULT_SLOTS.length, 'slots');
+    }
+
+    return count === 0;
+  } catch (error) {
+    console.error('[Slots] Error initializing posting slots:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get all posting slots ordered by time of day
+ */
+export async function getPostingSlots({ enabledOnly = false } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM posting_slots
+       ${enabledOnly ? 'WHERE enabled = true' : ''}
+       ORDER BY hour ASC, minute ASC, id ASC`
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Slots] Error fetching posting slots:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single posting slot
+ */
+export async function getPostingSlot(slotId) {
+  try {
+    const result = await pool.query('SELECT * FROM posting_slots WHERE id = $1', [slotId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Slots] Error fetching posting slot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate slot fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateSlot(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || data.hour !== undefined) {
+    if (!Number.isInteger(data.hour) || data.hour < 0 || data.hour > 23) {
+      errors.push('hour must be an integer between 0 and 23');
+    }
+  }
+
+  if (data.minute !== undefined) {
+    if (!Number.isInteger(data.minute) || data.minute < 0 || data.minute > 59) {
+      errors.push('minute must be an integer between 0 and 59');
+    }
+  }
+
+  if (data.weekdays !== undefined) {
+    if (
+      !Array.isArray(data.weekdays) ||
+      data.weekdays.length === 0 ||
+      !data.weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      errors.push('weekdays must be a non-empty array of integers 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  // Optional window the timing optimizer may move the slot within
+  for (const field of ['windowStartHour', 'windowEndHour']) {
+    if (data[field] !== undefined && data[field] !== null) {
+      if (!Number.isInteger(data[field]) || data[field] < 0 || data[field] > 23) {
+        errors.push(`${field} must be an integer between 0 and 23 or null`);
+      }
+    }
+  }
+
+  // Voice profile for posts in this slot (null = page default)
+  if (data.voiceProfileId !== undefined && data.voiceProfileId !== null) {
+    if (!Number.isInteger(data.voiceProfileId) || data.voiceProfileId < 1) {
+      errors.push('voiceProfileId must be a voice profile ID or null');
+    }
+  }
+
+  // Post languages for this slot (null = page default)
+  if (data.languages !== undefined && data.languages !== null) {
+    errors.push(...validateLanguages(data.languages));
+  }
+
+  if (data.languageMode !== undefined && data.languageMode !== null && !LANGUAGE_MODES.includes(data.languageMode)) {
+    errors.push(`languageMode must be one of: ${LANGUAGE_MODES.join(', ')} or null`);
+  }
+
+  if ((data.windowStartHour ?? null) !== null && (data.windowEndHour ?? null) !== null) {
+    if (data.windowEndHour < data.windowStartHour) {
+      errors.push('windowEndHour must not be before windowStartHour');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create a posting slot
+ */
+export async function createPostingSlot({
+  name,
+  hour,
+  minute = 0,
+  weekdays = ALL_WEEKDAYS,
+  enabled = true,
+  windowStartHour = null,
+  windowEndHour = null,
+  voiceProfileId = null,
+  languages = null,
+  languageMode = null,
+}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO posting_slots (name, hour, minute, weekdays, enabled, window_start_hour, window_end_hour, voice_profile_id,
+                                  languages, language_mode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        name.trim(),
+        hour,
+        minute,
+        normalizeWeekdays(weekdays),
+        enabled,
+        windowStartHour,
+        windowEndHour,
+        voiceProfileId,
+        languages,
+        languageMode,
+      ]
+    );
+
+    console.log(`[Slots] Created slot ${result.rows[0].id}: ${name} at ${formatSlotTime(result.rows[0])}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[Slots] Error creating posting slot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a posting slot (only the provided fields change)
+ */
+export async function updatePostingSlot(slotId, updates) {
+  try {
+    const existing = await getPostingSlot(slotId);
+    if (!existing) return null;
+
+    const slot = {
+      name: updates.name !== undefined ? updates.name.trim() : existing.name,
+      hour: updates.hour !== undefined ? updates.hour : existing.hour,
+      minute: updates.minute !== undefined ? updates.minute : existing.minute,
+      weekdays: updates.weekdays !== undefined ? normalizeWeekdays(updates.weekdays) : existing.weekdays,
+      enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+      windowStartHour: updates.windowStartHour !== undefined ? updates.windowStartHour : existing.window_start_hour,
+      windowEndHour: updates.windowEndHour !== undefined ? updates.windowEndHour : existing.window_end_hour,
+      voiceProfileId: updates.voiceProfileId !== undefined ? updates.voiceProfileId : existing.voice_profile_id,
+      languages: updates.languages !== undefined ? updates.languages : existing.languages,
+      languageMode: updates.languageMode !== undefined ? updates.languageMode : existing.language_mode,
+    };
+
+    const result = await pool.query(
+      `UPDATE posting_slots
+       SET name = $1, hour = $2, minute = $3, weekdays = $4, enabled = $5,
+           window_start_hour = $6, window_end_hour = $7, voice_profile_id = $8, languages = $9, language_mode = $10,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $11
+       RETURNING *`,
+      [
+        slot.name,
+        slot.hour,
+        slot.minute,
+        slot.weekdays,
+        slot.enabled,
+        slot.windowStartHour,
+        slot.windowEndHour,
+        slot.voiceProfileId,
+        slot.languages,
+        slot.languageMode,
+        slotId,
+      ]
+    );
+
+    console.log(`[Slots] Updated slot ${slotId}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[Slots] Error updating posting slot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a posting slot
+ */
+export async function deletePostingSlot(slotId) {
+  try {
+    const result = await pool.query('DELETE FROM posting_slots WHERE id = $1 RETURNING id', [slotId]);
+
+    if (result.rows.length > 0) {
+      console.log(`[Slots] Deleted slot ${slotId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Slots] Error deleting posting slot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Build the node-cron expression for a slot
+ */
+export function toCronExpression(slot) {
+  const weekdays = slot.weekdays && slot.weekdays.length > 0 ? slot.weekdays : ALL_WEEKDAYS;
+  const dayField = weekdays.length === 7 ? '*' : weekdays.join(',');
+  return `${slot.minute} ${slot.hour} * * ${dayField}`;
+}
+
+/**
+ * Human readable slot time, e.g. "6:00 AM (Mon, Wed, Fri)"
+ */
+export function formatSlotTime(slot) {
+  const period = slot.hour >= 12 ? 'PM' : 'AM';
+  const hour12 = slot.hour % 12 === 0 ? 12 : slot.hour % 12;
+  const time = `${hour12}:${String(slot.minute).padStart(2, '0')} ${period}`;
+
+  if (!slot.weekdays || slot.weekdays.length === 7) {
+    return time;
+  }
+
+  return `${time} (${slot.weekdays.map((day) => WEEKDAY_NAMES[day]).join(', ')})`;
+}
+
+/**
+ * Times a slot was due in the window (from, to], as Date objects
+ */
+export function getSlotOccurrences(slot, from, to, timezone) {
+  const occurrences = [];
+  const weekdays = slot.weekdays && slot.weekdays.length > 0 ? slot.weekdays : ALL_WEEKDAYS;
+  const day = moment.tz(from, timezone).startOf('day');
+  const end = moment.tz(to, timezone);
+
+  while (day.isSameOrBefore(end)) {
+    const occurrence = day.clone().hour(slot.hour).minute(slot.minute).second(0).millisecond(0);
+
+    if (weekdays.includes(occurrence.day()) && occurrence.isAfter(from) && occurrence.isSameOrBefore(to)) {
+      occurrences.push(occurrence.toDate());
+    }
+
+    day.add(1, 'day');
+  }
+
+  return occurrences;
+}
+
+/**
+ * Record the outcome of a slot occurrence (fired, late, skipped, failed)
+ * Fired and late runs also advance the slot's last_fired_at
+ * Returns false if this occurrence was already recorded
+ */
+export async function recordSlotRun(slotId, scheduledFor, status, { reason = null, topic = null } = {}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO slot_runs (slot_id, scheduled_for, status, reason, topic)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (slot_id, scheduled_for) DO NOTHING
+       RETURNING id`,
+      [slotId, scheduledFor, status, reason, topic]
+    );
+
+    if (status === 'fired' || status === 'late') {
+      await pool.query(
+        `UPDATE posting_slots
+         SET last_fired_at = GREATEST(COALESCE(last_fired_at, $1), $1)
+         WHERE id = $2`,
+        [scheduledFor, slotId]
+      );
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Slots] Error recording slot run:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get recent slot runs, optionally filtered by status
+ */
+export async function getRecentSlotRuns({ statuses = null, hours = 24 } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT sr.*, ps.name as slot_name
+       FROM slot_runs sr
+       LEFT JOIN posting_slots ps ON ps.id = sr.slot_id
+       WHERE sr.scheduled_for > NOW() - ($1 || ' hours')::INTERVAL
+       AND ($2::text[] IS NULL OR sr.status = ANY($2))
+       ORDER BY sr.scheduled_for DESC`,
+      [hours, statuses]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Slots] Error fetching slot runs:', error.message);
+    throw error;
+  }
+}
+
+function normalizeWeekdays(weekdays) {
+  return [...new Set(weekdays)].sort((a, b) => a - b);
+}
+
+export default {
+  initializePostingSlots,
+  getPostingSlots,
+  getPostingSlot,
+  validateSlot,
+  createPostingSlot,
+  updatePostingSlot,
+  deletePostingSlot,
+  toCronExpression,
+  formatSlotTime,
+  getSlotOccurrences,
+  recordSlotRun,
+  getRecentSlotRuns,
+};
@@ -0,0 +1,303 @@
+/**
+ * Prompt Templates
+ * Versioned prompts for content and image generation with {{variable}} placeholders
+ * Editing a template adds a new version; the active version is used for new posts
+ * and every post records the versions that produced it
+ */
+
+import pool from './db.js';
+
+// Variables each template may use
+export const TEMPLATE_VARIABLES = {
+  'content-system': ['topic'],
+  'content-user': ['topic', 'topic_prompt'],
+  'image': ['topic', 'scene'],
+};
+
+// Seeded as version 1 - the prompts the generator shipped with
+const DEFAULT_TEMPLATES = {
+  'content-system': `You are a health and wellness content creator specializing in Kangen water education.
+
+IMPORTANT GUIDELINES:
+- Write 150-200 words
+- Use a conversational, friendly, educational tone
+- Be informative but not overly promotional
+- Include specific health benefits but NO medical claims
+- Frame benefits as "supports wellness" not "cures disease"
+- Include relatable examples or statistics when relevant
+- End with a call-to-action: "Order yours today!" or "DM for more info"
+- Include 3-4 relevant hashtags at the end (e.g., #KangenWater #AlkalineWater #Wellness #HealthyLiving)
+- Write in a natural, flowing style that engages readers
+
+DO NOT make medical claims or promise to cure diseases.
+DO focus on wellness, lifestyle, and general health support.`,
+  'content-user': '{{topic_prompt}}',
+  'image': '{{scene}} Professional, clean, modern photography. Beautiful composition with soft natural lighting. Blue and aqua color palette. Wellness and health theme. High quality, Instagram-worthy aesthetic.',
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Active versions are re-read at most this often so other instances pick up changes
+const CACHE_MS = 60 * 1000;
+const activeCache = new Map();
+
+/**
+ * Seed version 1 of any template that has no versions yet
+ */
+export async function initializePromptTemplates() {
+  try {
+    for (const [name, body] of Object.entries(DEFAULT_TEMPLATES)) {
+      const result = await pool.query(
+        `INSERT INTO prompt_templates (name, version, body, variables, is_active, notes)
+         SELECT $1, 1, $2, $3, true, 'Initial version'
+         WHERE NOT EXISTS (SELECT 1 FROM prompt_templates WHERE name = $1)
+         RETURNING id`,
+        [name, body, extractVariables(body)]
+      );
+
+      if (result.rows.length > 0) {
+        console.log(`[PromptTemplates] Seeded ${name} v1`);
+      }
+    }
+  } catch (error) {
+    console.error('[PromptTemplates] Error initializing templates:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Variable names used in a template body
+ */
+export function extractVariables(body) {
+  return [...new Set([...body.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Replace {{variable}} placeholders (missing variables render empty)
+ */
+export function renderTemplate(body, variables = {}) {
+  return body.replace(VARIABLE_PATTERN, (_, name) => (variables[name] ?? '').toString()).trim();
+}
+
+/**
+ * Active version of a template (cached for CACHE_MS)
+ * Falls back to the built-in default if the database has none
+ */
+export async function getActiveTemplate(name) {
+  const cached = activeCache.get(name);
+  if (cached && Date.now() - cached.at < CACHE_MS) {
+    return cached.template;
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM prompt_templates WHERE name = $1 AND is_active = true',
+      [name]
+    );
+
+    const template = result.rows[0] || { name, version: 0, body: DEFAULT_TEMPLATES[name] };
+    activeCache.set(name, { template, at: Date.now() });
+    return template;
+  } catch (error) {
+    console.error('[PromptTemplates] Error fetching template:', error.message);
+
+    // Keep generating with the last known version if the database blips
+    if (cached) return cached.template;
+    throw error;
+  }
+}
+
+/**
+ * Render the active version of a template
+ * Returns { text, version }
+ */
+export async function renderActiveTemplate(name, variables = {}) {
+  const template = await getActiveTemplate(name);
+  return { text: renderTemplate(template.body, variables), version: template.version };
+}
+
+/**
+ * Active version of every template with its version count
+ */
+export async function getPromptTemplates() {
+  try {
+    const result = await pool.query(
+      `SELECT pt.*, counts.versions
+       FROM prompt_templates pt
+       JOIN (SELECT name, COUNT(*) as versions FROM prompt_templates GROUP BY name) counts
+         ON counts.name = pt.name
+       WHERE pt.is_active = true
+       ORDER BY pt.name ASC`
+    );
+
+    return result.rows.map((row) => ({
+      ...row,
+      versions: parseInt(row.versions),
+      allowedVariables: TEMPLATE_VARIABLES[row.name] || [],
+    }));
+  } catch (error) {
+    console.error('[PromptTemplates] Error fetching templates:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * All versions of a template, newest first
+ */
+export async function getTemplateVersions(name) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM prompt_templates WHERE name = $1 ORDER BY version DESC',
+      [name]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[PromptTemplates] Error fetching template versions:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate a new template version. Returns a list of error messages (empty when valid).
+ */
+export function validateTemplate(name, data) {
+  const errors = [];
+
+  if (!TEMPLATE_VARIABLES[name]) {
+    errors.push(`template must be one of: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+    return errors;
+  }
+
+  if (typeof data.body !== 'string' || data.body.trim().length === 0) {
+    errors.push('body is required');
+  } else {
+    const unknown = extractVariables(data.body).filter((variable) => !TEMPLATE_VARIABLES[name].includes(variable));
+    if (unknown.length > 0) {
+      errors.push(`unknown variables: ${unknown.join(', ')} (allowed: ${TEMPLATE_VARIABLES[name].join(', ')})`);
+    }
+  }
+
+  if (data.notes !== undefined && data.notes !== null && typeof data.notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+
+  if (data.activate !== undefined && typeof data.activate !== 'boolean') {
+    errors.push('activate must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Save a new version of a template (active unless activate = false)
+ */
+export async function createTemplateVersion(name, { body, notes = null, activate = true }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO prompt_templates (name, version, body, variables, is_active, notes)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, false, $4
+       FROM prompt_templates WHERE name = $1
+       RETURNING *`,
+      [name, body.trim(), extractVariables(body), notes]
+    );
+
+    const template = result.rows[0];
+    console.log(`[PromptTemplates] Created ${name} v${template.version}`);
+
+    return activate ? activateTemplateVersion(name, template.version) : template;
+  } catch (error) {
+    console.error('[PromptTemplates] Error creating template version:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Make a version the active one (also used to roll back)
+ * Deactivating the old version and activating the new one run in one transaction,
+ * with the template's rows locked so concurrent activations take turns
+ * Returns the activated version, or null if it does not exist
+ */
+export async function activateTemplateVersion(name, version) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const versions = await client.query(
+      'SELECT version FROM prompt_templates WHERE name = $1 FOR UPDATE',
+      [name]
+    );
+    if (!versions.rows.some(row => row.version === Number(version))) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query('UPDATE prompt_templates SET is_active = false WHERE name = $1 AND is_active = true', [name]);
+    const result = await client.query(
+      `UPDATE prompt_templates SET is_active = true, activated_at = CURRENT_TIMESTAMP
+       WHERE name = $1 AND version = $2
+       RETURNING *`,
+      [name, version]
+    );
+
+    await client.query('COMMIT');
+
+    activeCache.delete(name);
+    console.log(`[PromptTemplates] Activated ${name} v${version}`);
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[PromptTemplates] Error activating template version:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Engagement of posted posts grouped by the version of a template that produced them
+ */
+export async function getEngagementByPromptVersion(name) {
+  try {
+    const result = await pool.query(
+      `SELECT (kp.prompt_versions->>$1)::int as version,
+              COUNT(*) as total_posts,
+              COUNT(*) FILTER (WHERE kp.status = 'posted') as posted,
+              AVG(kp.engagement_rate) FILTER (WHERE kp.status = 'posted') as avg_engagement,
+              MIN(kp.created_at) as first_used,
+              MAX(kp.created_at) as last_used
+       FROM kangen_posts kp
+       WHERE kp.prompt_versions ? $1
+       GROUP BY version
+       ORDER BY version DESC`,
+      [name]
+    );
+
+    return result.rows.map((row) => ({
+      version: row.version,
+      totalPosts: parseInt(row.total_posts),
+      posted: parseInt(row.posted),
+      avgEngagement: row.avg_engagement !== null ? parseFloat(parseFloat(row.avg_engagement).toFixed(2)) : null,
+      firstUsed: row.first_used,
+      lastUsed: row.last_used,
+    }));
+  } catch (error) {
+    console.error('[PromptTemplates] Error comparing prompt versions:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  TEMPLATE_VARIABLES,
+  initializePromptTemplates,
+  extractVariables,
+  renderTemplate,
+  getActiveTemplate,
+  renderActiveTemplate,
+  getPromptTemplates,
+  getTemplateVersions,
+  validateTemplate,
+  createTemplateVersion,
+  activateTemplateVersion,
+  getEngagementByPromptVersion,
+};
@@ -0,0 +1,44 @@
+/**
+ * LLM Providers
+ * Text and image generation behind one interface, selected by LLM_PROVIDER:
+ * - openai (default): OpenAI chat completions and DALL-E 3
+ * - mock: deterministic offline output, for development and tests without an API key
+ *
+ * A provider exports name, CONTENT_MODEL, IMAGE_MODEL and:
+ * - completeChat({ messages, schema, params, context }) -> { text, tokensUsed }
+ *   (context holds hints such as the topic and CTA; real models read the prompt instead)
+ * - generateImage({ prompt, params }) -> { url, revisedPrompt }
+ * - testConnection() -> true (throws on failure)
+ */
+
+import dotenv from 'dotenv';
+import * as openaiProvider from './openai-provider.js';
+import * as mockProvider from './mock-provider.js';
+
+dotenv.config();
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Provider selected by LLM_PROVIDER (read on every call so scripts can switch before generating)
+ */
+export function getProvider() {
+  const providerName = (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  return provider;
+}
+
+export default {
+  PROVIDER_NAMES,
+  getProvider,
+};
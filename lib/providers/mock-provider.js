@@ -0,0 +1,112 @@
+/**
+ * Mock Provider
+ * Deterministic, offline stand-in for text and image generation
+ * The same prompt always produces the same output; no network calls, no API key
+ */
+
+export const name = 'mock';
+export const CONTENT_MODEL = 'mock-text-v1';
+export const IMAGE_MODEL = 'mock-image-v1';
+
+const HOOKS = [
+  'Have you thought about what is in your glass today?',
+  'Small habits make the biggest difference.',
+  'Here is something our community asks us about all the time.',
+  'Let us talk about one of our favorite topics.',
+];
+
+const SENTENCES = [
+  'Staying well hydrated supports energy, focus and an overall sense of wellness.',
+  'Many of our customers say they simply enjoy drinking more water now that it tastes great.',
+  'Starting the morning with a full glass of water is an easy habit to build.',
+  'Clean, fresh-tasting water makes it easier to skip sugary drinks.',
+  'Hydration is one of the simplest ways to support a healthy, active lifestyle.',
+  'Families tell us they use their water for cooking, coffee and tea as well.',
+  'Keeping a water bottle nearby is a great reminder to drink throughout the day.',
+  'Wellness is about consistent everyday choices, and water is a great place to start.',
+];
+
+const CTAS = ['DM for more info!', 'Order yours today!', 'Send us a message to learn more!'];
+
+const EXTRA_HASHTAGS = ['#Wellness', '#HealthyLiving', '#Hydration', '#AlkalineWater'];
+
+const SCENES = [
+  'A glass of sparkling water on a sunlit kitchen counter with fresh lemons.',
+  'A family sharing glasses of water at a bright breakfast table.',
+  'A water bottle beside a yoga mat in a calm, airy room.',
+  'A pitcher of water with cucumber slices on a wooden table by a window.',
+];
+
+/**
+ * Chat completion
+ * With a schema the reply is a post object matching the structured output
+ * schema; otherwise a short fixed reply
+ * `context.topic` is used to make the post read like it is about the topic,
+ * and `context.cta` (when given) as its call-to-action
+ */
+export async function completeChat({ messages, schema = null, context = {} }) {
+  const prompt = messages.map((message) => message.content).join('\n');
+  const seed = hash(prompt);
+
+  let text;
+  if (schema) {
+    const topic = context.topic || 'Kangen water';
+    const sentences = [0, 1, 2].map((offset) => pick(SENTENCES, seed + offset * 3));
+
+    text = JSON.stringify({
+      hook: pick(HOOKS, seed),
+      body: `Today we are talking about ${topic.toLowerCase()}. ${sentences.join(' ')}`,
+      cta: context.cta || pick(CTAS, seed),
+      hashtags: ['#KangenWater', toHashtag(topic), pick(EXTRA_HASHTAGS, seed)].filter(
+        (tag, index, tags) => tags.indexOf(tag) === index
+      ),
+      image_concept: pick(SCENES, seed),
+    });
+  } else {
+    text = 'Hello';
+  }
+
+  return { text, tokensUsed: Math.ceil((prompt.length + text.length) / 4) };
+}
+
+/**
+ * Image generation - a placeholder image URL derived from the prompt
+ */
+export async function generateImage({ prompt }) {
+  return {
+    url: `https://picsum.photos/seed/kangen-${hash(prompt)}/1024/1024`,
+    revisedPrompt: prompt,
+  };
+}
+
+export async function testConnection() {
+  return true;
+}
+
+// FNV-1a: small, stable string hash
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function pick(list, seed) {
+  return list[seed % list.length];
+}
+
+function toHashtag(text) {
+  const words = text.replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean).slice(0, 3);
+  return `#${words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('') || 'Wellness'}`;
+}
+
+export default {
+  name,
+  CONTENT_MODEL,
+  IMAGE_MODEL,
+  completeChat,
+  generateImage,
+  testConnection,
+};
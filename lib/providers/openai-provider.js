@@ -0,0 +1,88 @@
+/**
+ * OpenAI Provider
+ * Text (chat completions) and image (DALL-E 3) generation through the OpenAI API
+ * The client is created on first use so importing this module needs no API key
+ */
+
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const name = 'openai';
+export const CONTENT_MODEL = 'gpt-4o-mini';
+export const IMAGE_MODEL = 'dall-e-3';
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return client;
+}
+
+/**
+ * Chat completion
+ * `schema` ({ name, schema }) requests strict JSON schema output
+ * Returns { text, tokensUsed }
+ */
+export async function completeChat({ messages, schema = null, params = {} }) {
+  const completion = await getClient().chat.completions.create({
+    model: CONTENT_MODEL,
+    messages,
+    ...(schema && {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schema.name, strict: true, schema: schema.schema },
+      },
+    }),
+    ...params,
+  });
+
+  return {
+    text: completion.choices[0].message.content || '',
+    tokensUsed: completion.usage?.total_tokens || 0,
+  };
+}
+
+/**
+ * Image generation
+ * Returns { url, revisedPrompt }
+ */
+export async function generateImage({ prompt, params = {} }) {
+  const response = await getClient().images.generate({
+    model: IMAGE_MODEL,
+    prompt,
+    ...params,
+    n: 1,
+  });
+
+  return {
+    url: response.data[0].url,
+    revisedPrompt: response.data[0].revised_prompt,
+  };
+}
+
+/**
+ * Minimal request to check the key and connectivity
+ */
+export async function testConnection() {
+  await getClient().chat.completions.create({
+    model: CONTENT_MODEL,
+    messages: [{ role: 'user', content: 'Say "Hello"' }],
+    max_completion_tokens: 10,
+  });
+  return true;
+}
+
+export default {
+  name,
+  CONTENT_MODEL,
+  IMAGE_MODEL,
+  completeChat,
+  generateImage,
+  testConnection,
+};
@@ -38,6 +38,16 @@ export async function initRedis() {
   }
 }
 
+/**
+ * Shared Redis client (available after initRedis)
+ */
+export function getRedisClient() {
+  if (!redisClient) {
+    throw new Error('Redis client not initialized - call initRedis() first');
+  }
+  return redisClient;
+}
+
 // Job queue configuration
 const defaultJobOptions = {
   attempts: 3, // Maximum retry attempts
@@ -104,14 +114,23 @@ publishEvents.on('failed', ({ jobId, failedReason }) => {
 
 /**
  * Add a content generation job
+ * Pass slotId + scheduledFor to get a deterministic job ID, so the same slot
+ * occurrence is only queued once even if several instances try
  */
-export async function addContentGenerationJob(topic) {
+export async function addContentGenerationJob(topic, { slotId = null, scheduledFor = null, planId = null } = {}) {
   try {
+    const jobId = slotId && scheduledFor
+      ? `content-slot-${slotId}-${new Date(scheduledFor).getTime()}`
+      : `content-${Date.now()}-${topic.replace(/\s+/g, '-')}`;
+
     const job = await contentQueue.add('generate-content', {
       topic,
+      slotId,
+      scheduledFor,
+      planId,
       timestamp: new Date().toISOString(),
     }, {
-      jobId: `content-${Date.now()}-${topic.replace(/\s+/g, '-')}`,
+      jobId,
     });
 
     console.log(`[Queue] Added content generation job: ${job.id}`);
@@ -125,15 +144,16 @@ export async function addContentGenerationJob(topic) {
 /**
  * Add an image generation job
  */
-export async function addImageGenerationJob(postId, topic, content) {
+export async function addImageGenerationJob(postId, topic, content, { jobId = null } = {}) {
   try {
+    // A fixed jobId makes queueing idempotent (BullMQ ignores a duplicate ID)
     const job = await imageQueue.add('generate-image', {
       postId,
       topic,
       content,
       timestamp: new Date().toISOString(),
     }, {
-      jobId: `image-${Date.now()}-${postId}`,
+      jobId: jobId || `image-${Date.now()}-${postId}`,
     });
 
     console.log(`[Queue] Added image generation job: ${job.id} for post ${postId}`);
@@ -146,18 +166,26 @@ export async function addImageGenerationJob(postId, topic, content) {
 
 /**
  * Add a Facebook publishing job
+ * publishAt delays the job until the post's slot time (pre-generated drafts)
+ * With native = true the job runs now and hands the post to Facebook to publish at publishAt
  */
-export async function addPublishJob(postId) {
+export async function addPublishJob(postId, { publishAt = null, native = false } = {}) {
   try {
+    const delay = publishAt && !native
+      ? Math.max(5000, new Date(publishAt).getTime() - Date.now())
+      : 5000; // Wait 5 seconds after image generation
+
     const job = await publishQueue.add('publish-to-facebook', {
       postId,
+      scheduledPublishTime: native ? publishAt : null,
       timestamp: new Date().toISOString(),
     }, {
       jobId: `publish-${Date.now()}-${postId}`,
-      delay: 5000, // Wait 5 seconds after image generation
+      delay,
     });
 
-    console.log(`[Queue] Added publishing job: ${job.id} for post ${postId}`);
+    const timing = publishAt ? ` (${native ? 'scheduled on Facebook' : 'publishes'} at ${new Date(publishAt).toISOString()})` : '';
+    console.log(`[Queue] Added publishing job: ${job.id} for post ${postId}${timing}`);
     return job;
   } catch (error) {
     console.error('[Queue] Error adding publishing job:', error.message);
@@ -165,6 +193,31 @@ export async function addPublishJob(postId) {
   }
 }
 
+/**
+ * Remove publishing jobs for a post that have not run yet
+ * Used when a delayed post is cancelled or moved to a different time
+ */
+export async function removePendingPublishJobs(postId) {
+  try {
+    const jobs = await publishQueue.getJobs(['delayed', 'waiting']);
+    // Route params arrive as strings while job data holds numbers (or the reverse)
+    const pending = jobs.filter((job) => job && Number(job.data.postId) === Number(postId));
+
+    for (const job of pending) {
+      await job.remove();
+    }
+
+    if (pending.length > 0) {
+      console.log(`[Queue] Removed ${pending.length} pending publishing job(s) for post ${postId}`);
+    }
+
+    return pending.length;
+  } catch (error) {
+    console.error('[Queue] Error removing publishing jobs:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Get queue statistics
  */
@@ -238,8 +291,10 @@ export default {
   addContentGenerationJob,
   addImageGenerationJob,
   addPublishJob,
+  removePendingPublishJobs,
   getQueueStats,
   cleanQueues,
   closeQueues,
   initRedis,
+  getRedisClient,
 };
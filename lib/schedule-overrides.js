@@ -0,0 +1,251 @@
+/**
+ * Schedule Overrides
+ * Blackout dates and holiday calendar consulted by the scheduler before queueing a post
+ * - blackout: no posting on the date range (optionally only within a time range or for one slot)
+ * - topic: post as usual but replace the topic (e.g. a company announcement day)
+ */
+
+import moment from 'moment-timezone';
+import pool from './db.js';
+
+const OVERRIDE_TYPES = ['blackout', 'topic'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Dates and times come back as plain strings rather than server-local Date objects
+const OVERRIDE_COLUMNS = `
+  id, type, slot_id, topic, reason, created_at,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  to_char(start_time, 'HH24:MI') as start_time,
+  to_char(end_time, 'HH24:MI') as end_time`;
+
+/**
+ * Validate override fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateOverride(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.type !== undefined) {
+    if (!OVERRIDE_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${OVERRIDE_TYPES.join(', ')}`);
+    }
+  }
+
+  if (!partial || data.startDate !== undefined) {
+    if (!DATE_PATTERN.test(data.startDate || '')) {
+      errors.push('startDate must be YYYY-MM-DD');
+    }
+  }
+
+  if (data.endDate !== undefined && data.endDate !== null && !DATE_PATTERN.test(data.endDate)) {
+    errors.push('endDate must be YYYY-MM-DD');
+  }
+
+  if (data.startDate && data.endDate && data.endDate < data.startDate) {
+    errors.push('endDate must not be before startDate');
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    if (data[field] !== undefined && data[field] !== null && !TIME_PATTERN.test(data[field])) {
+      errors.push(`${field} must be HH:MM (24-hour)`);
+    }
+  }
+
+  if (!partial && Boolean(data.startTime) !== Boolean(data.endTime)) {
+    errors.push('startTime and endTime must be given together');
+  }
+
+  if (data.startTime && data.endTime && data.endTime <= data.startTime) {
+    errors.push('endTime must be after startTime');
+  }
+
+  if (data.slotId !== undefined && data.slotId !== null && !(Number.isInteger(data.slotId) && data.slotId > 0)) {
+    errors.push('slotId must be a posting slot ID or null');
+  }
+
+  if (!partial && data.type === 'topic' && !data.topic) {
+    errors.push('topic is required for topic overrides');
+  }
+
+  return errors;
+}
+
+/**
+ * List overrides, optionally only those touching a date range
+ */
+export async function getOverrides({ from = null, to = null } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT ${OVERRIDE_COLUMNS}
+       FROM schedule_overrides
+       WHERE ($1::date IS NULL OR end_date >= $1::date)
+       AND ($2::date IS NULL OR start_date <= $2::date)
+       ORDER BY start_date ASC, start_time ASC NULLS FIRST, id ASC`,
+      [from, to]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Overrides] Error fetching overrides:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create an override
+ */
+export async function createOverride({
+  type,
+  startDate,
+  endDate = null,
+  startTime = null,
+  endTime = null,
+  slotId = null,
+  topic = null,
+  reason = null,
+}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO schedule_overrides (type, start_date, end_date, start_time, end_time, slot_id, topic, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [type, startDate, endDate || startDate, startTime, endTime, slotId, type === 'topic' ? topic : null, reason]
+    );
+
+    const override = await getOverride(result.rows[0].id);
+    console.log(`[Overrides] Created ${type} override ${override.id} for ${override.start_date} - ${override.end_date}`);
+    return override;
+  } catch (error) {
+    console.error('[Overrides] Error creating override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single override
+ */
+export async function getOverride(overrideId) {
+  try {
+    const result = await pool.query(
+      `SELECT ${OVERRIDE_COLUMNS} FROM schedule_overrides WHERE id = $1`,
+      [overrideId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Overrides] Error fetching override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Convert a stored override back into API field names
+ */
+export function toOverrideInput(row) {
+  return {
+    type: row.type,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    slotId: row.slot_id,
+    topic: row.topic,
+    reason: row.reason,
+  };
+}
+
+/**
+ * Update an override (only the provided fields change)
+ */
+export async function updateOverride(overrideId, updates) {
+  try {
+    const existing = await getOverride(overrideId);
+    if (!existing) return null;
+
+    const override = { ...toOverrideInput(existing), ...updates };
+
+    await pool.query(
+      `UPDATE schedule_overrides
+       SET type = $1, start_date = $2, end_date = $3, start_time = $4, end_time = $5,
+           slot_id = $6, topic = $7, reason = $8
+       WHERE id = $9`,
+      [
+        override.type,
+        override.startDate,
+        override.endDate || override.startDate,
+        override.startTime,
+        override.endTime,
+        override.slotId,
+        override.type === 'topic' ? override.topic : null,
+        override.reason,
+        overrideId,
+      ]
+    );
+
+    console.log(`[Overrides] Updated override ${overrideId}`);
+    return getOverride(overrideId);
+  } catch (error) {
+    console.error('[Overrides] Error updating override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete an override
+ */
+export async function deleteOverride(overrideId) {
+  try {
+    const result = await pool.query('DELETE FROM schedule_overrides WHERE id = $1 RETURNING id', [overrideId]);
+
+    if (result.rows.length > 0) {
+      console.log(`[Overrides] Deleted override ${overrideId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Overrides] Error deleting override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find the overrides that apply to a slot at a given time
+ * Slot-specific overrides win over ones that cover every slot
+ * Returns { blackout, topicOverride } (either may be null)
+ */
+export async function resolveOverrides(slotId, scheduledFor, timezone) {
+  try {
+    const local = moment.tz(scheduledFor, timezone);
+
+    const result = await pool.query(
+      `SELECT ${OVERRIDE_COLUMNS}
+       FROM schedule_overrides
+       WHERE $1::date BETWEEN start_date AND end_date
+       AND (slot_id IS NULL OR slot_id = $2)
+       AND (start_time IS NULL OR $3::time >= start_time)
+       AND (end_time IS NULL OR $3::time < end_time)
+       ORDER BY slot_id NULLS LAST, id DESC`,
+      [local.format('YYYY-MM-DD'), slotId, local.format('HH:mm')]
+    );
+
+    return {
+      blackout: result.rows.find((row) => row.type === 'blackout') || null,
+      topicOverride: result.rows.find((row) => row.type === 'topic') || null,
+    };
+  } catch (error) {
+    console.error('[Overrides] Error resolving overrides:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  validateOverride,
+  getOverrides,
+  getOverride,
+  toOverrideInput,
+  createOverride,
+  updateOverride,
+  deleteOverride,
+  resolveOverrides,
+};
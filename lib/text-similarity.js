@@ -0,0 +1,175 @@
+/**
+ * Text Similarity
+ * TF-IDF vectors, cosine similarity and greedy clustering for short texts
+ * (audience comments, post bodies). Plain JS - no model calls.
+ */
+
+// Words too common to say anything about a theme
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'dont', 'for', 'from',
+  'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'im', 'in', 'into',
+  'is', 'it', 'its', 'just', 'know', 'like', 'me', 'more', 'most', 'my', 'no', 'not', 'now', 'of', 'on', 'one',
+  'only', 'or', 'other', 'our', 'out', 'over', 'really', 'she', 'should', 'so', 'some', 'such', 'than', 'thank',
+  'thanks', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too',
+  'up', 'us', 'very', 'want', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'yes', 'you', 'your', 'kangen', 'water',
+]);
+
+// Japanese (and Chinese) script runs - written without spaces between words
+const CJK_RUN = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]+/gu;
+
+/**
+ * Lowercase tokens with URLs, mentions, punctuation and stopwords removed
+ * Space-separated scripts give words; CJK text gives character bigrams
+ */
+export function tokenize(text) {
+  const cleaned = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\p{L}\p{N}_]+/gu, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ');
+
+  const words = cleaned
+    .replace(CJK_RUN, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+
+  return [...words, ...(cleaned.match(CJK_RUN) || []).flatMap(characterBigrams)];
+}
+
+/**
+ * TF-IDF vector per text as a Map of term -> weight (L2-normalised)
+ */
+export function buildTfidfVectors(texts) {
+  const tokenLists = texts.map(tokenize);
+  const documentFrequency = new Map();
+
+  for (const tokens of tokenLists) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return tokenLists.map((tokens) => {
+    const counts = new Map();
+    for (const term of tokens) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      // Smoothed IDF so terms in every text keep a small weight
+      const idf = Math.log((1 + texts.length) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, (count / tokens.length) * idf);
+    }
+
+    return normalize(vector);
+  });
+}
+
+/**
+ * Cosine similarity of two term vectors (0 - 1)
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+
+  const norm = Math.sqrt(sumSquares(a)) * Math.sqrt(sumSquares(b));
+  return norm > 0 ? dot / norm : 0;
+}
+
+/**
+ * Greedy clustering: each text joins the most similar existing cluster centroid
+ * at or above `threshold`, otherwise starts a new cluster
+ * Returns [{ members: [index], centroid: Map }], largest first
+ */
+export function clusterVectors(vectors, { threshold = 0.3 } = {}) {
+  const clusters = [];
+
+  vectors.forEach((vector, index) => {
+    if (vector.size === 0) return;
+
+    let best = null;
+    let bestScore = threshold;
+
+    for (const cluster of clusters) {
+      const score = cosineSimilarity(vector, cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      best.members.push(index);
+      best.sum = addVectors(best.sum, vector);
+      best.centroid = normalize(best.sum);
+    } else {
+      clusters.push({ members: [index], sum: new Map(vector), centroid: vector });
+    }
+  });
+
+  return clusters
+    .map(({ members, centroid }) => ({ members, centroid }))
+    .sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Highest weighted terms of a vector
+ */
+export function topTerms(vector, limit = 5) {
+  return [...vector.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+function characterBigrams(run) {
+  const chars = [...run];
+  if (chars.length === 1) return chars;
+
+  const bigrams = [];
+  for (let i = 0; i < chars.length - 1; i++) {
+    bigrams.push(chars[i] + chars[i + 1]);
+  }
+  return bigrams;
+}
+
+function sumSquares(vector) {
+  let sum = 0;
+  for (const weight of vector.values()) sum += weight * weight;
+  return sum;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(sumSquares(vector));
+  if (norm === 0) return vector;
+
+  const normalized = new Map();
+  for (const [term, weight] of vector) {
+    normalized.set(term, weight / norm);
+  }
+  return normalized;
+}
+
+function addVectors(a, b) {
+  const sum = new Map(a);
+  for (const [term, weight] of b) {
+    sum.set(term, (sum.get(term) || 0) + weight);
+  }
+  return sum;
+}
+
+export default {
+  tokenize,
+  buildTfidfVectors,
+  cosineSimilarity,
+  clusterVectors,
+  topTerms,
+};
@@ -0,0 +1,259 @@
+/**
+ * Timing Optimizer
+ * Learns the best posting times per weekday from measured engagement and
+ * recommends (or, when enabled, applies) slot time changes within each
+ * slot's allowed window
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { getPostingSlots, updatePostingSlot } from './posting-slots.js';
+import { getTimezone } from './page-settings.js';
+
+dotenv.config();
+
+// Only posts from this many days back feed the heatmap
+const LOOKBACK_DAYS = parseInt(process.env.TIMING_LOOKBACK_DAYS || '90');
+// Posts a weekday/hour cell needs before its average is trusted
+const MIN_SAMPLES = parseInt(process.env.TIMING_MIN_SAMPLES || '3');
+// Smallest expected lift (0.15 = 15%) worth moving a slot for
+const MIN_LIFT = parseFloat(process.env.TIMING_MIN_LIFT || '0.15');
+// Hours either side of a slot searched when it has no explicit window
+const SEARCH_HOURS = parseInt(process.env.TIMING_SEARCH_HOURS || '3');
+// Let the leader move slots automatically (daily, at most once per slot per interval)
+export const AUTO_ADJUST = process.env.TIMING_AUTO_ADJUST === 'true';
+const ADJUST_INTERVAL_DAYS = parseInt(process.env.TIMING_ADJUST_INTERVAL_DAYS || '7');
+
+/**
+ * Build the weekday x hour engagement heatmap (local schedule time)
+ * Uses each post's latest engagement measurement
+ */
+export async function getTimingHeatmap({ days = LOOKBACK_DAYS, timezone = null } = {}) {
+  try {
+    timezone = timezone || (await getTimezone());
+
+    const result = await pool.query(
+      `WITH latest AS (
+         SELECT DISTINCT ON (post_id) post_id, engagement_rate
+         FROM post_engagement
+         ORDER BY post_id, measured_at DESC
+       )
+       SELECT
+         EXTRACT(DOW FROM kp.posted_at::timestamptz AT TIME ZONE $1) as weekday,
+         EXTRACT(HOUR FROM kp.posted_at::timestamptz AT TIME ZONE $1) as hour,
+         AVG(latest.engagement_rate) as avg_engagement,
+         COUNT(*) as post_count
+       FROM kangen_posts kp
+       JOIN latest ON latest.post_id = kp.id
+       WHERE kp.status = 'posted'
+       AND kp.posted_at > NOW() - ($2 || ' days')::INTERVAL
+       GROUP BY weekday, hour`,
+      [timezone, days]
+    );
+
+    const cells = result.rows.map((row) => ({
+      weekday: parseInt(row.weekday),
+      hour: parseInt(row.hour),
+      avgEngagement: parseFloat(row.avg_engagement) || 0,
+      posts: parseInt(row.post_count),
+    }));
+
+    const totalPosts = cells.reduce((sum, cell) => sum + cell.posts, 0);
+    const overallAvg = totalPosts > 0
+      ? cells.reduce((sum, cell) => sum + cell.avgEngagement * cell.posts, 0) / totalPosts
+      : 0;
+
+    // grid[weekday][hour] = average engagement, null where nothing was posted
+    const grid = Array.from({ length: 7 }, () => Array(24).fill(null));
+    for (const cell of cells) {
+      grid[cell.weekday][cell.hour] = parseFloat(cell.avgEngagement.toFixed(2));
+    }
+
+    // Best hour per weekday among cells with enough data
+    const bestHours = Array.from({ length: 7 }, (_, weekday) => {
+      const candidates = cells.filter((cell) => cell.weekday === weekday && cell.posts >= MIN_SAMPLES);
+      if (candidates.length === 0) return { weekday, hour: null, avgEngagement: null, posts: 0 };
+
+      const best = candidates.reduce((a, b) => (b.avgEngagement > a.avgEngagement ? b : a));
+      return { weekday, hour: best.hour, avgEngagement: parseFloat(best.avgEngagement.toFixed(2)), posts: best.posts };
+    });
+
+    return {
+      timezone,
+      lookbackDays: days,
+      totalPosts,
+      overallAvg: parseFloat(overallAvg.toFixed(2)),
+      cells,
+      grid,
+      bestHours,
+    };
+  } catch (error) {
+    console.error('[TimingOptimizer] Error building heatmap:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Expected engagement for posting at `hour` on the given weekdays
+ * Cell averages are shrunk toward the overall average so a single lucky post
+ * does not dominate; returns { score, posts }
+ */
+function scoreHour(heatmap, weekdays, hour) {
+  let sum = 0;
+  let posts = 0;
+
+  for (const cell of heatmap.cells) {
+    if (cell.hour === hour && weekdays.includes(cell.weekday)) {
+      sum += cell.avgEngagement * cell.posts;
+      posts += cell.posts;
+    }
+  }
+
+  const score = (sum + heatmap.overallAvg * MIN_SAMPLES) / (posts + MIN_SAMPLES);
+  return { score, posts };
+}
+
+/**
+ * Hours the optimizer may move a slot to
+ */
+function getCandidateHours(slot) {
+  const hasWindow = slot.window_start_hour !== null && slot.window_end_hour !== null;
+  const start = hasWindow ? slot.window_start_hour : Math.max(0, slot.hour - SEARCH_HOURS);
+  const end = hasWindow ? slot.window_end_hour : Math.min(23, slot.hour + SEARCH_HOURS);
+
+  const hours = [];
+  for (let hour = start; hour <= end; hour++) {
+    hours.push(hour);
+  }
+  return hours;
+}
+
+/**
+ * Recommend a posting hour for every enabled slot with its expected lift
+ */
+export async function getSlotRecommendations(heatmap = null) {
+  try {
+    heatmap = heatmap || (await getTimingHeatmap());
+    const slots = await getPostingSlots({ enabledOnly: true });
+
+    return slots.map((slot) => {
+      const weekdays = slot.weekdays && slot.weekdays.length > 0 ? slot.weekdays : [0, 1, 2, 3, 4, 5, 6];
+      const current = scoreHour(heatmap, weekdays, slot.hour);
+
+      let best = { hour: slot.hour, ...current };
+      for (const hour of getCandidateHours(slot)) {
+        const candidate = scoreHour(heatmap, weekdays, hour);
+        if (candidate.posts >= MIN_SAMPLES && candidate.score > best.score) {
+          best = { hour, ...candidate };
+        }
+      }
+
+      const expectedLift = current.score > 0 ? (best.score - current.score) / current.score : 0;
+      const shouldMove = best.hour !== slot.hour && expectedLift >= MIN_LIFT;
+
+      let reason;
+      if (heatmap.totalPosts === 0) {
+        reason = 'No engagement data yet';
+      } else if (shouldMove) {
+        reason = `Posts at ${best.hour}:00 averaged ${best.score.toFixed(2)}/hr vs ${current.score.toFixed(2)}/hr at ${slot.hour}:00`;
+      } else if (best.hour !== slot.hour) {
+        reason = `Best alternative lift is below ${Math.round(MIN_LIFT * 100)}%`;
+      } else {
+        reason = 'Current time is already the best in range';
+      }
+
+      return {
+        slotId: slot.id,
+        slotName: slot.name,
+        currentHour: slot.hour,
+        recommendedHour: shouldMove ? best.hour : slot.hour,
+        currentScore: parseFloat(current.score.toFixed(2)),
+        recommendedScore: parseFloat((shouldMove ? best.score : current.score).toFixed(2)),
+        expectedLift: parseFloat((shouldMove ? expectedLift : 0).toFixed(3)),
+        expectedLiftPercent: `${((shouldMove ? expectedLift : 0) * 100).toFixed(1)}%`,
+        samples: { current: current.posts, recommended: shouldMove ? best.posts : current.posts },
+        window: slot.window_start_hour !== null && slot.window_end_hour !== null
+          ? { startHour: slot.window_start_hour, endHour: slot.window_end_hour }
+          : null,
+        canAutoAdjust: shouldMove && slot.window_start_hour !== null && slot.window_end_hour !== null,
+        reason,
+      };
+    });
+  } catch (error) {
+    console.error('[TimingOptimizer] Error building recommendations:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Move slots to their recommended hour
+ * Only slots with an allowed window are touched, and each slot at most once per
+ * ADJUST_INTERVAL_DAYS unless force = true. Returns the adjustments made; the
+ * caller reloads the scheduler.
+ */
+export async function autoAdjustSlots({ force = false } = {}) {
+  try {
+    console.log('[TimingOptimizer] Checking slot times...');
+
+    const recommendations = await getSlotRecommendations();
+    const adjustments = [];
+
+    for (const rec of recommendations) {
+      if (!rec.canAutoAdjust) continue;
+
+      if (!force) {
+        const recent = await pool.query(
+          `SELECT 1 FROM slot_adjustments
+           WHERE slot_id = $1 AND created_at > NOW() - ($2 || ' days')::INTERVAL
+           LIMIT 1`,
+          [rec.slotId, ADJUST_INTERVAL_DAYS]
+        );
+        if (recent.rows.length > 0) continue;
+      }
+
+      await updatePostingSlot(rec.slotId, { hour: rec.recommendedHour });
+      await pool.query(
+        `INSERT INTO slot_adjustments (slot_id, from_hour, to_hour, expected_lift, reason)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [rec.slotId, rec.currentHour, rec.recommendedHour, rec.expectedLift, rec.reason]
+      );
+
+      console.log(`[TimingOptimizer] Moved slot ${rec.slotId} (${rec.slotName}) from ${rec.currentHour}:00 to ${rec.recommendedHour}:00 (+${rec.expectedLiftPercent})`);
+      adjustments.push(rec);
+    }
+
+    console.log(`[TimingOptimizer] ✓ ${adjustments.length} slot(s) adjusted`);
+    return adjustments;
+  } catch (error) {
+    console.error('[TimingOptimizer] Error adjusting slots:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Recent automatic and manual slot moves
+ */
+export async function getSlotAdjustments(limit = 20) {
+  try {
+    const result = await pool.query(
+      `SELECT sa.*, ps.name as slot_name
+       FROM slot_adjustments sa
+       LEFT JOIN posting_slots ps ON ps.id = sa.slot_id
+       ORDER BY sa.created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[TimingOptimizer] Error fetching slot adjustments:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  AUTO_ADJUST,
+  getTimingHeatmap,
+  getSlotRecommendations,
+  autoAdjustSlots,
+  getSlotAdjustments,
+};
@@ -4,20 +4,12 @@
  * Learns which topics drive engagement and biases future generation toward high performers
  */
 
-import pool from './db.js';
-
-const DEFAULT_TOPICS = [
-  'Health Benefits',
-  'Hydration Science',
-  'Detoxification',
-  'Energy Boost',
-  'Wellness Tips',
-  'Customer Stories',
-  'pH Balance',
-  'Daily Routine',
-  'Lifestyle Change',
-  'Testimonials',
-];
+import pool, { getLastPostedTopic } from './db.js';
+import { getEnabledTopicNames } from './topic-registry.js';
+import { getPageSettings } from './page-settings.js';
+import { selectTopicThompson, getBanditBreakdown } from './topic-bandit.js';
+import { applyTopicRules } from './topic-rules.js';
+import { getActiveCampaigns, getTopicBoosts } from './campaigns.js';
 
 /**
  * Calculate topic weights based on historical performance
@@ -28,8 +20,9 @@ export async function calculateTopicWeights() {
     console.log('[TopicAnalyzer] Calculating topic weights...');
 
     const weights = {};
+    const topics = await getEnabledTopicNames();
 
-    for (const topic of DEFAULT_TOPICS) {
+    for (const topic of topics) {
       const result = await pool.query(
         `SELECT
            COUNT(*) as total_posts,
@@ -107,21 +100,115 @@ export async function calculateTopicWeights() {
  * Select next topic using weighted probability
  * Higher performing topics have higher chance of selection
  */
-export async function selectWeightedTopic() {
+export async function selectWeightedTopic({ scheduledFor = new Date() } = {}) {
+  const { topicSelectionMode, explorationFloor } = await getPageSettings();
+
+  // Cooldown / repetition rules narrow the candidates for every mode
+  const { eligible, excluded, relaxed } = await applyTopicRules(await getEnabledTopicNames(), { at: scheduledFor });
+
+  // Running campaigns multiply the weights of the topics they boost
+  const boosts = getTopicBoosts(await getActiveCampaigns(scheduledFor));
+  if (Object.keys(boosts).length > 0) {
+    console.log('[TopicAnalyzer] Campaign boosts:', JSON.stringify(boosts));
+  }
+
+  // Bayesian bandit mode (page setting)
+  if (topicSelectionMode === 'thompson') {
+    try {
+      const { topic, explored, samples } = await selectTopicThompson(eligible, { explorationFloor, boosts });
+      await logTopicSelection(topic, 'thompson', { explored, samples, excluded, relaxed });
+      return topic;
+    } catch (error) {
+      console.error('[TopicAnalyzer] Thompson sampling failed, falling back to weights:', error.message);
+    }
+  }
+
+  const topic = await selectByPerformanceWeight(eligible, boosts);
+  await logTopicSelection(topic, 'weighted', { excluded, relaxed });
+  return topic;
+}
+
+// Rotation position when the previous topic is no longer in the registry
+let currentTopicIndex = 0;
+
+/**
+ * Next topic in rotation after `after` (default: the last posted topic)
+ * Topics blocked by the cooldown rules are skipped over
+ */
+export async function selectRotationTopic({ scheduledFor = new Date(), after = null } = {}) {
+  const topics = await getEnabledTopicNames();
+
+  if (topics.length === 0) {
+    throw new Error('No enabled topics in the topic registry');
+  }
+
+  const lastTopic = after || (await getLastPostedTopic());
+
+  if (lastTopic) {
+    // Find the index and move to next
+    const lastIndex = topics.indexOf(lastTopic);
+    if (lastIndex !== -1) {
+      currentTopicIndex = (lastIndex + 1) % topics.length;
+    }
+  }
+
+  // Topics may have been disabled since the last run
+  currentTopicIndex = currentTopicIndex % topics.length;
+
+  const { eligible, excluded, relaxed } = await applyTopicRules(topics, { at: scheduledFor });
+
+  // Walk forward from the rotation position to the first allowed topic
+  let topic = eligible[0];
+  for (let step = 0; step < topics.length; step++) {
+    const candidate = topics[(currentTopicIndex + step) % topics.length];
+    if (eligible.includes(candidate)) {
+      topic = candidate;
+      break;
+    }
+  }
+
+  currentTopicIndex = (topics.indexOf(topic) + 1) % topics.length;
+
+  await logTopicSelection(topic, 'rotation', { excluded, relaxed });
+  return topic;
+}
+
+/**
+ * Pick the topic for a slot according to the page's topic selection mode
+ * (rotation, performance weights or Thompson sampling)
+ * Options: after - the topic before this slot, when it has not been posted yet
+ * (rotation continues from it; the planner passes the previous planned topic)
+ */
+export async function chooseTopic({ scheduledFor = new Date(), after = null } = {}) {
+  const { topicSelectionMode } = await getPageSettings();
+  return topicSelectionMode === 'rotation'
+    ? selectRotationTopic({ scheduledFor, after })
+    : selectWeightedTopic({ scheduledFor });
+}
+
+/**
+ * Weighted random pick using the performance scores in topic_weights
+ * (multiplied by any campaign boosts)
+ */
+async function selectByPerformanceWeight(eligible, boosts = {}) {
   try {
+    // Only enabled registry topics are eligible
     const result = await pool.query(`
-      SELECT topic, CAST(performance_score as FLOAT) as weight
-      FROM topic_weights
-      ORDER BY topic ASC
-    `);
+      SELECT tw.topic, CAST(tw.performance_score as FLOAT) as weight
+      FROM topic_weights tw
+      JOIN topics t ON t.name = tw.topic
+      WHERE t.enabled = true
+      AND tw.topic = ANY($1)
+      ORDER BY tw.topic ASC
+    `, [eligible]);
 
     if (result.rows.length === 0) {
       console.log('[TopicAnalyzer] No topic weights found, returning random topic');
-      return DEFAULT_TOPICS[Math.floor(Math.random() * DEFAULT_TOPICS.length)];
+      return pickRandomTopic(eligible);
     }
 
     // Build weighted selection pool
-    const topics = result.rows;
+    const topics = result.rows.map((row) => ({ ...row, weight: (row.weight || 0) * (boosts[row.topic] || 1) }));
     const totalWeight = topics.reduce((sum, t) => sum + (t.weight || 0), 0);
 
     // Random number between 0 and totalWeight
@@ -139,8 +226,97 @@ export async function selectWeightedTopic() {
     return topics[0].topic;
   } catch (error) {
     console.error('[TopicAnalyzer] Error selecting topic:', error);
-    return DEFAULT_TOPICS[Math.floor(Math.random() * DEFAULT_TOPICS.length)];
+    return pickRandomTopic(eligible);
+  }
+}
+
+/**
+ * Record which topic was chosen and how (feeds "times chosen" in analytics)
+ * Logging failures never block topic selection
+ */
+export async function logTopicSelection(
+  topic,
+  mode,
+  { explored = false, samples = null, excluded = {}, relaxed = false } = {}
+) {
+  try {
+    await pool.query(
+      `INSERT INTO topic_selection_log (topic, mode, explored, samples, excluded, rules_relaxed)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [topic, mode, explored, samples ? JSON.stringify(samples) : null, JSON.stringify(excluded), relaxed]
+    );
+  } catch (error) {
+    console.error('[TopicAnalyzer] Error logging topic selection:', error.message);
+  }
+}
+
+/**
+ * Per-topic bandit posterior plus how often each topic was chosen
+ * (timesChosenRecent counts the last `days` days)
+ */
+export async function getTopicSelectionBreakdown(days = 30) {
+  try {
+    const topics = await getEnabledTopicNames();
+    const posteriors = await getBanditBreakdown(topics);
+
+    const counts = await pool.query(
+      `SELECT topic,
+              COUNT(*) as times_chosen,
+              COUNT(*) FILTER (WHERE explored) as times_explored,
+              COUNT(*) FILTER (WHERE created_at > NOW() - ($1 || ' days')::INTERVAL) as recent_chosen,
+              MAX(created_at) as last_chosen_at
+       FROM topic_selection_log
+       GROUP BY topic`,
+      [days]
+    );
+    const countsByTopic = new Map(counts.rows.map((row) => [row.topic, row]));
+
+    return posteriors.map((posterior) => {
+      const row = countsByTopic.get(posterior.topic);
+      return {
+        ...posterior,
+        timesChosen: row ? parseInt(row.times_chosen) : 0,
+        timesExplored: row ? parseInt(row.times_explored) : 0,
+        timesChosenRecent: row ? parseInt(row.recent_chosen) : 0,
+        lastChosenAt: row ? row.last_chosen_at : null,
+      };
+    });
+  } catch (error) {
+    console.error('[TopicAnalyzer] Error building selection breakdown:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Latest topic picks with the topics each pick excluded and why
+ */
+export async function getRecentTopicSelections(limit = 20) {
+  try {
+    const result = await pool.query(
+      `SELECT id, topic, mode, explored, excluded, rules_relaxed, created_at
+       FROM topic_selection_log
+       ORDER BY created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[TopicAnalyzer] Error fetching topic selections:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Uniformly random topic from the candidates (fallback when no weights exist)
+ */
+async function pickRandomTopic(candidates = null) {
+  const topics = candidates && candidates.length > 0 ? candidates : await getEnabledTopicNames();
+
+  if (topics.length === 0) {
+    throw new Error('No enabled topics in the topic registry');
   }
+
+  return topics[Math.floor(Math.random() * topics.length)];
 }
 
 /**
@@ -234,28 +410,28 @@ export async function getPerformanceComparison() {
 }
 
 /**
- * Initialize topic weights if they don't exist
+ * Initialize topic weights for registry topics that don't have one yet
  */
 export async function initializeTopicWeights() {
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM topic_weights');
-    const count = parseInt(result.rows[0].count);
-
-    if (count === 0) {
-      console.log('[TopicAnalyzer] Initializing topic weights for first time...');
-
-      for (const topic of DEFAULT_TOPICS) {
-        await pool.query(
-          `INSERT INTO topic_weights (topic, performance_score, engagement_rate, total_posts)
-           VALUES ($1, 0.1, 0, 0)`,
-          [topic]
-        );
-      }
+    const topics = await getEnabledTopicNames();
+    let added = 0;
+
+    for (const topic of topics) {
+      const result = await pool.query(
+        `INSERT INTO topic_weights (topic, performance_score, engagement_rate, total_posts)
+         VALUES ($1, 0.1, 0, 0)
+         ON CONFLICT (topic) DO NOTHING`,
+        [topic]
+      );
+      added += result.rowCount;
+    }
 
-      console.log('[TopicAnalyzer] Initialized', DEFAULT_TOPICS.length, 'topics');
+    if (added > 0) {
+      console.log('[TopicAnalyzer] Initialized', added, 'topics');
     }
 
-    return count === 0;
+    return added > 0;
   } catch (error) {
     console.error('[TopicAnalyzer] Error initializing weights:', error);
     throw error;
@@ -0,0 +1,206 @@
+/**
+ * Topic Bandit
+ * Thompson sampling over topics: each topic keeps a Beta posterior of how often
+ * its posts beat the page's median engagement rate, and the topic with the
+ * highest sampled rate is chosen. An exploration floor guarantees every enabled
+ * topic a minimum chance, so one bad week can never starve a topic.
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+
+dotenv.config();
+
+// Only posts from this many days back inform the posteriors
+const LOOKBACK_DAYS = parseInt(process.env.BANDIT_LOOKBACK_DAYS || '90');
+
+// Beta(1, 1) prior - uniform, so new topics start fully uncertain
+const PRIOR_ALPHA = 1;
+const PRIOR_BETA = 1;
+
+// Monte Carlo draws for the analytics breakdown
+const BREAKDOWN_DRAWS = 2000;
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal() {
+  let u = 0;
+  while (u === 0) u = Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) sample (Marsaglia-Tsang)
+ */
+function sampleGamma(shape) {
+  if (shape < 1) {
+    // Boost small shapes: Gamma(a) = Gamma(a + 1) * U^(1/a)
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Beta(alpha, beta) sample from two Gamma draws
+ */
+export function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+/**
+ * Beta posteriors for the given topics
+ * A post is a success when its engagement rate is at or above the page median
+ */
+export async function getTopicPosteriors(topics) {
+  try {
+    const result = await pool.query(
+      `WITH measured AS (
+         SELECT kp.topic, kp.engagement_rate
+         FROM kangen_posts kp
+         WHERE kp.status = 'posted'
+         AND kp.posted_at > NOW() - ($1 || ' days')::INTERVAL
+         AND EXISTS (SELECT 1 FROM post_engagement pe WHERE pe.post_id = kp.id)
+       ),
+       threshold AS (
+         SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY engagement_rate) as median
+         FROM measured
+       )
+       SELECT m.topic,
+              COUNT(*) FILTER (WHERE m.engagement_rate >= t.median) as successes,
+              COUNT(*) FILTER (WHERE m.engagement_rate < t.median) as failures,
+              MAX(t.median) as median
+       FROM measured m CROSS JOIN threshold t
+       GROUP BY m.topic`,
+      [LOOKBACK_DAYS]
+    );
+
+    const byTopic = new Map(result.rows.map((row) => [row.topic, row]));
+    const threshold = result.rows.length > 0 ? parseFloat(result.rows[0].median) : null;
+
+    return topics.map((topic) => {
+      const row = byTopic.get(topic);
+      const successes = row ? parseInt(row.successes) : 0;
+      const failures = row ? parseInt(row.failures) : 0;
+
+      return {
+        topic,
+        successes,
+        failures,
+        alpha: PRIOR_ALPHA + successes,
+        beta: PRIOR_BETA + failures,
+        threshold,
+      };
+    });
+  } catch (error) {
+    console.error('[TopicBandit] Error computing posteriors:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Pick a topic by Thompson sampling with an exploration floor
+ * With probability floor x topics a topic is drawn uniformly, which gives every
+ * topic at least `floor` chance; otherwise the highest posterior sample wins.
+ * Campaign boosts scale each topic's sample before the comparison.
+ * Returns { topic, explored, samples }
+ */
+export async function selectTopicThompson(topics, { explorationFloor = 0.05, boosts = {} } = {}) {
+  if (topics.length === 0) {
+    throw new Error('No enabled topics in the topic registry');
+  }
+
+  const posteriors = await getTopicPosteriors(topics);
+  const exploreProbability = Math.min(1, explorationFloor * topics.length);
+
+  const samples = {};
+  for (const posterior of posteriors) {
+    samples[posterior.topic] = parseFloat(sampleBeta(posterior.alpha, posterior.beta).toFixed(4));
+  }
+
+  if (Math.random() < exploreProbability) {
+    const topic = topics[Math.floor(Math.random() * topics.length)];
+    console.log(`[TopicBandit] Exploring: ${topic}`);
+    return { topic, explored: true, samples };
+  }
+
+  const score = (topic) => samples[topic] * (boosts[topic] || 1);
+  const topic = posteriors.reduce((best, p) => (score(p.topic) > score(best.topic) ? p : best)).topic;
+  console.log(`[TopicBandit] Selected topic: ${topic} (sample ${samples[topic]}${boosts[topic] ? `, boost ${boosts[topic]}x` : ''})`);
+  return { topic, explored: false, samples };
+}
+
+/**
+ * Posterior summary per topic for analytics
+ * Mean, 90% credible interval and the probability of being the best topic
+ */
+export async function getBanditBreakdown(topics) {
+  try {
+    const posteriors = await getTopicPosteriors(topics);
+    if (posteriors.length === 0) return [];
+
+    const draws = posteriors.map(() => []);
+    const wins = posteriors.map(() => 0);
+
+    for (let i = 0; i < BREAKDOWN_DRAWS; i++) {
+      let bestIndex = 0;
+      let bestValue = -1;
+
+      posteriors.forEach((posterior, index) => {
+        const value = sampleBeta(posterior.alpha, posterior.beta);
+        draws[index].push(value);
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = index;
+        }
+      });
+
+      wins[bestIndex]++;
+    }
+
+    return posteriors.map((posterior, index) => {
+      const sorted = draws[index].sort((a, b) => a - b);
+
+      return {
+        ...posterior,
+        posteriorMean: parseFloat((posterior.alpha / (posterior.alpha + posterior.beta)).toFixed(3)),
+        credibleInterval: [
+          parseFloat(sorted[Math.floor(BREAKDOWN_DRAWS * 0.05)].toFixed(3)),
+          parseFloat(sorted[Math.floor(BREAKDOWN_DRAWS * 0.95)].toFixed(3)),
+        ],
+        probabilityBest: parseFloat((wins[index] / BREAKDOWN_DRAWS).toFixed(3)),
+      };
+    });
+  } catch (error) {
+    console.error('[TopicBandit] Error building breakdown:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  sampleBeta,
+  getTopicPosteriors,
+  selectTopicThompson,
+  getBanditBreakdown,
+};
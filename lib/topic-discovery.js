@@ -0,0 +1,239 @@
+/**
+ * Topic Discovery
+ * Clusters recurring questions and themes in audience comments and proposes
+ * them as candidate topics for review. Approved candidates join the topic registry.
+ */
+
+import dotenv from 'dotenv';
+import pool from './db.js';
+import { syncRecentComments } from './engagement-tracker.js';
+import { buildTfidfVectors, clusterVectors, cosineSimilarity, topTerms } from './text-similarity.js';
+import { getTopics, createTopic } from './topic-registry.js';
+
+dotenv.config();
+
+// Run the discovery job daily on the leader (set TOPIC_DISCOVERY=false to turn off)
+export const DISCOVERY_ENABLED = process.env.TOPIC_DISCOVERY !== 'false';
+// Comments from posts published this many days back are clustered
+const LOOKBACK_DAYS = parseInt(process.env.TOPIC_DISCOVERY_DAYS || '30');
+// Comments a theme needs before it is proposed
+const MIN_CLUSTER_SIZE = parseInt(process.env.TOPIC_DISCOVERY_MIN_COMMENTS || '3');
+// How alike comments must be to share a cluster
+const CLUSTER_THRESHOLD = 0.3;
+// Themes this close to an existing topic or earlier candidate are not proposed again
+const DUPLICATE_THRESHOLD = 0.5;
+// Very short comments ("Nice!", "Love it") carry no theme
+const MIN_COMMENT_LENGTH = 15;
+const EXAMPLES_PER_CANDIDATE = 5;
+
+export const CANDIDATE_STATUSES = ['pending', 'approved', 'dismissed'];
+
+/**
+ * Sync comments, cluster them and store new candidate topics
+ * Returns the candidates created by this run
+ */
+export async function discoverTopicCandidates({ days = LOOKBACK_DAYS, sync = true } = {}) {
+  try {
+    console.log('[TopicDiscovery] Looking for recurring themes in comments...');
+
+    if (sync) {
+      await syncRecentComments({ days });
+    }
+
+    const result = await pool.query(
+      `SELECT pc.id, pc.post_id, pc.message, pc.like_count
+       FROM post_comments pc
+       JOIN kangen_posts kp ON kp.id = pc.post_id
+       WHERE kp.posted_at > NOW() - ($1 || ' days')::INTERVAL
+       AND LENGTH(pc.message) >= $2
+       ORDER BY pc.commented_at DESC`,
+      [days, MIN_COMMENT_LENGTH]
+    );
+
+    const comments = result.rows;
+    if (comments.length < MIN_CLUSTER_SIZE) {
+      console.log(`[TopicDiscovery] Only ${comments.length} comments - nothing to cluster`);
+      return [];
+    }
+
+    const vectors = buildTfidfVectors(comments.map((comment) => comment.message));
+    const clusters = clusterVectors(vectors, { threshold: CLUSTER_THRESHOLD })
+      .filter((cluster) => cluster.members.length >= MIN_CLUSTER_SIZE);
+
+    // Existing topics and earlier candidates (any status) are compared in the same
+    // vector space so known themes are not proposed twice
+    const known = await getKnownThemes();
+    const knownVectors = buildTfidfVectors([...comments.map((comment) => comment.message), ...known]).slice(comments.length);
+
+    const created = [];
+    for (const cluster of clusters) {
+      if (knownVectors.some((vector) => cosineSimilarity(cluster.centroid, vector) >= DUPLICATE_THRESHOLD)) {
+        continue;
+      }
+
+      const members = cluster.members.map((index) => comments[index]);
+      const keywords = topTerms(cluster.centroid, 5);
+      const questionCount = members.filter((comment) => comment.message.includes('?')).length;
+
+      // Most liked comments make the best examples
+      const examples = [...members]
+        .sort((a, b) => b.like_count - a.like_count)
+        .slice(0, EXAMPLES_PER_CANDIDATE)
+        .map((comment) => ({ postId: comment.post_id, message: comment.message }));
+
+      const candidate = await pool.query(
+        `INSERT INTO topic_candidates
+           (name, suggested_prompt, keywords, example_comments, comment_count, question_count, post_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          suggestName(keywords),
+          suggestPrompt(keywords, questionCount > members.length / 2),
+          keywords,
+          JSON.stringify(examples),
+          members.length,
+          questionCount,
+          new Set(members.map((comment) => comment.post_id)).size,
+        ]
+      );
+
+      created.push(candidate.rows[0]);
+    }
+
+    console.log(`[TopicDiscovery] ✓ ${clusters.length} recurring theme(s), ${created.length} new candidate(s)`);
+    return created;
+  } catch (error) {
+    console.error('[TopicDiscovery] Error discovering topics:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Text of registry topics and earlier candidates, for duplicate checks
+ */
+async function getKnownThemes() {
+  const topics = await getTopics();
+  const candidates = await pool.query('SELECT name, keywords FROM topic_candidates');
+
+  return [
+    ...topics.map((topic) => `${topic.name} ${topic.prompt}`),
+    ...candidates.rows.map((candidate) => `${candidate.name} ${(candidate.keywords || []).join(' ')}`),
+  ];
+}
+
+function suggestName(keywords) {
+  return keywords
+    .slice(0, 3)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function suggestPrompt(keywords, mostlyQuestions) {
+  const theme = keywords.join(', ');
+  return mostlyQuestions
+    ? `Answer the questions our audience keeps asking about ${theme} in relation to Kangen water. Be clear, practical and friendly.`
+    : `Write an engaging social media post about ${theme}, a theme our audience keeps bringing up in the comments, related to Kangen water.`;
+}
+
+/**
+ * List candidates, biggest themes first (pending only by default)
+ */
+export async function getTopicCandidates({ status = 'pending' } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM topic_candidates
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY comment_count DESC, created_at DESC`,
+      [status]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('[TopicDiscovery] Error fetching candidates:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single candidate
+ */
+export async function getTopicCandidate(candidateId) {
+  try {
+    const result = await pool.query('SELECT * FROM topic_candidates WHERE id = $1', [candidateId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[TopicDiscovery] Error fetching candidate:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Topic fields a candidate would be approved with (overrides win)
+ */
+export function toTopicInput(candidate, overrides = {}) {
+  return {
+    name: candidate.name,
+    prompt: candidate.suggested_prompt,
+    imagePrompt: null,
+    enabled: true,
+    tags: ['discovered'],
+    ...overrides,
+  };
+}
+
+/**
+ * Add a candidate to the topic registry and mark it approved
+ * `topic` holds the (possibly edited) topic fields
+ */
+export async function approveTopicCandidate(candidateId, topic) {
+  try {
+    const created = await createTopic(topic);
+
+    await pool.query(
+      `UPDATE topic_candidates
+       SET status = 'approved', topic_id = $1, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [created.id, candidateId]
+    );
+
+    console.log(`[TopicDiscovery] Candidate ${candidateId} approved as topic ${created.id}: ${created.name}`);
+    return created;
+  } catch (error) {
+    console.error('[TopicDiscovery] Error approving candidate:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Dismiss a candidate (it stays on record so the theme is not proposed again)
+ */
+export async function dismissTopicCandidate(candidateId) {
+  try {
+    const result = await pool.query(
+      `UPDATE topic_candidates
+       SET status = 'dismissed', reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [candidateId]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`[TopicDiscovery] Candidate ${candidateId} dismissed`);
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[TopicDiscovery] Error dismissing candidate:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  DISCOVERY_ENABLED,
+  CANDIDATE_STATUSES,
+  discoverTopicCandidates,
+  getTopicCandidates,
+  getTopicCandidate,
+  toTopicInput,
+  approveTopicCandidate,
+  dismissTopicCandidate,
+};
@@ -0,0 +1,332 @@
+/**
+ * Topic Registry
+ * Single list of post topics with their text and image prompts
+ * Used by the scheduler rotation, weighted topic selection and content/image generation
+ */
+
+import pool from './db.js';
+
+// Seeded on first run - the topics and prompts the scheduler and generator shipped with
+const DEFAULT_TOPICS = [
+  {
+    name: 'Benefits of Alkaline Water',
+    prompt: 'Create an engaging social media post about the benefits of alkaline water from Kangen systems. Focus on wellness, pH balance, and daily health improvements.',
+    imagePrompt: 'A crystal clear glass of pure water with fresh cucumbers and mint leaves on a clean white surface. Water droplets visible.',
+    tags: ['education', 'benefits'],
+  },
+  {
+    name: 'Hydration and Wellness',
+    prompt: 'Write about the importance of proper hydration and how Kangen water supports overall wellness. Include practical tips.',
+    imagePrompt: 'A happy, healthy person drinking water from a glass bottle outdoors in nature, sunlight streaming through trees. Vibrant and fresh.',
+    tags: ['hydration', 'lifestyle'],
+  },
+  {
+    name: 'pH Balance and Health',
+    prompt: 'Explain how pH balance affects health and how alkaline water from Kangen can support a balanced pH level in the body.',
+    imagePrompt: 'Abstract visualization of water molecules and pH balance, with blue and turquoise tones. Clean, scientific yet beautiful.',
+    tags: ['education', 'ph'],
+  },
+  {
+    name: 'Kangen Water vs Tap Water',
+    prompt: 'Compare Kangen water with regular tap water, highlighting the differences in quality, pH, and health benefits.',
+    imagePrompt: 'Two glasses of water side by side on a marble countertop, one sparkling clean and pristine, the other ordinary.',
+    tags: ['comparison', 'product'],
+  },
+  {
+    name: 'Detoxification Through Water',
+    prompt: 'Discuss how proper hydration with alkaline water can support the body\'s natural detoxification processes.',
+    imagePrompt: 'Fresh water being poured into a glass surrounded by fresh fruits and vegetables. Clean eating and wellness concept.',
+    tags: ['wellness'],
+  },
+  {
+    name: 'Energy and Hydration',
+    prompt: 'Write about the connection between proper hydration with Kangen water and sustained energy levels throughout the day.',
+    imagePrompt: 'Athletic person in activewear drinking water after exercise, energetic and vibrant setting. Morning sunlight.',
+    tags: ['hydration', 'energy'],
+  },
+  {
+    name: 'Skin Health and Alkaline Water',
+    prompt: 'Explain how alkaline water can support healthy, glowing skin and overall appearance.',
+    imagePrompt: 'Close-up of water droplets on glowing, healthy skin. Fresh and radiant. Spa-like atmosphere.',
+    tags: ['beauty', 'wellness'],
+  },
+  {
+    name: 'Athletic Performance and Hydration',
+    prompt: 'Discuss how athletes and active individuals can benefit from Kangen water for performance and recovery.',
+    imagePrompt: 'Fit athlete drinking water, gym or outdoor fitness setting. Dynamic and energetic.',
+    tags: ['fitness', 'hydration'],
+  },
+  {
+    name: 'Immune System and pH Balance',
+    prompt: 'Write about how maintaining proper pH balance through alkaline water can support immune system health.',
+    imagePrompt: 'Conceptual image of wellness - water glass surrounded by immune-boosting foods like citrus, berries, greens.',
+    tags: ['wellness', 'ph'],
+  },
+  {
+    name: 'Daily Wellness Routine',
+    prompt: 'Share tips for incorporating Kangen water into a daily wellness routine for optimal health benefits.',
+    imagePrompt: 'Morning wellness routine scene: water glass, journal, plants, natural light streaming through window. Peaceful and inspiring.',
+    tags: ['lifestyle', 'tips'],
+  },
+];
+
+/**
+ * Seed default topics if the table is empty
+ */
+export async function initializeTopics() {
+  try {
+    const result = await pool.query('SELECT COUNT(*) as count FROM topics');
+    const count = parseInt(result.rows[0].count);
+
+    if (count === 0) {
+      console.log('[Topics] Seeding default topics...');
+
+      for (const topic of DEFAULT_TOPICS) {
+        await pool.query(
+          `INSERT INTO topics (name, prompt, image_prompt, tags, enabled)
+           VALUES ($1, $2, $3, $4, true)`,
+          [topic.name, topic.prompt, topic.imagePrompt, topic.tags]
+        );
+      }
+
+      console.log('[Topics] Seeded', DEFAULT_TOPICS.length, 'topics');
+    }
+
+    return count === 0;
+  } catch (error) {
+    console.error('[Topics] Error initializing topics:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get topics in registry order, optionally filtered by enabled flag or tag
+ */
+export async function getTopics({ enabledOnly = false, tag = null } = {}) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM topics
+       WHERE ($1::boolean = false OR enabled = true)
+       AND ($2::text IS NULL OR $2 = ANY(tags))
+       ORDER BY id ASC`,
+      [enabledOnly, tag]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('[Topics] Error fetching topics:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Names of enabled topics in registry order
+ */
+export async function getEnabledTopicNames() {
+  const topics = await getTopics({ enabledOnly: true });
+  return topics.map((topic) => topic.name);
+}
+
+/**
+ * Get a single topic by ID
+ */
+export async function getTopic(topicId) {
+  try {
+    const result = await pool.query('SELECT * FROM topics WHERE id = $1', [topicId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Topics] Error fetching topic:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single topic by name
+ */
+export async function getTopicByName(name) {
+  try {
+    const result = await pool.query('SELECT * FROM topics WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[Topics] Error fetching topic:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Text and image prompts for a topic
+ * Topics missing from the registry (or without prompts) get generic prompts
+ */
+export async function getTopicPrompts(name) {
+  const topic = await getTopicByName(name);
+
+  return {
+    prompt: topic?.prompt || `Write an engaging social media post about ${name} related to Kangen water.`,
+    imagePrompt: topic?.image_prompt || `Beautiful, professional image related to ${name} and water wellness.`,
+  };
+}
+
+/**
+ * Validate topic fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateTopic(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name is required');
+    } else if (data.name.trim().length > 255) {
+      errors.push('name must be at most 255 characters');
+    }
+  }
+
+  if (!partial || data.prompt !== undefined) {
+    if (typeof data.prompt !== 'string' || data.prompt.trim().length === 0) {
+      errors.push('prompt is required');
+    }
+  }
+
+  if (data.imagePrompt !== undefined && data.imagePrompt !== null && typeof data.imagePrompt !== 'string') {
+    errors.push('imagePrompt must be a string');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || !data.tags.every((tag) => typeof tag === 'string' && tag.trim().length > 0)) {
+      errors.push('tags must be an array of non-empty strings');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create a topic
+ */
+export async function createTopic({ name, prompt, imagePrompt = null, enabled = true, tags = [] }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO topics (name, prompt, image_prompt, enabled, tags)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [name.trim(), prompt.trim(), imagePrompt, enabled, normalizeTags(tags)]
+    );
+
+    // Give the new topic a baseline weight so weighted selection can pick it right away
+    await pool.query(
+      `INSERT INTO topic_weights (topic, performance_score, engagement_rate, total_posts)
+       VALUES ($1, 0.1, 0, 0)
+       ON CONFLICT (topic) DO NOTHING`,
+      [result.rows[0].name]
+    );
+
+    console.log(`[Topics] Created topic ${result.rows[0].id}: ${result.rows[0].name}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[Topics] Error creating topic:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a topic (only the provided fields change)
+ * Renaming carries the topic's weights, post history, selection history, planned
+ * slots, calendar overrides and campaign boosts over, in one transaction so a failure never
+ * leaves the topic half-renamed
+ */
+export async function updateTopic(topicId, updates) {
+  const client = await pool.connect();
+  try {
+    const existing = await getTopic(topicId);
+    if (!existing) return null;
+
+    const topic = {
+      name: updates.name !== undefined ? updates.name.trim() : existing.name,
+      prompt: updates.prompt !== undefined ? updates.prompt.trim() : existing.prompt,
+      imagePrompt: updates.imagePrompt !== undefined ? updates.imagePrompt : existing.image_prompt,
+      enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+      tags: updates.tags !== undefined ? normalizeTags(updates.tags) : existing.tags,
+    };
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE topics
+       SET name = $1, prompt = $2, image_prompt = $3, enabled = $4, tags = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [topic.name, topic.prompt, topic.imagePrompt, topic.enabled, topic.tags, topicId]
+    );
+
+    if (topic.name !== existing.name) {
+      await client.query('UPDATE topic_weights SET topic = $1 WHERE topic = $2', [topic.name, existing.name]);
+      await client.query('UPDATE kangen_posts SET topic = $1 WHERE topic = $2', [topic.name, existing.name]);
+      await client.query('UPDATE content_plan SET topic = $1 WHERE topic = $2', [topic.name, existing.name]);
+      await client.query('UPDATE schedule_overrides SET topic = $1 WHERE topic = $2', [topic.name, existing.name]);
+      await client.query('UPDATE topic_selection_log SET topic = $1 WHERE topic = $2', [topic.name, existing.name]);
+
+      // Campaign boosts are keyed by topic name
+      await client.query(
+        `UPDATE campaigns
+         SET topic_boosts = (topic_boosts - $2::text) || jsonb_build_object($1::text, topic_boosts -> $2::text),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE topic_boosts ? $2::text`,
+        [topic.name, existing.name]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    if (topic.name !== existing.name) {
+      console.log(`[Topics] Renamed topic "${existing.name}" to "${topic.name}"`);
+    }
+    console.log(`[Topics] Updated topic ${topicId}`);
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[Topics] Error updating topic:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a topic (past posts keep their topic name)
+ */
+export async function deleteTopic(topicId) {
+  try {
+    const result = await pool.query('DELETE FROM topics WHERE id = $1 RETURNING name', [topicId]);
+
+    if (result.rows.length > 0) {
+      await pool.query('DELETE FROM topic_weights WHERE topic = $1', [result.rows[0].name]);
+      console.log(`[Topics] Deleted topic ${topicId}: ${result.rows[0].name}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[Topics] Error deleting topic:', error.message);
+    throw error;
+  }
+}
+
+function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+}
+
+export default {
+  initializeTopics,
+  getTopics,
+  getEnabledTopicNames,
+  getTopic,
+  getTopicByName,
+  getTopicPrompts,
+  validateTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+};
@@ -0,0 +1,107 @@
+/**
+ * Topic Rules
+ * Cooldown and repetition limits applied by every topic selector
+ * - no repeat within the last N posts
+ * - at most K posts per topic in any 7 days
+ * Posted, pending and planned posts all count, so planning a week ahead
+ * stays varied too
+ */
+
+import pool from './db.js';
+import { getPageSettings } from './page-settings.js';
+
+// How far back to look for the last N posts (the weekly cap only needs 7 days)
+const HISTORY_DAYS = 30;
+
+/**
+ * Topics of posts around a point in time, newest first
+ * Includes drafts awaiting approval and planned slots without a draft yet
+ */
+async function getTopicHistory(before, days) {
+  const result = await pool.query(
+    `SELECT topic, at FROM (
+       SELECT topic, COALESCE(scheduled_for, posted_at::timestamptz, created_at::timestamptz) as at
+       FROM kangen_posts
+       WHERE status NOT IN ('rejected', 'failed', 'skipped')
+       UNION ALL
+       SELECT topic, scheduled_for as at
+       FROM content_plan
+       WHERE post_id IS NULL AND topic IS NOT NULL AND status IN ('planned', 'generating')
+     ) history
+     WHERE at <= $1 AND at > $1::timestamptz - ($2 || ' days')::INTERVAL
+     ORDER BY at DESC`,
+    [before, days]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Split candidate topics into eligible and excluded under the page's rules
+ * If the rules exclude everything, the least recently used topic is allowed
+ * so a slot is never left without a topic
+ * Returns { eligible, excluded: { topic: reason }, relaxed }
+ */
+export async function applyTopicRules(topics, { at = new Date() } = {}) {
+  try {
+    const { topicNoRepeatWithin, topicMaxPerWeek } = await getPageSettings();
+    const excluded = {};
+
+    if (!(topicNoRepeatWithin > 0) && !(topicMaxPerWeek > 0)) {
+      return { eligible: topics, excluded, relaxed: false };
+    }
+
+    const history = await getTopicHistory(at, HISTORY_DAYS);
+    const weekAgo = new Date(new Date(at).getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (topicNoRepeatWithin > 0) {
+      history.slice(0, topicNoRepeatWithin).forEach((row, index) => {
+        if (topics.includes(row.topic) && !excluded[row.topic]) {
+          excluded[row.topic] = `Used ${index + 1} post(s) ago (no repeat within ${topicNoRepeatWithin})`;
+        }
+      });
+    }
+
+    if (topicMaxPerWeek > 0) {
+      const weekCounts = {};
+      for (const row of history) {
+        if (new Date(row.at) > weekAgo) {
+          weekCounts[row.topic] = (weekCounts[row.topic] || 0) + 1;
+        }
+      }
+
+      for (const topic of topics) {
+        if (!excluded[topic] && (weekCounts[topic] || 0) >= topicMaxPerWeek) {
+          excluded[topic] = `${weekCounts[topic]} post(s) in the last 7 days (max ${topicMaxPerWeek})`;
+        }
+      }
+    }
+
+    const eligible = topics.filter((topic) => !excluded[topic]);
+
+    if (eligible.length === 0 && topics.length > 0) {
+      // Fall back to the topic used longest ago (or never)
+      const lastUsed = new Map();
+      for (const row of history) {
+        if (!lastUsed.has(row.topic)) lastUsed.set(row.topic, new Date(row.at));
+      }
+
+      const fallback = [...topics].sort((a, b) => (lastUsed.get(a) || 0) - (lastUsed.get(b) || 0))[0];
+      console.log(`[TopicRules] All topics excluded - relaxing rules for ${fallback}`);
+      return { eligible: [fallback], excluded, relaxed: true };
+    }
+
+    if (Object.keys(excluded).length > 0) {
+      console.log(`[TopicRules] Excluded ${Object.keys(excluded).length} topic(s): ${Object.keys(excluded).join(', ')}`);
+    }
+
+    return { eligible, excluded, relaxed: false };
+  } catch (error) {
+    console.error('[TopicRules] Error applying topic rules:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  applyTopicRules,
+};
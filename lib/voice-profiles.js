@@ -0,0 +1,254 @@
+/**
+ * Voice Profiles
+ * Named brand voices (tone, banned phrases, emoji policy, sign-off, CTAs, example posts)
+ * A slot's profile wins over the page default; without either the base prompt's voice is used
+ */
+
+import pool from './db.js';
+import { getPageSettings } from './page-settings.js';
+import { getPostingSlot } from './posting-slots.js';
+
+export const EMOJI_POLICIES = ['none', 'sparing', 'liberal'];
+
+const EMOJI_INSTRUCTIONS = {
+  none: 'Do not use emojis.',
+  sparing: 'Use at most one or two emojis.',
+  liberal: 'Use emojis freely where they add warmth and energy.',
+};
+
+// Example posts are trimmed so a profile cannot blow up the prompt
+const MAX_EXAMPLES = 3;
+const MAX_EXAMPLE_LENGTH = 1200;
+
+/**
+ * Validate profile fields. Returns a list of error messages (empty when valid).
+ * With partial = true only the fields present are checked (for updates).
+ */
+export function validateVoiceProfile(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('name is required');
+    } else if (data.name.trim().length > 100) {
+      errors.push('name must be at most 100 characters');
+    }
+  }
+
+  if (!partial || data.tone !== undefined) {
+    if (typeof data.tone !== 'string' || data.tone.trim().length === 0) {
+      errors.push('tone is required');
+    }
+  }
+
+  if (data.emojiPolicy !== undefined && !EMOJI_POLICIES.includes(data.emojiPolicy)) {
+    errors.push(`emojiPolicy must be one of: ${EMOJI_POLICIES.join(', ')}`);
+  }
+
+  if (data.signOff !== undefined && data.signOff !== null && typeof data.signOff !== 'string') {
+    errors.push('signOff must be a string');
+  }
+
+  for (const field of ['bannedPhrases', 'ctas', 'examplePosts']) {
+    if (data[field] !== undefined) {
+      if (!Array.isArray(data[field]) || !data[field].every((item) => typeof item === 'string' && item.trim().length > 0)) {
+        errors.push(`${field} must be an array of non-empty strings`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * List voice profiles
+ */
+export async function getVoiceProfiles() {
+  try {
+    const result = await pool.query('SELECT * FROM voice_profiles ORDER BY name ASC');
+    return result.rows;
+  } catch (error) {
+    console.error('[VoiceProfiles] Error fetching voice profiles:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single voice profile
+ */
+export async function getVoiceProfile(profileId) {
+  try {
+    const result = await pool.query('SELECT * FROM voice_profiles WHERE id = $1', [profileId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[VoiceProfiles] Error fetching voice profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single voice profile by name
+ */
+export async function getVoiceProfileByName(name) {
+  try {
+    const result = await pool.query('SELECT * FROM voice_profiles WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[VoiceProfiles] Error fetching voice profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a voice profile
+ */
+export async function createVoiceProfile({
+  name,
+  tone,
+  bannedPhrases = [],
+  emojiPolicy = 'sparing',
+  signOff = null,
+  ctas = [],
+  examplePosts = [],
+}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO voice_profiles (name, tone, banned_phrases, emoji_policy, sign_off, ctas, example_posts)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name.trim(), tone.trim(), bannedPhrases, emojiPolicy, signOff, ctas, examplePosts]
+    );
+
+    console.log(`[VoiceProfiles] Created voice profile ${result.rows[0].id}: ${result.rows[0].name}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[VoiceProfiles] Error creating voice profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update a voice profile (only the provided fields change)
+ */
+export async function updateVoiceProfile(profileId, updates) {
+  try {
+    const existing = await getVoiceProfile(profileId);
+    if (!existing) return null;
+
+    const profile = {
+      name: updates.name !== undefined ? updates.name.trim() : existing.name,
+      tone: updates.tone !== undefined ? updates.tone.trim() : existing.tone,
+      bannedPhrases: updates.bannedPhrases !== undefined ? updates.bannedPhrases : existing.banned_phrases,
+      emojiPolicy: updates.emojiPolicy !== undefined ? updates.emojiPolicy : existing.emoji_policy,
+      signOff: updates.signOff !== undefined ? updates.signOff : existing.sign_off,
+      ctas: updates.ctas !== undefined ? updates.ctas : existing.ctas,
+      examplePosts: updates.examplePosts !== undefined ? updates.examplePosts : existing.example_posts,
+    };
+
+    const result = await pool.query(
+      `UPDATE voice_profiles
+       SET name = $1, tone = $2, banned_phrases = $3, emoji_policy = $4, sign_off = $5,
+           ctas = $6, example_posts = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        profile.name,
+        profile.tone,
+        profile.bannedPhrases,
+        profile.emojiPolicy,
+        profile.signOff,
+        profile.ctas,
+        profile.examplePosts,
+        profileId,
+      ]
+    );
+
+    console.log(`[VoiceProfiles] Updated voice profile ${profileId}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[VoiceProfiles] Error updating voice profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a voice profile (pages and slots using it fall back to the default voice)
+ */
+export async function deleteVoiceProfile(profileId) {
+  try {
+    const result = await pool.query('DELETE FROM voice_profiles WHERE id = $1 RETURNING id', [profileId]);
+
+    if (result.rows.length > 0) {
+      console.log(`[VoiceProfiles] Deleted voice profile ${profileId}`);
+    }
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[VoiceProfiles] Error deleting voice profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Voice profile for a post: the slot's profile, else the page default, else null
+ */
+export async function resolveVoiceProfile(slotId = null) {
+  const slot = slotId ? await getPostingSlot(slotId) : null;
+  const profileId = slot?.voice_profile_id ?? (await getPageSettings()).voiceProfileId;
+
+  return profileId ? getVoiceProfile(profileId) : null;
+}
+
+/**
+ * BRAND VOICE section appended to the system prompt
+ */
+export function buildVoiceInstructions(profile) {
+  const lines = [`BRAND VOICE (${profile.name}):`, `- Tone: ${profile.tone}`];
+
+  lines.push(`- ${EMOJI_INSTRUCTIONS[profile.emoji_policy] || EMOJI_INSTRUCTIONS.sparing}`);
+
+  if (profile.banned_phrases?.length > 0) {
+    lines.push(`- Never use these phrases: ${profile.banned_phrases.map((phrase) => `"${phrase}"`).join(', ')}`);
+  }
+
+  if (profile.ctas?.length > 0) {
+    lines.push(`- End with one of these calls-to-action: ${profile.ctas.map((cta) => `"${cta}"`).join(', ')}`);
+  }
+
+  if (profile.sign_off) {
+    lines.push(`- End the post with this sign-off: "${profile.sign_off}"`);
+  }
+
+  const examples = (profile.example_posts || []).slice(0, MAX_EXAMPLES);
+  if (examples.length > 0) {
+    lines.push('', 'Example posts in this voice (match the style, not the content):');
+    examples.forEach((example, index) => {
+      lines.push(`--- Example ${index + 1} ---`, example.slice(0, MAX_EXAMPLE_LENGTH));
+    });
+  }
+
+  lines.push('', 'Where the brand voice differs from the tone or call-to-action guidelines above, follow the brand voice. The rules about medical claims always apply.');
+  return lines.join('\n');
+}
+
+/**
+ * Banned phrases that slipped into generated text (case-insensitive)
+ */
+export function findBannedPhrases(profile, text) {
+  const lower = (text || '').toLowerCase();
+  return (profile?.banned_phrases || []).filter((phrase) => lower.includes(phrase.toLowerCase()));
+}
+
+export default {
+  EMOJI_POLICIES,
+  validateVoiceProfile,
+  getVoiceProfiles,
+  getVoiceProfile,
+  getVoiceProfileByName,
+  createVoiceProfile,
+  updateVoiceProfile,
+  deleteVoiceProfile,
+  resolveVoiceProfile,
+  buildVoiceInstructions,
+  findBannedPhrases,
+};
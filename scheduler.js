@@ -1,148 +1,376 @@
 /**
  * Cron Scheduler for Kangen Water Facebook Posts
- * Schedules 3 posts daily at 6 AM, 12 PM, and 6 PM Hawaii time
- * Rotates through 10 predefined topics
+ * Runs one cron job per posting slot stored in the database (page timezone)
+ * Picks topics from the topic registry by rotation, performance weights or
+ * Thompson sampling (page setting)
  */
 
 import cron from 'node-cron';
+import moment from 'moment-timezone';
 import dotenv from 'dotenv';
-import { addContentGenerationJob } from './lib/queue.js';
-import { getLastPostedTopic } from './lib/db.js';
+import { addContentGenerationJob, getRedisClient } from './lib/queue.js';
+import { ensureLeadership, getInstanceId } from './lib/leader-election.js';
+import { resolveOverrides } from './lib/schedule-overrides.js';
+import { getPlanEntry } from './lib/content-planner.js';
+import { shouldUseEvergreen, fillSlotWithEvergreen } from './lib/evergreen.js';
+import { chooseTopic } from './lib/topic-analyzer.js';
+import { getPageSettings, getTimezone, formatLocalTime } from './lib/page-settings.js';
+import {
+  initializePostingSlots,
+  getPostingSlots,
+  toCronExpression,
+  formatSlotTime,
+  getSlotOccurrences,
+  recordSlotRun,
+} from './lib/posting-slots.js';
 
 dotenv.config();
 
-// 10 topics to rotate through
-const TOPICS = [
-  'Benefits of Alkaline Water',
-  'Hydration and Wellness',
-  'pH Balance and Health',
-  'Kangen Water vs Tap Water',
-  'Detoxification Through Water',
-  'Energy and Hydration',
-  'Skin Health and Alkaline Water',
-  'Athletic Performance and Hydration',
-  'Immune System and pH Balance',
-  'Daily Wellness Routine',
-];
-
-let currentTopicIndex = 0;
+// Missed slots younger than this are posted late on startup, older ones are skipped
+const CATCH_UP_GRACE_MINUTES = parseInt(process.env.CATCH_UP_GRACE_MINUTES || '60');
+// How far back to look for missed slots on startup
+const CATCH_UP_LOOKBACK_HOURS = parseInt(process.env.CATCH_UP_LOOKBACK_HOURS || '24');
 
-/**
- * Get the next topic in rotation
- */
-async function getNextTopic() {
-  // Get last posted topic from database
-  const lastTopic = await getLastPostedTopic();
-
-  if (lastTopic) {
-    // Find the index and move to next
-    const lastIndex = TOPICS.indexOf(lastTopic);
-    if (lastIndex !== -1) {
-      currentTopicIndex = (lastIndex + 1) % TOPICS.length;
-    }
-  }
+// Active cron jobs keyed by slot ID
+const cronJobs = new Map();
+let schedulerPaused = false;
 
-  const topic = TOPICS[currentTopicIndex];
-  currentTopicIndex = (currentTopicIndex + 1) % TOPICS.length;
+// Slot and timezone changes, and pausing or resuming the scheduler, are announced
+// here so every instance (above all the leader) applies them, not only the one
+// that served the request
+const RELOAD_CHANNEL = 'kangen:scheduler:reload';
+let reloadSubscriber = null;
 
-  return topic;
-}
+// Shared pause flag, so instances started while paused stay paused
+const PAUSED_KEY = 'kangen:scheduler:paused';
 
 /**
  * Schedule a post - triggers content generation job
+ * slot is the posting slot that fired (null for manual triggers)
+ * scheduledFor is the slot time being served; late marks a catch-up run
  */
-export async function schedulePost() {
+export async function schedulePost(slot = null, { scheduledFor = new Date(), late = false } = {}) {
+  let topic = null;
+
   try {
-    const topic = await getNextTopic();
+    const timezone = await getTimezone();
+
+    // Blackout dates and topic overrides from the schedule calendar
+    const { blackout, topicOverride } = await resolveOverrides(slot?.id ?? null, scheduledFor, timezone);
+
+    if (blackout) {
+      const reason = `Blackout${blackout.reason ? `: ${blackout.reason}` : ''}`;
+      console.log(`[Scheduler] ⛔ ${slot ? `${slot.name} slot` : 'Post'} skipped - ${reason}`);
+
+      if (slot) {
+        await recordSlotRun(slot.id, scheduledFor, 'skipped', { reason });
+      }
+      return;
+    }
+
+    // Slots planned ahead (planning mode) may already have a draft
+    const plan = slot ? await getPlanEntry(slot.id, scheduledFor) : null;
+
+    if (plan?.post_id) {
+      console.log(`[Scheduler] ✓ ${slot.name} slot already has pre-generated draft ${plan.post_id}`);
+      await recordSlotRun(slot.id, scheduledFor, late ? 'late' : 'fired', {
+        topic: plan.topic,
+        reason: `Pre-generated draft ${plan.post_id}`,
+      });
+      return;
+    }
+
+    // Evergreen mode: a share of slots reposts a past winner (schedule topic overrides still win)
+    if (slot && !topicOverride && shouldUseEvergreen(await getPageSettings())) {
+      const recycled = await fillSlotWithEvergreen({ slotId: slot.id, scheduledFor, planId: plan?.id ?? null });
+
+      if (recycled) {
+        console.log(`[Scheduler] ♻️  ${slot.name} slot filled with evergreen repost of post ${recycled.recycled_from_id}`);
+        await recordSlotRun(slot.id, scheduledFor, late ? 'late' : 'fired', {
+          topic: recycled.topic,
+          reason: `Evergreen repost of post ${recycled.recycled_from_id}`,
+        });
+        return;
+      }
+    }
+
+    topic = topicOverride?.topic || plan?.topic || (await chooseTopic({ scheduledFor }));
 
     console.log('\n' + '='.repeat(60));
-    console.log(`[Scheduler] 🕐 Scheduling post at ${new Date().toLocaleString('en-US', { timeZone: 'Pacific/Honolulu' })} HST`);
-    console.log(`[Scheduler] 📝 Topic: ${topic}`);
+    console.log(`[Scheduler] 🕐 Scheduling ${slot ? `${slot.name} ` : ''}post at ${formatLocalTime(new Date(), timezone)}`);
+    if (late) {
+      console.log(`[Scheduler] ⏰ Late catch-up for ${formatLocalTime(scheduledFor, timezone)}`);
+    }
+    console.log(`[Scheduler] 📝 Topic: ${topic}${topicOverride ? ' (calendar override)' : ''}`);
     console.log('='.repeat(60));
 
-    // Add job to content generation queue
-    await addContentGenerationJob(topic);
+    // Add job to content generation queue (slot jobs get a deterministic ID)
+    await addContentGenerationJob(topic, slot ? { slotId: slot.id, scheduledFor, planId: plan?.id ?? null } : {});
 
     console.log(`[Scheduler] ✓ Content generation job queued for topic: ${topic}`);
+
+    if (slot) {
+      await recordSlotRun(slot.id, scheduledFor, late ? 'late' : 'fired', { topic });
+    }
   } catch (error) {
     console.error('[Scheduler] Error scheduling post:', error.message);
+
+    if (slot) {
+      await recordSlotRun(slot.id, scheduledFor, 'failed', { reason: error.message, topic }).catch(() => {});
+    }
   }
 }
 
 /**
- * Initialize scheduler with cron jobs
+ * Detect slots that were due while the process was down
+ * Within the grace window the newest missed occurrence is posted late;
+ * everything else is recorded as skipped with a reason
+ * Run by the leader instance only (see lib/leader-election.js)
  */
-export function initScheduler() {
-  console.log('[Scheduler] Initializing cron scheduler...');
-  console.log('[Scheduler] Timezone: Pacific/Honolulu (Hawaii)');
-  console.log('[Scheduler] Schedule: 6 AM, 12 PM, 6 PM daily');
-
-  // Schedule post at 6 AM Hawaii time (16:00 UTC)
-  const morning = cron.schedule(
-    '0 6 * * *',
-    async () => {
-      console.log('[Scheduler] ☀️  Morning post triggered (6 AM HST)');
-      await schedulePost();
-    },
-    {
-      scheduled: true,
-      timezone: 'Pacific/Honolulu',
+export async function catchUpMissedSlots() {
+  const now = new Date();
+  const lookbackStart = new Date(now.getTime() - CATCH_UP_LOOKBACK_HOURS * 60 * 60 * 1000);
+  const summary = { late: [], skipped: [] };
+
+  const timezone = await getTimezone();
+  const slots = await getPostingSlots({ enabledOnly: true });
+
+  for (const slot of slots) {
+    // Only occurrences after the slot last fired (or was created) count as missed
+    const lastSeen = new Date(slot.last_fired_at || slot.created_at);
+    const from = lastSeen > lookbackStart ? lastSeen : lookbackStart;
+    const missed = getSlotOccurrences(slot, from, now, timezone);
+
+    for (const [index, scheduledFor] of missed.entries()) {
+      const minutesLate = Math.round((now - scheduledFor) / 60000);
+      const isNewest = index === missed.length - 1;
+      let reason = null;
+
+      if (schedulerPaused) {
+        reason = 'Scheduler paused';
+      } else if (!isNewest) {
+        reason = 'Superseded by a later missed occurrence of the same slot';
+      } else if (minutesLate > CATCH_UP_GRACE_MINUTES) {
+        reason = `Missed by ${minutesLate} min, outside the ${CATCH_UP_GRACE_MINUTES} min grace window`;
+      }
+
+      if (reason) {
+        const recorded = await recordSlotRun(slot.id, scheduledFor, 'skipped', { reason });
+        if (recorded) {
+          console.log(`[Scheduler] ⏭️  Skipped missed ${slot.name} slot (${formatLocalTime(scheduledFor, timezone)}): ${reason}`);
+          summary.skipped.push({ slotId: slot.id, scheduledFor, reason });
+        }
+      } else {
+        console.log(`[Scheduler] ⏰ ${slot.name} slot missed by ${minutesLate} min - posting late`);
+        await schedulePost(slot, { scheduledFor, late: true });
+        summary.late.push({ slotId: slot.id, scheduledFor, minutesLate });
+      }
     }
-  );
-
-  // Schedule post at 12 PM Hawaii time (22:00 UTC)
-  const noon = cron.schedule(
-    '0 12 * * *',
-    async () => {
-      console.log('[Scheduler] 🌤️  Noon post triggered (12 PM HST)');
-      await schedulePost();
-    },
-    {
-      scheduled: true,
-      timezone: 'Pacific/Honolulu',
+  }
+
+  return summary;
+}
+
+/**
+ * Stop and discard every running cron job
+ */
+function clearCronJobs() {
+  for (const { task } of cronJobs.values()) {
+    task.stop();
+  }
+  cronJobs.clear();
+}
+
+/**
+ * (Re)build cron jobs from the posting_slots table
+ * Called on startup and whenever a slot is created, updated or deleted
+ * Options: broadcast - tell the other instances to reload as well
+ */
+export async function reloadScheduler({ broadcast = true } = {}) {
+  // Read past the settings cache - the timezone may just have changed on another instance
+  const { timezone } = await getPageSettings({ fresh: true });
+  const slots = await getPostingSlots({ enabledOnly: true });
+
+  clearCronJobs();
+
+  for (const slot of slots) {
+    const task = cron.schedule(
+      toCronExpression(slot),
+      async () => {
+        // Every instance runs the cron jobs; only the leader acts on them
+        if (!(await ensureLeadership())) {
+          console.log(`[Scheduler] ${slot.name} slot fired but this instance is not the leader - skipping`);
+          return;
+        }
+
+        console.log(`[Scheduler] 🕐 ${slot.name} post triggered (${formatSlotTime(slot)} ${timezone})`);
+        await schedulePost(slot, { scheduledFor: moment.tz(timezone).startOf('minute').toDate() });
+      },
+      {
+        scheduled: !schedulerPaused,
+        timezone,
+      }
+    );
+
+    cronJobs.set(slot.id, { slot, task });
+  }
+
+  console.log(`[Scheduler] ✓ ${cronJobs.size} cron job(s) scheduled in ${timezone}${schedulerPaused ? ' (paused)' : ''}`);
+  for (const { slot } of cronJobs.values()) {
+    console.log(`  - ${formatSlotTime(slot)} (${slot.name})`);
+  }
+
+  if (broadcast) {
+    await announce('reload');
+  }
+
+  return getScheduledSlots();
+}
+
+/**
+ * Tell the other instances to apply a change (reload, pause or resume)
+ */
+async function announce(action) {
+  try {
+    await getRedisClient().publish(RELOAD_CHANNEL, JSON.stringify({ sender: getInstanceId(), action }));
+  } catch (error) {
+    console.error(`[Scheduler] Error announcing ${action} to other instances:`, error.message);
+  }
+}
+
+/**
+ * Apply changes announced by other instances: reload cron jobs after a slot or
+ * timezone change, or pause/resume them
+ */
+async function subscribeToReloads() {
+  reloadSubscriber = getRedisClient().duplicate();
+  reloadSubscriber.on('error', (err) => {
+    console.error('[Scheduler] Reload subscriber error:', err.message);
+  });
+
+  await reloadSubscriber.connect();
+  await reloadSubscriber.subscribe(RELOAD_CHANNEL, async (message) => {
+    let sender, action;
+    try {
+      ({ sender, action } = JSON.parse(message));
+    } catch {
+      console.warn(`[Scheduler] Ignoring malformed announcement: ${message}`);
+      return;
+    }
+    if (sender === getInstanceId()) return;
+
+    if (action === 'pause' || action === 'resume') {
+      console.log(`[Scheduler] Scheduler ${action}d on instance ${sender}`);
+      action === 'pause' ? stopScheduler() : startScheduler();
+      return;
+    }
+
+    console.log(`[Scheduler] Slots changed on instance ${sender} - reloading`);
+    try {
+      await reloadScheduler({ broadcast: false });
+    } catch (error) {
+      console.error('[Scheduler] Error reloading after remote change:', error.message);
     }
-  );
-
-  // Schedule post at 6 PM Hawaii time (04:00 UTC next day)
-  const evening = cron.schedule(
-    '0 18 * * *',
-    async () => {
-      console.log('[Scheduler] 🌙 Evening post triggered (6 PM HST)');
-      await schedulePost();
-    },
-    {
-      scheduled: true,
-      timezone: 'Pacific/Honolulu',
+  });
+}
+
+/**
+ * Stop listening for reloads from other instances (graceful shutdown)
+ */
+export async function stopReloadSubscriber() {
+  if (!reloadSubscriber) return;
+
+  try {
+    await reloadSubscriber.quit();
+    reloadSubscriber = null;
+  } catch (error) {
+    console.error('[Scheduler] Error closing reload subscriber:', error.message);
+  }
+}
+
+/**
+ * Slots that currently have a cron job
+ */
+export function getScheduledSlots() {
+  return [...cronJobs.values()].map(({ slot }) => ({
+    id: slot.id,
+    name: slot.name,
+    time: formatSlotTime(slot),
+    cron: toCronExpression(slot),
+  }));
+}
+
+/**
+ * Resume all cron jobs
+ */
+export function startScheduler() {
+  schedulerPaused = false;
+  for (const { task } of cronJobs.values()) {
+    task.start();
+  }
+  console.log('[Scheduler] All cron jobs started');
+}
+
+/**
+ * Pause all cron jobs (slots reloaded while paused stay paused)
+ */
+export function stopScheduler() {
+  schedulerPaused = true;
+  for (const { task } of cronJobs.values()) {
+    task.stop();
+  }
+  console.log('[Scheduler] All cron jobs stopped');
+}
+
+/**
+ * Pause or resume the scheduler on every instance
+ * The flag is kept in Redis so instances started later pick it up
+ */
+export async function setSchedulerPaused(paused) {
+  try {
+    if (paused) {
+      await getRedisClient().set(PAUSED_KEY, '1');
+    } else {
+      await getRedisClient().del(PAUSED_KEY);
     }
-  );
+  } catch (error) {
+    console.error('[Scheduler] Error saving pause flag:', error.message);
+    throw error;
+  }
+
+  paused ? stopScheduler() : startScheduler();
+  await announce(paused ? 'pause' : 'resume');
+}
+
+/**
+ * Initialize scheduler with cron jobs
+ */
+export async function initScheduler() {
+  console.log('[Scheduler] Initializing cron scheduler...');
+  console.log(`[Scheduler] Timezone: ${await getTimezone()} (page setting)`);
+
+  schedulerPaused = (await getRedisClient().get(PAUSED_KEY)) === '1';
 
-  console.log('[Scheduler] ✓ Cron jobs scheduled successfully');
-  console.log('[Scheduler] Next posts:');
-  console.log('  - 6:00 AM HST (Morning)');
-  console.log('  - 12:00 PM HST (Noon)');
-  console.log('  - 6:00 PM HST (Evening)');
+  await initializePostingSlots();
+  await reloadScheduler({ broadcast: false });
+  await subscribeToReloads();
 
   // Return scheduler controls
   return {
-    morning,
-    noon,
-    evening,
+    reload: reloadScheduler,
+    start: startScheduler,
+    stop: stopScheduler,
+    getSlots: getScheduledSlots,
     scheduleNow: schedulePost, // For manual triggering
-    stop: () => {
-      morning.stop();
-      noon.stop();
-      evening.stop();
-      console.log('[Scheduler] All cron jobs stopped');
-    },
   };
 }
 
 /**
- * Get current Hawaii time
+ * Get current time in the page timezone
  */
-export function getHawaiiTime() {
+export async function getLocalTime() {
   return new Date().toLocaleString('en-US', {
-    timeZone: 'Pacific/Honolulu',
+    timeZone: await getTimezone(),
     dateStyle: 'full',
     timeStyle: 'long',
   });
@@ -159,7 +387,14 @@ export async function testScheduler() {
 
 export default {
   initScheduler,
+  reloadScheduler,
+  stopReloadSubscriber,
+  startScheduler,
+  stopScheduler,
+  setSchedulerPaused,
+  getScheduledSlots,
   schedulePost,
-  getHawaiiTime,
+  catchUpMissedSlots,
+  getLocalTime,
   testScheduler,
 };
@@ -2,7 +2,11 @@
 -- PostgreSQL Database Schema
 
 -- Drop table if exists (for clean reinstall)
-DROP TABLE IF EXISTS kangen_posts;
+-- Per-post tables below reference kangen_posts; they are dropped with it and
+-- recreated further down. CASCADE removes the foreign keys of tables created
+-- outside this file (A/B variants, approval history, engagement snapshots).
+DROP TABLE IF EXISTS content_plan, post_comments, post_revisions, post_hashtags, post_leads;
+DROP TABLE IF EXISTS kangen_posts CASCADE;
 
 -- Create main posts table
 CREATE TABLE kangen_posts (
@@ -47,3 +51,518 @@ CREATE TRIGGER update_kangen_posts_updated_at
 COMMENT ON TABLE kangen_posts IS 'Stores all Kangen Water Facebook posts with status tracking and engagement metrics';
 COMMENT ON COLUMN kangen_posts.status IS 'Post status: scheduled, generating, posting, posted, failed';
 COMMENT ON COLUMN kangen_posts.retry_count IS 'Number of retry attempts for failed posts';
+
+-- ============================================================================
+-- Posting schedule
+-- ============================================================================
+
+-- One row per posting slot; the scheduler builds a cron job for each enabled slot
+CREATE TABLE IF NOT EXISTS posting_slots (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    hour INT NOT NULL CHECK (hour BETWEEN 0 AND 23),
+    minute INT NOT NULL DEFAULT 0 CHECK (minute BETWEEN 0 AND 59),
+    weekdays INT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+    enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE posting_slots IS 'Posting schedule editable via /api/schedule/slots (times are in the page timezone, see page_settings)';
+COMMENT ON COLUMN posting_slots.weekdays IS 'Days the slot runs, cron numbering: 0 = Sunday ... 6 = Saturday';
+
+-- When each slot last fired, used to detect slots missed while the process was down
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS last_fired_at TIMESTAMPTZ;
+
+-- Outcome of every slot occurrence: fired, late (caught up after a restart), skipped or failed
+CREATE TABLE IF NOT EXISTS slot_runs (
+    id SERIAL PRIMARY KEY,
+    slot_id INT REFERENCES posting_slots(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    topic VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (slot_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_runs_scheduled_for ON slot_runs(scheduled_for DESC);
+
+-- Blackout dates and holiday calendar, consulted before each slot posts
+--   blackout: skip posting (whole days, or only between start_time and end_time)
+--   topic:    post as usual but with the given topic
+CREATE TABLE IF NOT EXISTS schedule_overrides (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('blackout', 'topic')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    slot_id INT REFERENCES posting_slots(id) ON DELETE CASCADE,
+    topic VARCHAR(255),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_overrides_dates ON schedule_overrides(start_date, end_date);
+COMMENT ON COLUMN schedule_overrides.slot_id IS 'Limit the override to one slot; NULL applies to every slot';
+
+-- ============================================================================
+-- Content calendar (planning mode)
+-- ============================================================================
+
+-- Slot a post was generated for; approved posts publish at scheduled_for
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS slot_id INT REFERENCES posting_slots(id) ON DELETE SET NULL;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+
+-- Topics planned for upcoming slot occurrences and the drafts generated for them
+CREATE TABLE IF NOT EXISTS content_plan (
+    id SERIAL PRIMARY KEY,
+    slot_id INT REFERENCES posting_slots(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMPTZ NOT NULL,
+    topic VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'planned',
+    note TEXT,
+    post_id INT REFERENCES kangen_posts(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (slot_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_plan_scheduled_for ON content_plan(scheduled_for);
+COMMENT ON COLUMN content_plan.status IS 'planned, generating, drafted, blackout';
+
+-- ============================================================================
+-- Facebook native scheduling
+-- ============================================================================
+
+-- Publish time handed to Facebook via scheduled_publish_time (status fb_scheduled)
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS fb_scheduled_for TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_kangen_posts_fb_scheduled ON kangen_posts(fb_scheduled_for) WHERE status = 'fb_scheduled';
+COMMENT ON COLUMN kangen_posts.status IS 'Post status: scheduled (awaiting approval), generating, approved (waiting for its slot), fb_scheduled (queued on Facebook), posting, posted, failed, rejected, skipped';
+
+-- ============================================================================
+-- Timing optimizer
+-- ============================================================================
+
+-- Hours (local schedule time) the optimizer may move a slot within; NULL = never auto-adjusted
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS window_start_hour INT CHECK (window_start_hour BETWEEN 0 AND 23);
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS window_end_hour INT CHECK (window_end_hour BETWEEN 0 AND 23);
+
+-- Slot moves made by the timing optimizer
+CREATE TABLE IF NOT EXISTS slot_adjustments (
+    id SERIAL PRIMARY KEY,
+    slot_id INT REFERENCES posting_slots(id) ON DELETE CASCADE,
+    from_hour INT NOT NULL,
+    to_hour INT NOT NULL,
+    expected_lift DECIMAL(6,3),
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_adjustments_slot ON slot_adjustments(slot_id, created_at DESC);
+COMMENT ON COLUMN slot_adjustments.expected_lift IS 'Expected engagement lift as a fraction (0.2 = +20%)';
+
+-- ============================================================================
+-- Page settings
+-- ============================================================================
+
+-- Page-level configuration, one row per Facebook page
+CREATE TABLE IF NOT EXISTS page_settings (
+    page_id VARCHAR(100) PRIMARY KEY,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Pacific/Honolulu',
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN page_settings.timezone IS 'IANA timezone for slot times, blackout dates, hour bucketing and "today" counts';
+
+-- ============================================================================
+-- Topic registry
+-- ============================================================================
+
+-- Single list of topics used by the scheduler, weighted selection and the generator
+CREATE TABLE IF NOT EXISTS topics (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    prompt TEXT NOT NULL,
+    image_prompt TEXT,
+    enabled BOOLEAN DEFAULT true,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN topics.prompt IS 'User prompt sent to GPT for this topic';
+COMMENT ON COLUMN topics.image_prompt IS 'DALL-E scene description; the shared photo style is appended at generation time';
+
+-- ============================================================================
+-- Topic selection (Thompson sampling)
+-- ============================================================================
+
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS topic_selection_mode VARCHAR(20) NOT NULL DEFAULT 'rotation';
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS exploration_floor DECIMAL(4,3) NOT NULL DEFAULT 0.05;
+
+COMMENT ON COLUMN page_settings.topic_selection_mode IS 'rotation (fixed order), weighted (performance weights) or thompson (Bayesian bandit)';
+COMMENT ON COLUMN page_settings.exploration_floor IS 'Minimum chance every enabled topic has of being picked in thompson mode';
+
+-- Every topic pick, used for "times chosen" in /api/analytics/topics
+CREATE TABLE IF NOT EXISTS topic_selection_log (
+    id SERIAL PRIMARY KEY,
+    topic VARCHAR(255) NOT NULL,
+    mode VARCHAR(20) NOT NULL,
+    explored BOOLEAN DEFAULT false,
+    samples JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_selection_log_topic ON topic_selection_log(topic, created_at DESC);
+COMMENT ON COLUMN topic_selection_log.samples IS 'Posterior sample per topic at selection time (thompson mode)';
+
+-- ============================================================================
+-- Topic cooldown rules
+-- ============================================================================
+
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS topic_no_repeat_within INT NOT NULL DEFAULT 3;
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS topic_max_per_week INT NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN page_settings.topic_no_repeat_within IS 'A topic may not repeat within this many posts (0 = off)';
+COMMENT ON COLUMN page_settings.topic_max_per_week IS 'At most this many posts per topic in any 7 days (0 = off)';
+
+-- Topics each pick ruled out and why, e.g. {"pH Balance and Health": "Used 1 post(s) ago (no repeat within 3)"}
+ALTER TABLE topic_selection_log ADD COLUMN IF NOT EXISTS excluded JSONB DEFAULT '{}';
+ALTER TABLE topic_selection_log ADD COLUMN IF NOT EXISTS rules_relaxed BOOLEAN DEFAULT false;
+
+-- ============================================================================
+-- Campaigns
+-- ============================================================================
+
+-- Time-bounded campaigns: boost topics and add prompt context between two page-local dates
+CREATE TABLE IF NOT EXISTS campaigns (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    topic_boosts JSONB NOT NULL DEFAULT '{}',
+    prompt_context TEXT,
+    enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_dates ON campaigns(start_date, end_date);
+
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS campaign_id INT REFERENCES campaigns(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_posts_campaign ON kangen_posts(campaign_id);
+
+COMMENT ON TABLE campaigns IS 'Seasonal and launch campaigns that boost topics and add prompt context';
+COMMENT ON COLUMN campaigns.topic_boosts IS 'Topic name -> weight multiplier, e.g. {"Athletic Performance and Hydration": 3}';
+COMMENT ON COLUMN kangen_posts.campaign_id IS 'Campaign the post was generated under';
+
+-- ============================================================================
+-- Topic discovery
+-- ============================================================================
+
+-- Audience comments pulled from the Graph API
+CREATE TABLE IF NOT EXISTS post_comments (
+    id SERIAL PRIMARY KEY,
+    post_id INT NOT NULL REFERENCES kangen_posts(id) ON DELETE CASCADE,
+    facebook_comment_id VARCHAR(255) NOT NULL UNIQUE,
+    message TEXT NOT NULL,
+    like_count INT DEFAULT 0,
+    commented_at TIMESTAMPTZ,
+    fetched_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_comments_post ON post_comments(post_id);
+
+-- Recurring comment themes proposed as new topics
+CREATE TABLE IF NOT EXISTS topic_candidates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    suggested_prompt TEXT NOT NULL,
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    example_comments JSONB NOT NULL DEFAULT '[]',
+    comment_count INT NOT NULL DEFAULT 0,
+    question_count INT NOT NULL DEFAULT 0,
+    post_count INT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    topic_id INT REFERENCES topics(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_candidates_status ON topic_candidates(status);
+
+COMMENT ON TABLE topic_candidates IS 'Candidate topics clustered from audience comments, awaiting review';
+COMMENT ON COLUMN topic_candidates.status IS 'pending, approved (added to topics), dismissed (never proposed again)';
+
+-- ============================================================================
+-- Prompt templates
+-- ============================================================================
+
+-- Versioned generation prompts; exactly one version per name is active
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    version INT NOT NULL,
+    body TEXT NOT NULL,
+    variables TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMPTZ,
+    UNIQUE (name, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(name) WHERE is_active;
+
+-- What produced each post
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS prompt_versions JSONB DEFAULT '{}';
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS generation_params JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_posts_prompt_versions ON kangen_posts USING GIN (prompt_versions);
+
+COMMENT ON TABLE prompt_templates IS 'Versioned prompt templates with {{variable}} placeholders (content-system, content-user, image)';
+COMMENT ON COLUMN kangen_posts.prompt_versions IS 'Template name -> version used, e.g. {"content-system": 3, "content-user": 1, "image": 2}';
+COMMENT ON COLUMN kangen_posts.generation_params IS 'Model parameters and prompt options used for the post text';
+
+-- ============================================================================
+-- Voice profiles
+-- ============================================================================
+
+-- Named brand voices added to the system prompt
+CREATE TABLE IF NOT EXISTS voice_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    tone TEXT NOT NULL,
+    banned_phrases TEXT[] NOT NULL DEFAULT '{}',
+    emoji_policy VARCHAR(20) NOT NULL DEFAULT 'sparing',
+    sign_off TEXT,
+    ctas TEXT[] NOT NULL DEFAULT '{}',
+    example_posts TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS voice_profile_id INT REFERENCES voice_profiles(id) ON DELETE SET NULL;
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS voice_profile_id INT REFERENCES voice_profiles(id) ON DELETE SET NULL;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS voice_profile_id INT REFERENCES voice_profiles(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN voice_profiles.emoji_policy IS 'none, sparing or liberal';
+COMMENT ON COLUMN page_settings.voice_profile_id IS 'Default voice for the page (NULL = base prompt voice)';
+COMMENT ON COLUMN posting_slots.voice_profile_id IS 'Voice for posts in this slot (NULL = page default)';
+COMMENT ON COLUMN kangen_posts.voice_profile_id IS 'Voice the post was generated in';
+
+-- ============================================================================
+-- Structured post output
+-- ============================================================================
+
+-- Validated fields from the model's JSON output; content / hashtags hold the assembled post
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS hook TEXT;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS body TEXT;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS cta TEXT;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS hashtag_list TEXT[];
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS image_concept TEXT;
+
+COMMENT ON COLUMN kangen_posts.hook IS 'Opening line (structured output)';
+COMMENT ON COLUMN kangen_posts.hashtag_list IS 'Hashtags as an array (hashtags holds them space-separated)';
+COMMENT ON COLUMN kangen_posts.image_concept IS 'Image idea from the model, used as the image prompt scene';
+
+-- ============================================================================
+-- Compliance rules
+-- ============================================================================
+
+-- Phrase dictionaries and regexes checked against every post's text
+CREATE TABLE IF NOT EXISTS compliance_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'phrase',
+    patterns TEXT[] NOT NULL,
+    severity VARCHAR(10) NOT NULL DEFAULT 'warn',
+    category VARCHAR(50),
+    message TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Result of the last check, and the reviewer override if one was given
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_status VARCHAR(10);
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_flags JSONB DEFAULT '[]';
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_checked_at TIMESTAMPTZ;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_override_by VARCHAR(100);
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_override_reason TEXT;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS compliance_override_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN compliance_rules.kind IS 'phrase (whole words, case-insensitive) or regex';
+COMMENT ON COLUMN compliance_rules.severity IS 'block (needs a reviewer override to approve), warn or info';
+COMMENT ON COLUMN kangen_posts.compliance_status IS 'pass, warn or block (NULL = not checked yet)';
+COMMENT ON COLUMN kangen_posts.compliance_flags IS 'Flagged spans: [{ruleId, ruleName, severity, match, start, end, message}]';
+COMMENT ON COLUMN kangen_posts.compliance_override_reason IS 'Why a reviewer approved despite blocking flags (cleared when the flags change)';
+
+-- ============================================================================
+-- Near-duplicate detection
+-- ============================================================================
+
+-- Closest earlier post by TF-IDF cosine similarity (0 - 1)
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS similarity_score REAL;
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS similar_post_id INT REFERENCES kangen_posts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN kangen_posts.similarity_score IS 'Similarity to the closest earlier post (>= DUPLICATE_THRESHOLD = near-duplicate)';
+COMMENT ON COLUMN kangen_posts.similar_post_id IS 'Closest earlier post within DUPLICATE_LOOKBACK_MONTHS';
+
+-- ============================================================================
+-- Post revisions
+-- ============================================================================
+
+-- Every version of a post's text: as generated, regenerated from feedback or edited
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INT NOT NULL REFERENCES kangen_posts(id) ON DELETE CASCADE,
+    revision INT NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    feedback TEXT,
+    content TEXT NOT NULL,
+    hashtags VARCHAR(500),
+    hook TEXT,
+    body TEXT,
+    cta TEXT,
+    hashtag_list TEXT[],
+    image_concept TEXT,
+    prompt_versions JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post_id, revision)
+);
+
+COMMENT ON COLUMN post_revisions.source IS 'generated, regenerated, edited or variant (A/B variant selected)';
+COMMENT ON COLUMN post_revisions.feedback IS 'Reviewer feedback that produced this revision';
+
+-- ============================================================================
+-- Reviewer edits
+-- ============================================================================
+
+-- Who edited a revision and what changed (content as word-level diff runs)
+ALTER TABLE post_revisions ADD COLUMN IF NOT EXISTS author VARCHAR(100);
+ALTER TABLE post_revisions ADD COLUMN IF NOT EXISTS diff JSONB;
+ALTER TABLE post_revisions ADD COLUMN IF NOT EXISTS image_url VARCHAR(500);
+
+COMMENT ON COLUMN post_revisions.author IS 'Reviewer who made an edited revision';
+COMMENT ON COLUMN post_revisions.diff IS 'Changes from the previous revision: {"content": [{op, text}], "hashtags": {from, to}, "imageUrl": {from, to}}';
+
+-- ============================================================================
+-- Post languages
+-- ============================================================================
+
+-- Page default languages; a slot with languages set overrides them
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{en}';
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS language_mode VARCHAR(20) NOT NULL DEFAULT 'bilingual';
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS languages TEXT[];
+ALTER TABLE posting_slots ADD COLUMN IF NOT EXISTS language_mode VARCHAR(20);
+
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS language VARCHAR(20) DEFAULT 'en';
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS language_group_id INT REFERENCES kangen_posts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN page_settings.languages IS 'Language codes (en, ja, haw-en), primary first; at most two';
+COMMENT ON COLUMN page_settings.language_mode IS 'With two languages: bilingual (one post) or separate (one post per language)';
+COMMENT ON COLUMN posting_slots.languages IS 'Overrides the page languages (NULL = page default)';
+COMMENT ON COLUMN kangen_posts.language IS 'Language code, or codes joined with + for a bilingual post (e.g. en+ja)';
+COMMENT ON COLUMN kangen_posts.language_group_id IS 'First post of a set generated in separate languages for the same slot';
+
+-- ============================================================================
+-- Hashtag performance
+-- ============================================================================
+
+-- Hashtags each posted post was published with (lowercase key, as-written display form)
+CREATE TABLE IF NOT EXISTS post_hashtags (
+    post_id INT NOT NULL REFERENCES kangen_posts(id) ON DELETE CASCADE,
+    hashtag VARCHAR(100) NOT NULL,
+    display_tag VARCHAR(100) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (post_id, hashtag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_hashtags_hashtag ON post_hashtags(hashtag);
+
+-- Rolling per-tag stats over the last HASHTAG_LOOKBACK_DAYS of posted posts
+CREATE TABLE IF NOT EXISTS hashtag_performance (
+    hashtag VARCHAR(100) PRIMARY KEY,
+    display_tag VARCHAR(100) NOT NULL,
+    uses INT NOT NULL DEFAULT 0,
+    avg_engagement_rate DECIMAL(10, 4),
+    lift DECIMAL(10, 4),
+    last_used_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN post_hashtags.source IS 'How the tag was chosen: brand, proven, exploratory, suggested, or manual (reviewer edit)';
+COMMENT ON COLUMN hashtag_performance.avg_engagement_rate IS 'Average engagement rate of posts that used the tag';
+COMMENT ON COLUMN hashtag_performance.lift IS 'avg_engagement_rate relative to the average of all posts in the window (1 = average)';
+
+-- ============================================================================
+-- CTA library
+-- ============================================================================
+
+-- Calls-to-action the generator draws from
+CREATE TABLE IF NOT EXISTS cta_library (
+    id SERIAL PRIMARY KEY,
+    text VARCHAR(200) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    url VARCHAR(500),
+    language VARCHAR(20),
+    expires_at TIMESTAMPTZ,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    retired_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS cta_id INT REFERENCES cta_library(id) ON DELETE SET NULL;
+
+-- post_variants comes from the A/B testing setup, which may not have run yet
+ALTER TABLE IF EXISTS post_variants ADD COLUMN IF NOT EXISTS variant_a_cta_id INT REFERENCES cta_library(id) ON DELETE SET NULL;
+ALTER TABLE IF EXISTS post_variants ADD COLUMN IF NOT EXISTS variant_b_cta_id INT REFERENCES cta_library(id) ON DELETE SET NULL;
+ALTER TABLE IF EXISTS post_variants ADD COLUMN IF NOT EXISTS variant_c_cta_id INT REFERENCES cta_library(id) ON DELETE SET NULL;
+
+-- Leads (DMs, comments, sign-ups) that came from a post, credited to the CTA it used
+CREATE TABLE IF NOT EXISTS post_leads (
+    id SERIAL PRIMARY KEY,
+    post_id INT NOT NULL REFERENCES kangen_posts(id) ON DELETE CASCADE,
+    cta_id INT REFERENCES cta_library(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL,
+    contact VARCHAR(200),
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_kangen_posts_cta ON kangen_posts(cta_id);
+CREATE INDEX IF NOT EXISTS idx_post_leads_post ON post_leads(post_id);
+
+COMMENT ON COLUMN cta_library.type IS 'dm, link, comment-prompt or event';
+COMMENT ON COLUMN cta_library.language IS 'Language code the CTA is written for (NULL = any language)';
+COMMENT ON COLUMN cta_library.expires_at IS 'Not picked after this time (e.g. event date)';
+COMMENT ON COLUMN cta_library.retired_at IS 'When the CTA was disabled';
+COMMENT ON COLUMN kangen_posts.cta_id IS 'CTA library entry the post was written with';
+COMMENT ON COLUMN post_leads.source IS 'dm, comment, link, event or other';
+
+-- ============================================================================
+-- Evergreen recycling
+-- ============================================================================
+
+ALTER TABLE kangen_posts ADD COLUMN IF NOT EXISTS recycled_from_id INT REFERENCES kangen_posts(id) ON DELETE SET NULL;
+
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS evergreen_share REAL NOT NULL DEFAULT 0;
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS evergreen_min_age_days INT NOT NULL DEFAULT 90;
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS evergreen_paraphrase BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE page_settings ADD COLUMN IF NOT EXISTS evergreen_fallback BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_kangen_posts_recycled_from ON kangen_posts(recycled_from_id);
+
+COMMENT ON COLUMN kangen_posts.recycled_from_id IS 'Posted original this evergreen repost was recycled from';
+COMMENT ON COLUMN page_settings.evergreen_share IS 'Share of slots (0-1) filled with evergreen reposts instead of new content';
+COMMENT ON COLUMN page_settings.evergreen_min_age_days IS 'Only posts older than this are recycled, and not again within this many days';
+COMMENT ON COLUMN page_settings.evergreen_paraphrase IS 'Rewrite recycled posts with the generator instead of copying them';
+COMMENT ON COLUMN page_settings.evergreen_fallback IS 'Fill a slot with an evergreen repost when its content generation fails';
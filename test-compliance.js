@@ -0,0 +1,71 @@
+/**
+ * Compliance Rules Test Script
+ * Checks the default English and Japanese rules offline (no database, Redis or API calls)
+ *
+ * Usage: node test-compliance.js
+ */
+
+import assert from 'node:assert/strict';
+import { DEFAULT_RULES, JAPANESE_RULES, compileRule } from './lib/compliance-checker.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+const rules = [...DEFAULT_RULES, ...JAPANESE_RULES].map(compileRule);
+
+/**
+ * Names of the default rules the text trips, the way checkCompliance matches them
+ */
+function flagged(text) {
+  return rules
+    .filter((rule) => rule.regexes.some((regex) => [...text.matchAll(regex)].some((match) => match[0].length > 0)))
+    .map((rule) => rule.name);
+}
+
+test('every default pattern compiles', () => {
+  for (const rule of rules) {
+    assert.equal(rule.regexes.length, rule.patterns.length, rule.name);
+  }
+});
+
+test('English health and income claims are flagged', () => {
+  assert.ok(flagged('This water cures everything').includes('Cure / treatment claims'));
+  assert.ok(flagged('It helps prevent cancer').includes('Disease prevention claims'));
+  assert.ok(flagged('Drink it instead of medication').includes('Drug and doctor comparisons'));
+  assert.ok(flagged('Earn passive income with us').includes('Income claims'));
+  assert.ok(flagged('I made $5,000 last month').includes('Income amounts'));
+});
+
+test('phrases match whole words only', () => {
+  assert.ok(flagged('A MIRACLE in every glass').includes('Guarantees'));
+  assert.deepEqual(flagged('Miraclegrow for your garden'), []);
+});
+
+test('Japanese health and income claims are flagged', () => {
+  assert.ok(flagged('この水で病気が治ります').includes('Cure / treatment claims (Japanese)'));
+  assert.ok(flagged('糖尿病を改善').includes('Cure / treatment claims (Japanese)'));
+  assert.ok(flagged('がんの予防に').includes('Disease prevention claims (Japanese)'));
+  assert.ok(flagged('薬の代わりに飲んでください').includes('Drug and doctor comparisons (Japanese)'));
+  assert.ok(flagged('不労所得で自由な生活').includes('Income claims (Japanese)'));
+  assert.ok(flagged('月収100万円も夢じゃない').includes('Income amounts (Japanese)'));
+  assert.ok(flagged('効果を保証します').includes('Guarantees (Japanese)'));
+});
+
+test('everyday Japanese is not flagged', () => {
+  assert.deepEqual(flagged('毎朝コップ一杯の還元水で、水分補給を習慣に。今日もがんばりましょう！'), []);
+  assert.deepEqual(flagged('政治のニュースを見ながら一息'), []);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,50 @@
+/**
+ * Facebook Scheduling Test Script
+ * Checks the native scheduling window offline (no database, Redis or API calls)
+ *
+ * Usage: node test-fb-scheduling.js
+ */
+
+import assert from 'node:assert/strict';
+import { canScheduleNatively } from './lib/facebook-poster.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const fromNow = (ms) => new Date(Date.now() + ms);
+
+test('times 10 minutes to 30 days ahead can be scheduled natively', () => {
+  assert.ok(canScheduleNatively(fromNow(11 * MINUTE)));
+  assert.ok(canScheduleNatively(fromNow(DAY)));
+  assert.ok(canScheduleNatively(fromNow(30 * DAY - MINUTE)));
+});
+
+test('times under 10 minutes ahead or in the past cannot', () => {
+  assert.ok(!canScheduleNatively(fromNow(9 * MINUTE)));
+  assert.ok(!canScheduleNatively(fromNow(-MINUTE)));
+});
+
+test('times over 30 days ahead cannot', () => {
+  assert.ok(!canScheduleNatively(fromNow(30 * DAY + MINUTE)));
+});
+
+test('ISO strings are accepted', () => {
+  assert.ok(canScheduleNatively(fromNow(DAY).toISOString()));
+  assert.ok(!canScheduleNatively('not a date'));
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
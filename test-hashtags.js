@@ -0,0 +1,56 @@
+/**
+ * Hashtags Test Script
+ * Checks hashtag normalization and the built-in tag sets offline
+ * (no database, Redis or API calls)
+ *
+ * Usage: node test-hashtags.js
+ */
+
+import assert from 'node:assert/strict';
+import { BRAND_TAGS, normalizeHashtag } from './lib/hashtag-engine.js';
+import { LANGUAGES } from './lib/languages.js';
+import { HASHTAG_PATTERN } from './lib/post-schema.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+test('tags differing only in case or spacing share a stats key', () => {
+  assert.equal(normalizeHashtag('#KangenWater'), '#kangenwater');
+  assert.equal(normalizeHashtag('  #KANGENWATER '), normalizeHashtag('#kangenWater'));
+});
+
+test('non-Latin tags keep their characters', () => {
+  assert.equal(normalizeHashtag('#還元水'), '#還元水');
+  assert.equal(normalizeHashtag('#カンゲンウォーター'), '#カンゲンウォーター');
+  assert.equal(normalizeHashtag('#WaiOla'), '#waiola');
+});
+
+test('brand tags are valid hashtags', () => {
+  assert.ok(BRAND_TAGS.length > 0);
+  for (const tag of BRAND_TAGS) {
+    assert.ok(HASHTAG_PATTERN.test(tag), tag);
+  }
+});
+
+test('each language tag set is valid and has no case duplicates', () => {
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    for (const tag of language.hashtags) {
+      assert.ok(HASHTAG_PATTERN.test(tag), `${code}: ${tag}`);
+    }
+    assert.equal(new Set(language.hashtags.map(normalizeHashtag)).size, language.hashtags.length, code);
+  }
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,81 @@
+/**
+ * Languages Test Script
+ * Checks language resolution, language tags and quality rules offline
+ * (no database, Redis or API calls)
+ *
+ * Usage: node test-languages.js
+ */
+
+import assert from 'node:assert/strict';
+import {
+  validateLanguages,
+  resolveLanguages,
+  getPostLanguageSets,
+  toLanguageTag,
+  fromLanguageTag,
+  getQualityRules,
+} from './lib/languages.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+test('language lists are validated', () => {
+  assert.deepEqual(validateLanguages(['en']), []);
+  assert.deepEqual(validateLanguages(['en', 'ja']), []);
+  for (const invalid of [[], ['fr'], ['en', 'en'], ['en', 'ja', 'haw-en'], 'en']) {
+    assert.equal(validateLanguages(invalid).length, 1, JSON.stringify(invalid));
+  }
+});
+
+test('slot languages override the page settings', () => {
+  const settings = { languages: ['en', 'ja'], languageMode: 'separate' };
+  assert.deepEqual(resolveLanguages(null, settings), { languages: ['en', 'ja'], mode: 'separate' });
+  assert.deepEqual(resolveLanguages({ languages: ['ja'], language_mode: 'bilingual' }, settings), { languages: ['ja'], mode: 'bilingual' });
+  assert.deepEqual(resolveLanguages({ languages: [] }, {}), { languages: ['en'], mode: 'bilingual' });
+});
+
+test('separate mode gives one post per language', () => {
+  assert.deepEqual(getPostLanguageSets({ languages: ['en', 'ja'], mode: 'bilingual' }), [['en', 'ja']]);
+  assert.deepEqual(getPostLanguageSets({ languages: ['en', 'ja'], mode: 'separate' }), [['en'], ['ja']]);
+});
+
+test('language tags round-trip', () => {
+  assert.equal(toLanguageTag(['en', 'ja']), 'en+ja');
+  assert.deepEqual(fromLanguageTag('en+ja'), ['en', 'ja']);
+  assert.deepEqual(fromLanguageTag('haw-en'), ['haw-en']);
+});
+
+test('unknown or missing tags read as English', () => {
+  assert.deepEqual(fromLanguageTag(null), ['en']);
+  assert.deepEqual(fromLanguageTag('fr'), ['en']);
+  assert.deepEqual(fromLanguageTag('fr+ja'), ['ja']);
+});
+
+test('bilingual quality rules add lengths and merge keywords', () => {
+  const english = getQualityRules();
+  const japanese = getQualityRules(['ja']);
+  const bilingual = getQualityRules(['en', 'ja']);
+
+  assert.equal(bilingual.minLength, english.minLength + japanese.minLength);
+  assert.equal(bilingual.maxLength, english.maxLength + japanese.maxLength);
+  assert.ok(bilingual.ctaKeywords.includes('learn') && bilingual.ctaKeywords.includes('詳しく'));
+  assert.equal(new Set(bilingual.valueWords).size, bilingual.valueWords.length);
+});
+
+test('unknown codes get the English quality rules', () => {
+  assert.deepEqual(getQualityRules(['fr']), getQualityRules(['en']));
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,89 @@
+/**
+ * Post Schema Test Script
+ * Checks structured post validation and repair offline (no database, Redis or API calls)
+ *
+ * Usage: node test-post-schema.js
+ */
+
+import assert from 'node:assert/strict';
+import { validatePostOutput, repairPostOutput, assemblePost } from './lib/post-schema.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+const valid = {
+  hook: 'Start your morning right 💧',
+  body: 'A glass of Kangen water first thing helps you stay hydrated.',
+  cta: 'DM for more info!',
+  hashtags: ['#KangenWater', '#Hydration', '#還元水'],
+  image_concept: 'A glass of water on a sunny kitchen counter',
+};
+
+test('valid output passes', () => {
+  assert.deepEqual(validatePostOutput(valid), []);
+});
+
+test('missing fields, bad hashtags and extra fields are reported', () => {
+  const errors = validatePostOutput({ ...valid, cta: ' ', hashtags: ['Hydration', '#two words'], extra: 1 });
+  assert.ok(errors.includes('cta must be a non-empty string'));
+  assert.ok(errors.some((error) => error.startsWith('invalid hashtags: "Hydration", "#two words"')));
+  assert.ok(errors.includes('unexpected fields: extra'));
+});
+
+test('hashtag count is bounded', () => {
+  assert.ok(validatePostOutput({ ...valid, hashtags: [] }).includes('hashtags must have 1-6 entries'));
+  const seven = ['#a', '#b', '#c', '#d', '#e', '#f', '#g'];
+  assert.ok(validatePostOutput({ ...valid, hashtags: seven }).includes('hashtags must have 1-6 entries'));
+});
+
+test('non-objects are rejected', () => {
+  assert.deepEqual(validatePostOutput(null), ['output must be a JSON object']);
+  assert.deepEqual(validatePostOutput([valid]), ['output must be a JSON object']);
+});
+
+test('repair strips code fences and prose around the JSON', () => {
+  const raw = `Here is your post:\n\`\`\`json\n${JSON.stringify(valid)}\n\`\`\`\nEnjoy!`;
+  assert.deepEqual(repairPostOutput(raw), valid);
+});
+
+test('repair fixes hashtag strings, missing #, spaces and duplicates', () => {
+  const repaired = repairPostOutput(JSON.stringify({ ...valid, hashtags: 'KangenWater, #Hydration ##KangenWater' }));
+  assert.deepEqual(repaired.hashtags, ['#KangenWater', '#Hydration']);
+
+  const spaced = repairPostOutput(JSON.stringify({ ...valid, hashtags: ['#Healthy Living', 'Hydration'] }));
+  assert.deepEqual(spaced.hashtags, ['#HealthyLiving', '#Hydration']);
+});
+
+test('repair maps camelCase and content fields and drops unknown ones', () => {
+  const { image_concept: imageConcept, body, ...rest } = valid;
+  const repaired = repairPostOutput(JSON.stringify({ ...rest, imageConcept, content: body, mood: 'sunny' }));
+  assert.deepEqual(repaired, valid);
+  assert.deepEqual(validatePostOutput(repaired), []);
+});
+
+test('repair returns null when there is no JSON object', () => {
+  assert.equal(repairPostOutput('Sorry, I cannot help with that.'), null);
+  assert.equal(repairPostOutput('[1, 2, 3]'), null);
+  assert.equal(repairPostOutput(''), null);
+});
+
+test('assembled post joins hook, body and cta with blank lines', () => {
+  assert.deepEqual(assemblePost(valid), {
+    content: `${valid.hook}\n\n${valid.body}\n\n${valid.cta}`,
+    hashtags: '#KangenWater #Hydration #還元水',
+  });
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
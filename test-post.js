@@ -2,7 +2,9 @@
  * Manual Test Script
  * Tests the complete posting workflow without waiting for scheduled times
  *
- * Usage: node test-post.js
+ * Usage: node test-post.js [--mock] [--dry-run]
+ *   --mock     use the offline mock LLM provider (same as LLM_PROVIDER=mock)
+ *   --dry-run  stop before posting to Facebook
  */
 
 import dotenv from 'dotenv';
@@ -12,6 +14,14 @@ import { createPost, markPostAsPosted, updatePostImage, testConnection as testDB
 
 dotenv.config();
 
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+// The provider is looked up on each generation call, so this applies to every step
+if (args.includes('--mock')) {
+  process.env.LLM_PROVIDER = 'mock';
+}
+
 // Test topic
 const TEST_TOPIC = 'Benefits of Alkaline Water';
 
@@ -19,6 +29,7 @@ console.log('\n' + '='.repeat(70));
 console.log('🧪 Kangen Water Facebook Auto-Post - Test Script');
 console.log('='.repeat(70));
 console.log(`Test Topic: ${TEST_TOPIC}`);
+console.log(`LLM Provider: ${process.env.LLM_PROVIDER || 'openai'}${DRY_RUN ? ' (dry run - no Facebook post)' : ''}`);
 console.log('='.repeat(70) + '\n');
 
 async function runTest() {
@@ -29,7 +40,7 @@ async function runTest() {
     console.log('[Test] ✓ Database connected\n');
 
     // Step 2: Generate Content
-    console.log('[Test] Step 2/5: Generating content with GPT...');
+    console.log('[Test] Step 2/5: Generating content...');
     const { content, hashtags, tokensUsed } = await generateContent(TEST_TOPIC);
     console.log('[Test] ✓ Content generated');
     console.log(`[Test] Tokens used: ${tokensUsed}`);
@@ -47,7 +58,7 @@ async function runTest() {
     console.log(`[Test] ✓ Post saved with ID: ${post.id}\n`);
 
     // Step 4: Generate Image
-    console.log('[Test] Step 4/5: Generating image with DALL-E 3...');
+    console.log('[Test] Step 4/5: Generating image...');
     console.log('[Test] (This may take 15-30 seconds...)');
     const imageResult = await generateImage(TEST_TOPIC, content);
 
@@ -64,6 +75,18 @@ async function runTest() {
       console.log('[Test] ⚠️  Image generation failed, will post text-only\n');
     }
 
+    if (DRY_RUN) {
+      console.log('[Test] Step 5/5: Skipped posting to Facebook (dry run)\n');
+      console.log('='.repeat(70));
+      console.log('✅ DRY RUN COMPLETED SUCCESSFULLY!');
+      console.log('='.repeat(70));
+      console.log(`  • Database Post ID: ${post.id}`);
+      console.log(`  • Has Image: ${imageUrl ? 'Yes' : 'No'}`);
+      console.log(`  • Content Length: ${content.length} characters`);
+      console.log('='.repeat(70) + '\n');
+      process.exit(0);
+    }
+
     // Step 5: Post to Facebook
     console.log('[Test] Step 5/5: Posting to Facebook...');
     const facebookPostId = await postToFacebook({
@@ -103,7 +126,7 @@ async function runTest() {
     console.error(error);
     console.error('\nTroubleshooting:');
     console.error('  1. Check your .env file has all required variables');
-    console.error('  2. Verify OpenAI API key is valid');
+    console.error('  2. Verify OpenAI API key is valid (or run with --mock)');
     console.error('  3. Verify Facebook page access token is valid');
     console.error('  4. Check database connection');
     console.error('  5. Ensure you have internet connection\n');
@@ -0,0 +1,64 @@
+/**
+ * Posting Slots Test Script
+ * Checks slot cron expressions and missed-slot occurrences offline (no database, Redis or API calls)
+ *
+ * Usage: node test-posting-slots.js
+ */
+
+import assert from 'node:assert/strict';
+import { toCronExpression, getSlotOccurrences } from './lib/posting-slots.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+const TIMEZONE = 'Pacific/Honolulu';
+const morning = { hour: 6, minute: 0, weekdays: [0, 1, 2, 3, 4, 5, 6] };
+
+/**
+ * Occurrences as local "YYYY-MM-DD HH:mm" strings
+ */
+function local(dates) {
+  return dates.map((date) => date.toLocaleString('sv-SE', { timeZone: TIMEZONE }).slice(0, 16));
+}
+
+test('cron expression uses * for every day and a list otherwise', () => {
+  assert.equal(toCronExpression(morning), '0 6 * * *');
+  assert.equal(toCronExpression({ hour: 18, minute: 30, weekdays: [1, 3, 5] }), '30 18 * * 1,3,5');
+  assert.equal(toCronExpression({ hour: 12, minute: 5, weekdays: [] }), '5 12 * * *');
+});
+
+test('occurrences in the window are returned in the page timezone', () => {
+  // 2026-03-03 05:00 to 2026-03-05 07:00 Honolulu (UTC-10)
+  const occurrences = getSlotOccurrences(morning, '2026-03-03T15:00:00Z', '2026-03-05T17:00:00Z', TIMEZONE);
+  assert.deepEqual(local(occurrences), ['2026-03-03 06:00', '2026-03-04 06:00', '2026-03-05 06:00']);
+});
+
+test('window start is exclusive and end is inclusive', () => {
+  const occurrences = getSlotOccurrences(morning, '2026-03-03T16:00:00Z', '2026-03-04T16:00:00Z', TIMEZONE);
+  assert.deepEqual(local(occurrences), ['2026-03-04 06:00']);
+});
+
+test('days outside the slot weekdays are skipped', () => {
+  const weekdaysOnly = { hour: 6, minute: 0, weekdays: [1, 2, 3, 4, 5] };
+  // Friday 2026-03-06 to Monday 2026-03-09
+  const occurrences = getSlotOccurrences(weekdaysOnly, '2026-03-06T00:00:00Z', '2026-03-09T23:00:00Z', TIMEZONE);
+  assert.deepEqual(local(occurrences), ['2026-03-06 06:00', '2026-03-09 06:00']);
+});
+
+test('a window with no slot time yields nothing', () => {
+  assert.deepEqual(getSlotOccurrences(morning, '2026-03-03T17:00:00Z', '2026-03-04T15:00:00Z', TIMEZONE), []);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,82 @@
+/**
+ * Post Revisions Test Script
+ * Checks edit diffs and splitting edited text into hook/body/cta offline
+ * (no database, Redis or API calls)
+ *
+ * Usage: node test-revisions.js
+ */
+
+import assert from 'node:assert/strict';
+import { diffText } from './lib/post-revisions.js';
+import { splitPost, assemblePost } from './lib/post-schema.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+/**
+ * Rebuild both sides of a diff
+ */
+function sides(runs) {
+  return {
+    before: runs.filter((run) => run.op !== 'insert').map((run) => run.text).join(''),
+    after: runs.filter((run) => run.op !== 'delete').map((run) => run.text).join(''),
+  };
+}
+
+test('unchanged text is a single equal run', () => {
+  assert.deepEqual(diffText('Stay hydrated today', 'Stay hydrated today'), [{ op: 'equal', text: 'Stay hydrated today' }]);
+});
+
+test('a replaced word becomes a delete and an insert', () => {
+  assert.deepEqual(diffText('Stay hydrated today', 'Stay hydrated tomorrow'), [
+    { op: 'equal', text: 'Stay hydrated ' },
+    { op: 'delete', text: 'today' },
+    { op: 'insert', text: 'tomorrow' },
+  ]);
+});
+
+test('both texts can be rebuilt from the runs', () => {
+  const before = 'Start your day with a glass of water.\n\nDM for more info!';
+  const after = 'Start every day with a cold glass of Kangen water.\n\nSend us a message!';
+  assert.deepEqual(sides(diffText(before, after)), { before, after });
+});
+
+test('empty or missing text diffs as a whole insert or delete', () => {
+  assert.deepEqual(diffText(null, 'New post'), [{ op: 'insert', text: 'New post' }]);
+  assert.deepEqual(diffText('Old post', ''), [{ op: 'delete', text: 'Old post' }]);
+  assert.deepEqual(diffText('', ''), []);
+});
+
+test('split takes the first paragraph as hook and the last as cta', () => {
+  assert.deepEqual(splitPost('Hook line\n\nFirst body paragraph\n\nSecond body paragraph\n\nDM us!'), {
+    hook: 'Hook line',
+    body: 'First body paragraph\n\nSecond body paragraph',
+    cta: 'DM us!',
+  });
+});
+
+test('split undoes assemblePost', () => {
+  const output = { hook: 'おはよう！', body: '還元水で一日をスタート。', cta: 'DMでどうぞ', hashtags: ['#還元水'] };
+  const { hook, body, cta } = output;
+  assert.deepEqual(splitPost(assemblePost(output).content), { hook, body, cta });
+});
+
+test('split tolerates extra blank lines and returns null under three paragraphs', () => {
+  assert.deepEqual(splitPost('  Hook\n \n\n Body \n\n\nCTA  '), { hook: 'Hook', body: 'Body', cta: 'CTA' });
+  assert.equal(splitPost('Hook\n\nCTA'), null);
+  assert.equal(splitPost('One paragraph only'), null);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,65 @@
+/**
+ * Text Similarity Test Script
+ * Checks near-duplicate scoring offline (no database, Redis or API calls)
+ *
+ * Usage: node test-similarity.js
+ */
+
+import assert from 'node:assert/strict';
+import { tokenize, buildTfidfVectors, cosineSimilarity } from './lib/text-similarity.js';
+import { SIMILARITY_THRESHOLD, isNearDuplicate } from './lib/duplicate-detector.js';
+
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+
+/**
+ * Score a draft against earlier posts the way findMostSimilarPost does
+ */
+function score(draft, earlier) {
+  const vectors = buildTfidfVectors([draft, earlier, 'Unrelated filler post about weekend hiking trails and mountain views']);
+  return { score: cosineSimilarity(vectors[0], vectors[1]) };
+}
+
+test('Japanese text produces tokens', () => {
+  const tokens = tokenize('還元水で毎日の水分補給を。');
+  assert.ok(tokens.length > 0);
+  assert.ok(tokens.includes('水分'));
+});
+
+test('near-identical Japanese drafts are flagged', () => {
+  const match = score(
+    '毎朝コップ一杯の還元水から一日を始めましょう。すっきりとした飲み心地で、水分補給がもっと楽しくなります。詳しくはDMでお気軽にどうぞ！',
+    '毎朝コップ一杯の還元水で一日を始めましょう。すっきりした飲み心地で、水分補給がもっと楽しくなります！詳しくはDMでお気軽にどうぞ。'
+  );
+  assert.ok(isNearDuplicate(match), `score ${match.score.toFixed(3)} < ${SIMILARITY_THRESHOLD}`);
+});
+
+test('different Japanese posts are not flagged', () => {
+  const match = score(
+    '毎朝コップ一杯の還元水から一日を始めましょう。すっきりとした飲み心地で、水分補給がもっと楽しくなります。',
+    '週末は家族でハイキングへ。山の空気と景色を楽しみながら、こまめな休憩を忘れずに。'
+  );
+  assert.ok(!isNearDuplicate(match), `score ${match.score.toFixed(3)} >= ${SIMILARITY_THRESHOLD}`);
+});
+
+test('near-identical English drafts are still flagged', () => {
+  const match = score(
+    'Drinking alkaline water every morning helps you stay hydrated and energized all day long.',
+    'Drink alkaline water every morning to stay hydrated and energized all day long!'
+  );
+  assert.ok(isNearDuplicate(match), `score ${match.score.toFixed(3)} < ${SIMILARITY_THRESHOLD}`);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`[Test] ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`[Test] ✗ ${name}: ${error.message}`);
+  }
+}
+
+console.log(failed === 0 ? `\n✅ ${cases.length} tests passed` : `\n❌ ${failed} of ${cases.length} tests failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -7,8 +7,18 @@
 import { Worker } from 'bullmq';
 import dotenv from 'dotenv';
 import { generateContent } from '../lib/openai-generator.js';
-import { createPost, updatePostStatus, incrementRetryCount } from '../lib/db.js';
+import { createPost, findSlotPost, updatePostStatus, incrementRetryCount } from '../lib/db.js';
 import { addImageGenerationJob } from '../lib/queue.js';
+import { attachDraft } from '../lib/content-planner.js';
+import { resolveCampaign } from '../lib/campaigns.js';
+import { resolveVoiceProfile } from '../lib/voice-profiles.js';
+import { checkPostCompliance } from '../lib/compliance-checker.js';
+import { REGENERATE_ATTEMPTS, findMostSimilarPost, isNearDuplicate, recordSimilarity } from '../lib/duplicate-detector.js';
+import { getPostingSlot } from '../lib/posting-slots.js';
+import { getPageSettings } from '../lib/page-settings.js';
+import { resolveLanguages, getPostLanguageSets, toLanguageTag } from '../lib/languages.js';
+import { pickCtas } from '../lib/cta-library.js';
+import { fillSlotWithEvergreen } from '../lib/evergreen.js';
 
 dotenv.config();
 
@@ -21,36 +31,120 @@ const redisConnection = {
 const contentWorker = new Worker(
   'content-generation',
   async (job) => {
-    const { topic } = job.data;
+    const { topic, slotId = null, scheduledFor = null, planId = null } = job.data;
 
     console.log(`\n[Content Worker] Processing job ${job.id}`);
     console.log(`[Content Worker] Topic: ${topic}`);
+    if (scheduledFor) {
+      console.log(`[Content Worker] For slot ${slotId} at ${scheduledFor}`);
+    }
 
     try {
-      // Generate content using OpenAI
-      const { content, hashtags, tokensUsed } = await generateContent(topic);
-
-      console.log(`[Content Worker] Content generated (${tokensUsed} tokens)`);
-      console.log(`[Content Worker] Preview: ${content.substring(0, 100)}...`);
-
-      // Save to database
-      const post = await createPost({
-        topic,
-        content,
-        hashtags,
-        imageUrl: null,
-      });
+      // Posts dated inside a running campaign carry its prompt context
+      const campaign = await resolveCampaign(topic, scheduledFor ? new Date(scheduledFor) : new Date());
+      if (campaign) {
+        console.log(`[Content Worker] Campaign: ${campaign.name}`);
+      }
 
-      console.log(`[Content Worker] Post saved to database with ID: ${post.id}`);
+      // Slot voice, else the page default voice
+      const voiceProfile = await resolveVoiceProfile(slotId);
 
-      // Queue image generation job
-      await addImageGenerationJob(post.id, topic, content);
+      // Slot languages, else the page languages: one bilingual post or one post per language
+      const slot = slotId ? await getPostingSlot(slotId) : null;
+      const { languages, mode } = resolveLanguages(slot, await getPageSettings());
+      const languageSets = getPostLanguageSets({ languages, mode });
+      if (languages.length > 1) {
+        console.log(`[Content Worker] Languages: ${languages.join(', ')} (${mode})`);
+      }
 
-      console.log(`[Content Worker] Image generation job queued for post ${post.id}`);
+      const postIds = [];
+      let tokensUsed = 0;
+
+      for (const postLanguages of languageSets) {
+        // A retried job keeps the posts an earlier attempt already created
+        const existing = slotId && scheduledFor
+          ? await findSlotPost(slotId, scheduledFor, toLanguageTag(postLanguages))
+          : null;
+        if (existing) {
+          console.log(`[Content Worker] Post ${existing.id} [${existing.language}] exists from an earlier attempt - keeping it`);
+          postIds.push(existing.id);
+          if (planId && postIds.length === 1) {
+            await attachDraft(planId, existing.id);
+          }
+          if (existing.status === 'generating') {
+            await addImageGenerationJob(existing.id, topic, existing.content, { jobId: `image-post-${existing.id}` });
+          }
+          continue;
+        }
+
+        // CTA from the library, weighted toward the ones that perform
+        const [cta = null] = await pickCtas(1, { languages: postLanguages });
+
+        // Generate content using OpenAI
+        const contentOptions = {
+          campaignContext: campaign?.prompt_context || null,
+          voiceProfile,
+          languages: postLanguages,
+          cta,
+        };
+        let generated = await generateContent(topic, contentOptions);
+        tokensUsed += generated.tokensUsed;
+
+        // Regenerate near-duplicates of earlier posts; if it still repeats itself
+        // the draft is saved with the closest post recorded for the reviewer
+        let similar = await findMostSimilarPost(generated.content);
+        for (let attempt = 1; isNearDuplicate(similar) && attempt <= REGENERATE_ATTEMPTS; attempt++) {
+          console.log(`[Content Worker] Draft is ${Math.round(similar.score * 100)}% similar to post ${similar.postId} - regenerating (${attempt}/${REGENERATE_ATTEMPTS})`);
+
+          generated = await generateContent(topic, { ...contentOptions, avoidContent: similar.content });
+          tokensUsed += generated.tokensUsed;
+          similar = await findMostSimilarPost(generated.content);
+        }
+
+        const { content, hashtags, structured, provenance } = generated;
+
+        console.log(`[Content Worker] Content generated [${toLanguageTag(postLanguages)}] (${tokensUsed} tokens)`);
+        console.log(`[Content Worker] Preview: ${content.substring(0, 100)}...`);
+
+        // Save to database; separate-language posts are grouped under the first one
+        const post = await createPost({
+          topic,
+          content,
+          hashtags,
+          imageUrl: null,
+          slotId,
+          scheduledFor,
+          campaignId: campaign?.id ?? null,
+          provenance,
+          structured,
+          language: toLanguageTag(postLanguages),
+          languageGroupId: languageSets.length > 1 ? postIds[0] ?? null : null,
+          ctaId: cta?.id ?? null,
+        });
+        postIds.push(post.id);
+
+        console.log(`[Content Worker] Post saved to database with ID: ${post.id}`);
+
+        await recordSimilarity(post.id, similar);
+
+        // Flag health / income claims before the post can be approved
+        await checkPostCompliance(post.id);
+
+        // Pre-generated draft for a planned slot (the plan tracks the first post)
+        if (planId && postIds.length === 1) {
+          await attachDraft(planId, post.id);
+        }
+
+        // Queue image generation job (one per post, even if this job is retried)
+        await addImageGenerationJob(post.id, topic, content, { jobId: `image-post-${post.id}` });
+
+        console.log(`[Content Worker] Image generation job queued for post ${post.id}`);
+      }
 
       return {
         success: true,
-        postId: post.id,
+        postId: postIds[0],
+        postIds,
         topic,
         tokensUsed,
       };
@@ -92,6 +186,18 @@ contentWorker.on('failed', async (job, err) => {
     if (job.data.postId) {
       await updatePostStatus(job.data.postId, 'failed', err.message);
     }
+
+    // Evergreen fallback: a slot whose draft could not be generated reposts a past winner
+    const { slotId = null, scheduledFor = null, planId = null } = job.data;
+    if (slotId) {
+      try {
+        if ((await getPageSettings()).evergreenFallback) {
+          await fillSlotWithEvergreen({ slotId, scheduledFor, planId, reason: 'generation failed' });
+        }
+      } catch (error) {
+        console.error(`[Content Worker] Evergreen fallback for slot ${slotId} failed:`, error.message);
+      }
+    }
   }
 });
 
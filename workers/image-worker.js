@@ -34,7 +34,7 @@ const imageWorker = new Worker(
 
       // Generate image using DALL-E 3
       console.log('[Image Worker] Generating image with DALL-E 3...');
-      const imageResult = await generateImage(topic, content);
+      const imageResult = await generateImage(topic, content, { imageConcept: post.image_concept });
 
       if (imageResult && imageResult.imageUrl) {
         // Image generated successfully
@@ -42,7 +42,7 @@ const imageWorker = new Worker(
         console.log(`[Image Worker] Image URL: ${imageResult.imageUrl}`);
 
         // Update database with image URL
-        await updatePostImage(postId, imageResult.imageUrl);
+        await updatePostImage(postId, imageResult.imageUrl, { promptVersion: imageResult.promptVersion });
 
         console.log(`[Image Worker] Database updated with image URL for post ${postId}`);
       } else {
@@ -69,10 +69,9 @@ const imageWorker = new Worker(
       if (job.attemptsMade < job.opts.attempts) {
         console.log(`[Image Worker] Will retry (attempt ${job.attemptsMade + 1}/${job.opts.attempts})`);
       } else {
-        // Max retries exceeded - still queue publish job for text-only post
-        console.warn('[Image Worker] Max retries exceeded, queuing text-only post');
-        await updatePostStatus(postId, 'generating', `Image generation failed: ${error.message}`);
-        await addPublishJob(postId);
+        // Max retries exceeded - the post goes to review text-only (publishing needs approval)
+        console.warn('[Image Worker] Max retries exceeded, sending text-only post for approval');
+        await updatePostStatus(postId, 'scheduled', `Image generation failed: ${error.message}`);
       }
 
       throw error;
@@ -6,11 +6,18 @@
 
 import { Worker } from 'bullmq';
 import dotenv from 'dotenv';
-import { postToFacebook } from '../lib/facebook-poster.js';
+import { postToFacebook, canScheduleNatively } from '../lib/facebook-poster.js';
 import { getPost, markPostAsPosted, updatePostStatus, incrementRetryCount } from '../lib/db.js';
+import { addPublishJob } from '../lib/queue.js';
+import { markPostAsFbScheduled } from '../lib/fb-scheduling.js';
+import { resolveOverrides } from '../lib/schedule-overrides.js';
+import { getTimezone } from '../lib/page-settings.js';
 
 dotenv.config();
 
+// 'approved' waits for its slot time, 'posting' publishes now
+const PUBLISHABLE_STATUSES = ['approved', 'posting'];
+
 const redisConnection = {
   url: process.env.REDIS_URL || 'redis://localhost:6379',
   maxRetriesPerRequest: null,
@@ -20,14 +27,15 @@ const redisConnection = {
 const publishWorker = new Worker(
   'facebook-publish',
   async (job) => {
-    const { postId } = job.data;
+    const { postId, scheduledPublishTime } = job.data;
 
     console.log(`\n[Publish Worker] Processing job ${job.id}`);
     console.log(`[Publish Worker] Post ID: ${postId}`);
 
+    let post = null;
     try {
       // Get post from database
-      const post = await getPost(postId);
+      post = await getPost(postId);
 
       if (!post) {
         throw new Error(`Post ${postId} not found in database`);
@@ -36,6 +44,50 @@ const publishWorker = new Worker(
       console.log(`[Publish Worker] Retrieved post: ${post.topic}`);
       console.log(`[Publish Worker] Has image: ${!!post.image_url}`);
 
+      // Only approved posts publish - delayed jobs for planned slots can outlive a
+      // rejection, a cancelled schedule (back to review) or a new blackout
+      if (!PUBLISHABLE_STATUSES.includes(post.status)) {
+        console.log(`[Publish Worker] Post ${postId} is ${post.status} - nothing to publish`);
+        return { success: false, skipped: true, postId, topic: post.topic };
+      }
+
+      if (post.slot_id && post.scheduled_for) {
+        const { blackout } = await resolveOverrides(post.slot_id, post.scheduled_for, await getTimezone());
+        if (blackout) {
+          await updatePostStatus(postId, 'skipped', `Blackout${blackout.reason ? `: ${blackout.reason}` : ''}`);
+          console.log(`[Publish Worker] Post ${postId} falls in a blackout - skipped`);
+          return { success: false, skipped: true, postId, topic: post.topic };
+        }
+      }
+
+      if (scheduledPublishTime) {
+        // Too close to the slot for Facebook to accept - fall back to our own delayed job
+        if (!canScheduleNatively(scheduledPublishTime)) {
+          console.log(`[Publish Worker] Post ${postId} is inside Facebook's scheduling window - publishing at slot time instead`);
+          await addPublishJob(postId, { publishAt: scheduledPublishTime });
+          return { success: false, skipped: true, postId, topic: post.topic };
+        }
+
+        console.log('[Publish Worker] Scheduling on Facebook...');
+        const facebookPostId = await postToFacebook({
+          message: post.content,
+          imageUrl: post.image_url,
+          hashtags: post.hashtags,
+          scheduledPublishTime,
+        });
+
+        await markPostAsFbScheduled(postId, facebookPostId, scheduledPublishTime);
+
+        return {
+          success: true,
+          postId,
+          facebookPostId,
+          topic: post.topic,
+          hasImage: !!post.image_url,
+          scheduledFor: scheduledPublishTime,
+        };
+      }
+
       // Update status to posting
       await updatePostStatus(postId, 'posting');
 
@@ -88,7 +140,10 @@ const publishWorker = new Worker(
       // Log for retry
       if (job.attemptsMade < job.opts.attempts) {
         console.log(`[Publish Worker] Will retry (attempt ${job.attemptsMade + 1}/${job.opts.attempts})`);
-        await updatePostStatus(job.data.postId, 'scheduled', `Retry ${job.attemptsMade + 1}: ${error.message}`);
+        // Keep the approved status so the post is not mistaken for a draft awaiting review
+        if (post && PUBLISHABLE_STATUSES.includes(post.status)) {
+          await updatePostStatus(job.data.postId, post.status, `Retry ${job.attemptsMade + 1}: ${error.message}`);
+        }
       } else {
         // Max retries exceeded
         await updatePostStatus(job.data.postId, 'failed', error.message);
@@ -110,7 +165,13 @@ const publishWorker = new Worker(
 // Worker event handlers
 publishWorker.on('completed', (job, result) => {
   console.log(`[Publish Worker] Job ${job.id} completed successfully`);
-  console.log(`[Publish Worker] ✓ Posted: ${result.topic} (FB ID: ${result.facebookPostId})`);
+  if (result.skipped) {
+    console.log(`[Publish Worker] Skipped: ${result.topic} (post ${result.postId})`);
+  } else if (result.scheduledFor) {
+    console.log(`[Publish Worker] ✓ Scheduled on Facebook: ${result.topic} (FB ID: ${result.facebookPostId})`);
+  } else {
+    console.log(`[Publish Worker] ✓ Posted: ${result.topic} (FB ID: ${result.facebookPostId})`);
+  }
 });
 
 publishWorker.on('failed', async (job, err) => {